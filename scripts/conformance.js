@@ -0,0 +1,127 @@
+/**
+ * Conformance Suite Runner
+ * 
+ * Runs the AES conformance suite (src/utils/aes/conformance.js) headless in Node,
+ * then the sample CAVP .rsp files in scripts/vectors through rspRunner.js, and prints
+ * a pass/fail report. Exits with code 1 if any check fails.
+ * 
+ * Usage:
+ *   npm test                              # full suite (Monte Carlo takes a while) and samples
+ *   npm test -- --quick                   # only the first 10 Monte Carlo COUNT values
+ *   npm test -- CBCMMT256.rsp ...         # run NIST CAVP .rsp files instead of the suite
+ */
+
+import process from 'node:process';
+import { readdirSync, readFileSync } from 'node:fs';
+import { basename, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { runConformanceSuite } from '../src/utils/aes/conformance.js';
+import { parseRspFile, runRspFile } from '../src/utils/aes/rspRunner.js';
+
+// Number of Monte Carlo COUNT values in quick mode (checks COUNT 0 and 9)
+const QUICK_MONTE_CARLO_ITERATIONS = 10;
+
+// Sample .rsp files (ECB, CBC, GCM decrypt with FAIL records, a skipped Monte Carlo file)
+const SAMPLE_RSP_DIRECTORY = fileURLToPath(new URL('./vectors/', import.meta.url));
+
+const quick = process.argv.includes('--quick');
+const rspPaths = process.argv.slice(2).filter(arg => arg.endsWith('.rsp'));
+const startTime = Date.now();
+
+/**
+ * Run the built-in conformance suite and print one line per group
+ * 
+ * @returns {Promise<Object>} Object containing:
+ *   - passed: Number of passing checks
+ *   - failed: Number of failing checks
+ */
+async function runSuite() {
+    const report = await runConformanceSuite(quick ? { monteCarloIterations: QUICK_MONTE_CARLO_ITERATIONS } : {});
+
+    report.groups.forEach(group => {
+        console.log(`${group.failed === 0 ? 'PASS' : 'FAIL'}  ${group.name} (${group.passed}/${group.results.length})`);
+        console.log(`      ${group.description}`);
+
+        // Only failing checks are listed, with what was expected and what came out
+        group.results
+            .filter(result => !result.passed)
+            .forEach(result => {
+                console.log(`      ✗ ${result.name}`);
+                console.log(`          expected: ${result.expected}`);
+                console.log(`          actual:   ${result.actual}`);
+            });
+    });
+
+    return report;
+}
+
+/**
+ * Run CAVP .rsp files and print one line per file
+ * 
+ * @param {string[]} paths - Paths of the .rsp files
+ * @returns {Object} Object containing:
+ *   - passed: Number of passing records
+ *   - failed: Number of failing records
+ *   - skipped: Number of records that could not be run (see runRspFile)
+ */
+function runRspFiles(paths) {
+    const totals = { passed: 0, failed: 0, skipped: 0 };
+
+    paths.forEach(path => {
+        const report = runRspFile(parseRspFile(readFileSync(path, 'utf8'), basename(path)));
+        const modeName = report.segmentBits ? `CFB${report.segmentBits}` : report.mode;
+
+        console.log(`${report.status.toUpperCase()}  ${report.fileName} (${report.passed}/${report.results.length})`);
+        console.log(`      ${modeName ?? 'Unknown mode'}, ${report.skipped} skipped`);
+
+        // Failing records show the first byte (or bit) that differs, skipped ones why
+        report.results
+            .filter(result => result.status !== 'pass')
+            .forEach(result => {
+                console.log(`      ${result.status === 'fail' ? '✗' : '–'} ${result.label} (${result.direction}, line ${result.lineNumber})`);
+
+                if (result.status === 'skip' || result.reason) {
+                    console.log(`          ${result.status === 'skip' ? 'skipped' : 'error'}: ${result.reason}`);
+                } else {
+                    console.log(`          first mismatch at ${result.unit} ${result.mismatchIndex}`);
+                    console.log(`          expected: ${result.expected}`);
+                    console.log(`          actual:   ${result.actual}`);
+                }
+            });
+
+        totals.passed += report.passed;
+        totals.failed += report.failed;
+        totals.skipped += report.skipped;
+    });
+
+    return totals;
+}
+
+/**
+ * Run the suite, then the sample .rsp files
+ * 
+ * @returns {Promise<Object>} Combined passed, failed and skipped totals
+ */
+async function runSuiteAndSamples() {
+    const suite = await runSuite();
+    const samplePaths = readdirSync(SAMPLE_RSP_DIRECTORY)
+        .filter(name => name.endsWith('.rsp'))
+        .sort()
+        .map(name => join(SAMPLE_RSP_DIRECTORY, name));
+
+    console.log('');
+    const samples = runRspFiles(samplePaths);
+
+    return {
+        passed: suite.passed + samples.passed,
+        failed: suite.failed + samples.failed,
+        skipped: samples.skipped
+    };
+}
+
+const { passed, failed, skipped } = rspPaths.length > 0 ? runRspFiles(rspPaths) : await runSuiteAndSamples();
+
+console.log('');
+console.log(`${passed} passed, ${failed} failed, ${skipped} skipped in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+
+process.exitCode = failed === 0 ? 0 : 1;
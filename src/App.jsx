@@ -1,55 +1,174 @@
 import './App.css';
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import InputOutputPanel from './components/InputOutputPanel';
 import KeyInput from './components/KeyInput';
 import ControlPanel from './components/ControlPanel';
 import RoundDetailsViewer from './components/RoundDetailsViewer';
+import ConformanceReport from './components/ConformanceReport';
+import AvalancheAnalyzer from './components/AvalancheAnalyzer';
+import ImageEncryptionDemo from './components/ImageEncryptionDemo';
+import KeyScheduleInverter from './components/KeyScheduleInverter';
+import SquareAttackLab from './components/SquareAttackLab';
+import FaultAttackLab from './components/FaultAttackLab';
+import PaddingOracleLab from './components/PaddingOracleLab';
+import EcbAttackWorkbench from './components/EcbAttackWorkbench';
+import NonceReuseLab from './components/NonceReuseLab';
 import {
   textToBytes,
   bytesToText,
   bytesToHex,
   hexToBytes,
-  generateKeyFromPassphrase
+  generateRandomBytes,
+  generateRandomKey,
+  generateKeyFromPassphrase,
+  parseRawKey,
+  prependSalt,
+  splitSalt
 } from './utils/aes/utils';
+import {
+  DEFAULT_KEY_SIZE,
+  DEFAULT_CIPHER_MODE,
+  DEFAULT_CTR_COUNTER_BITS,
+  DEFAULT_CFB_SEGMENT_BITS,
+  DEFAULT_PBKDF2_ITERATIONS,
+  PBKDF2_SALT_LENGTH,
+  AES_VARIANTS
+} from './utils/aes/constants';
 import { encryptText } from './utils/aes/encryption';
 import { decryptText } from './utils/aes/decryption';
+import { detectFileFormats, getEncryptedFileName, runFileTaskInBackground } from './utils/aes/fileEncryption';
 
 function App() {
   // State for encryption/decryption mode
   const [mode, setMode] = useState('encrypt'); // 'encrypt' or 'decrypt'
 
+  // State for mode of operation
+  const [cipherMode, setCipherMode] = useState(DEFAULT_CIPHER_MODE); // 'ECB', 'CBC', 'CFB', 'OFB', 'CTR' or 'GCM'
+  const [ivHex, setIvHex] = useState(''); // Empty means a random IV is generated
+  const [counterBits, setCounterBits] = useState(DEFAULT_CTR_COUNTER_BITS); // CTR nonce/counter split
+  const [segmentBits, setSegmentBits] = useState(DEFAULT_CFB_SEGMENT_BITS); // CFB segment size
+  const [aadText, setAadText] = useState(''); // GCM additional authenticated data
+
+  // State for reduced-round AES (cryptanalysis labs)
+  const [roundCount, setRoundCount] = useState(null); // null means the full Nr rounds of the key size
+  const [finalMixColumns, setFinalMixColumns] = useState(false);
+
   // State for input/output
   const [plainText, setPlainText] = useState('Dummy Text');
   const [cipherText, setCipherText] = useState('');
 
+  // State for file input/output
+  const [inputType, setInputType] = useState('text'); // 'text' or 'file'
+  const [inputFile, setInputFile] = useState(null); // { name, bytes } of the dropped or picked file
+  const [fileResult, setFileResult] = useState(null); // { fileName, bytes, format } of the processed file
+  const [fileBusy, setFileBusy] = useState(false);
+  const [fileFormat, setFileFormat] = useState('auto'); // Format of an encrypted file to decrypt, or 'auto'
+
   // State for key
+  const [keySource, setKeySource] = useState('passphrase'); // 'passphrase', 'raw' or 'random'
   const [passphrase, setPassphrase] = useState('Dummy Passphrase');
-  const [key, setKey] = useState(null);
+  const [key, setKey] = useState(null); // Key derived from the passphrase
+  const [keySize, setKeySize] = useState(DEFAULT_KEY_SIZE); // 128, 192 or 256 bits
+  const [rawKeyText, setRawKeyText] = useState('');
+  const [rawKeyFormat, setRawKeyFormat] = useState('hex'); // 'hex' or 'base64'
+  const [randomKeyHex, setRandomKeyHex] = useState(() => bytesToHex(generateRandomKey(DEFAULT_KEY_SIZE)));
+
+  // State for PBKDF2 key derivation
+  const [saltHex, setSaltHex] = useState(() => bytesToHex(generateRandomBytes(PBKDF2_SALT_LENGTH)));
+  const [iterations, setIterations] = useState(DEFAULT_PBKDF2_ITERATIONS);
+  const [keySaltHex, setKeySaltHex] = useState(''); // Salt the current key was derived with
+  const [keyError, setKeyError] = useState(''); // Why the key could not be derived (e.g. no WebCrypto)
 
   // State for round details
   const [showRoundDetails, setShowRoundDetails] = useState(false);
   const [roundDetails, setRoundDetails] = useState(null);
+  const [blockTrace, setBlockTrace] = useState(null); // { traceBlock, blockCount } for tracing any block
   const [keyExpansionDetails, setKeyExpansionDetails] = useState(null);
   const [completeCipherPerRound, setCompleteCipherPerRound] = useState(null);
+  const [modeDetails, setModeDetails] = useState(null);
+  const [authenticationDetails, setAuthenticationDetails] = useState(null);
 
   // State for errors
   const [error, setError] = useState('');
 
-  // Generate key from passphrase whenever it changes
+  // Anything but the full Nr rounds without a final MixColumns is not AES
+  const standardRounds = AES_VARIANTS[keySize].numberOfRounds;
+  const numberOfRounds = Math.min(roundCount ?? standardRounds, standardRounds);
+  const isReducedRound = numberOfRounds < standardRounds || finalMixColumns;
+
+  // Only passphrase keys are salted, raw and random keys go straight to the key expansion
+  const usesSalt = keySource === 'passphrase';
+
+  // Encryption uses our random salt, decryption reads the salt from the front of the cipher text
+  let activeSaltHex = '';
+  if (usesSalt) {
+    activeSaltHex = mode === 'encrypt'
+      ? saltHex
+      : bytesToHex(hexToBytes(cipherText).slice(0, PBKDF2_SALT_LENGTH));
+  }
+
+  // Parse the raw or random key, keeping the validation error to show instead of a key
+  const directKey = useMemo(() => {
+    if (keySource === 'passphrase') {
+      return { bytes: null, error: '' };
+    }
+
+    if (keySource === 'raw' && !rawKeyText.trim()) {
+      return { bytes: null, error: 'Please enter a key' };
+    }
+
+    try {
+      const bytes = keySource === 'raw'
+        ? parseRawKey(rawKeyText, rawKeyFormat, keySize)
+        : parseRawKey(randomKeyHex, 'hex', keySize);
+      return { bytes, error: '' };
+    } catch (err) {
+      return { bytes: null, error: err.message };
+    }
+  }, [keySource, rawKeyText, rawKeyFormat, randomKeyHex, keySize]);
+
+  const activeKey = usesSalt ? key : directKey.bytes;
+
+  // Derive key from passphrase whenever it, the salt, the iteration count or the key size changes
   useEffect(() => {
-    if (passphrase) {
-      generateKeyFromPassphrase(passphrase).then(generatedKey => {
-        setKey(generatedKey);
+    // Ignore derivations that finish after a newer one has started
+    let cancelled = false;
+
+    if (usesSalt && passphrase && activeSaltHex) {
+      generateKeyFromPassphrase(passphrase, keySize, {
+        salt: hexToBytes(activeSaltHex),
+        iterations
+      }).then(generatedKey => {
+        if (!cancelled) {
+          setKey(generatedKey);
+          setKeySaltHex(activeSaltHex);
+          setKeyError('');
+        }
+      }).catch(err => {
+        if (!cancelled) {
+          setKey(null);
+          setKeyError(`Could not derive a key from the passphrase (${err.message})`);
+        }
       });
-    } else {
+    } else if (!passphrase) {
       setKey(null);
+      setKeyError('');
     }
-  }, [passphrase]);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [usesSalt, passphrase, keySize, activeSaltHex, iterations]);
 
   // Perform encryption/decryption when inputs change
   useEffect(() => {
-    if (!key) {
-      setError('Please enter a passphrase');
+    if (!activeKey) {
+      setError(usesSalt ? keyError || 'Please enter a passphrase' : directKey.error);
+      return;
+    }
+
+    // Files are only encrypted or decrypted on demand (see handleProcessFile)
+    if (inputType === 'file') {
       return;
     }
 
@@ -59,61 +178,204 @@ function App() {
       if (mode === 'encrypt' && plainText) {
         // Encrypt the plain text
         const plainBytes = textToBytes(plainText);
-        const result = encryptText(plainBytes, key, showRoundDetails);
+        const result = encryptText(plainBytes, activeKey, showRoundDetails, {
+          keySize,
+          mode: cipherMode,
+          iv: ivHex ? hexToBytes(ivHex) : undefined,
+          counterBits,
+          segmentBits,
+          aad: textToBytes(aadText),
+          numberOfRounds,
+          finalMixColumns
+        });
 
-        // Set cipher text as hex
-        setCipherText(bytesToHex(result.cipherBytes));
+        // Set cipher text as hex, with the salt (if any) in front so the key can be derived again
+        setCipherText(bytesToHex(usesSalt ? prependSalt(hexToBytes(keySaltHex), result.cipherBytes) : result.cipherBytes));
 
         if (showRoundDetails) {
           setRoundDetails(result.roundDetails);
+          setBlockTrace({ traceBlock: result.traceBlock, blockCount: result.blockCount });
           setKeyExpansionDetails(result.keyExpansion);
           setCompleteCipherPerRound(result.completeCipherPerRound);
+          setModeDetails(result.modeDetails);
+          setAuthenticationDetails(result.authenticationDetails);
         }
       } else if (mode === 'decrypt' && cipherText) {
         // Decrypt the cipher text
         try {
-          const cipherBytes = hexToBytes(cipherText);
-          const result = decryptText(cipherBytes, key, showRoundDetails);
+          const { cipherBytes } = splitSalt(hexToBytes(cipherText), usesSalt ? PBKDF2_SALT_LENGTH : 0);
+
+          // Wait until the key has been derived with the salt from this cipher text
+          if (usesSalt && keySaltHex !== activeSaltHex) {
+            return;
+          }
+
+          const result = decryptText(cipherBytes, activeKey, showRoundDetails, {
+            keySize,
+            mode: cipherMode,
+            counterBits,
+            segmentBits,
+            aad: textToBytes(aadText),
+            numberOfRounds,
+            finalMixColumns
+          });
 
           // Set plain text
           setPlainText(bytesToText(result.plainBytes));
 
           if (showRoundDetails) {
             setRoundDetails(result.roundDetails);
+            setBlockTrace({ traceBlock: result.traceBlock, blockCount: result.blockCount });
             setKeyExpansionDetails(result.keyExpansion);
             setCompleteCipherPerRound(result.completeCipherPerRound);
+            setModeDetails(result.modeDetails);
+            setAuthenticationDetails(result.authenticationDetails);
           }
         } catch (err) {
-          setError('Invalid cipher text or key');
+          // Never leave stale plain text on screen, e.g. after a failed GCM tag check
+          setPlainText('');
+          setError(`Invalid cipher text or key (${err.message})`);
         }
       }
     } catch (err) {
       setError(err.message || 'An error occurred');
     }
-  }, [mode, plainText, cipherText, key, showRoundDetails]);
+  }, [mode, inputType, plainText, cipherText, activeKey, directKey, usesSalt, keyError, keySaltHex, activeSaltHex, keySize, cipherMode, ivHex, counterBits, segmentBits, aadText, numberOfRounds, finalMixColumns, showRoundDetails]);
+
+  // Encrypt or decrypt a file with the current key, mode and settings
+  // The cipher runs in a worker, so the page stays responsive for large files
+  const handleProcessFile = async (file) => {
+    setFileBusy(true);
+    setFileResult(null);
+    setError('');
+
+    try {
+      const options = {
+        keySize,
+        mode: cipherMode,
+        counterBits,
+        segmentBits,
+        aad: textToBytes(aadText),
+        numberOfRounds,
+        finalMixColumns
+      };
+
+      if (mode === 'encrypt') {
+        if (!activeKey) {
+          throw new Error(usesSalt ? keyError || 'Please enter a passphrase' : directKey.error);
+        }
+
+        const { cipherBytes } = await runFileTaskInBackground({
+          action: 'encrypt',
+          fileName: file.name,
+          fileBytes: file.bytes,
+          key: activeKey,
+          options: { ...options, iv: ivHex ? hexToBytes(ivHex) : undefined }
+        });
+
+        // Same layout as the hex cipher text: salt (if any), IV, cipher text, tag
+        const bytes = usesSalt ? prependSalt(hexToBytes(keySaltHex), Array.from(cipherBytes)) : Array.from(cipherBytes);
+        setFileResult({ fileName: file.name, bytes, format: null });
+      } else {
+        // Check for a key before any format is tried, or an empty passphrase would show up
+        // as a padding or format error
+        if (usesSalt ? !passphrase : !directKey.bytes) {
+          throw new Error(usesSalt ? 'Please enter a passphrase' : directKey.error);
+        }
+
+        // Short hex and Base64 text can look alike, so every possible format is tried until
+        // one decrypts to a packed file; the first format's error is shown if none does
+        const formats = fileFormat === 'auto' ? detectFileFormats(file.bytes) : [fileFormat];
+        let decrypted = null;
+        let firstError = null;
+
+        for (const format of formats) {
+          try {
+            const input = await runFileTaskInBackground({ action: 'decode', fileBytes: file.bytes, format });
+            const { salt, cipherBytes } = splitSalt(Array.from(input.bytes), usesSalt ? PBKDF2_SALT_LENGTH : 0);
+
+            // Passphrase keys are derived again with the salt from the front of this file
+            const fileKey = usesSalt
+              ? await generateKeyFromPassphrase(passphrase, keySize, { salt, iterations })
+              : directKey.bytes;
+
+            const result = await runFileTaskInBackground({ action: 'decrypt', cipherBytes, key: fileKey, options });
+            decrypted = { fileName: result.fileName, bytes: Array.from(result.fileBytes), format: input.format };
+            break;
+          } catch (err) {
+            firstError = firstError ?? err;
+          }
+        }
+
+        if (!decrypted) {
+          throw firstError;
+        }
+
+        setFileResult(decrypted);
+      }
+    } catch (err) {
+      setError(`Could not ${mode} ${file.name} (${err.message})`);
+    }
+
+    setFileBusy(false);
+  };
+
+  // Handle a dropped or picked file, processed straight away
+  const handleFileSelected = async (file) => {
+    const nextFile = { name: file.name, bytes: new Uint8Array(await file.arrayBuffer()) };
+    setInputFile(nextFile);
+    handleProcessFile(nextFile);
+  };
 
   // Handle mode switch
   const handleModeSwitch = () => {
     setMode(mode === 'encrypt' ? 'decrypt' : 'encrypt');
+    setFileResult(null);
   };
 
-  // Handle input/output swap
+  // Handle input/output swap, a processed file becomes the next input
   const handleSwap = () => {
-    const temp = plainText;
-    setPlainText(cipherText);
-    setCipherText(temp);
+    if (inputType === 'file') {
+      if (fileResult) {
+        setInputFile({
+          name: mode === 'encrypt' ? getEncryptedFileName(fileResult.fileName, 'binary') : fileResult.fileName,
+          bytes: fileResult.bytes
+        });
+        setFileResult(null);
+      }
+    } else {
+      const temp = plainText;
+      setPlainText(cipherText);
+      setCipherText(temp);
+    }
     setMode(mode === 'encrypt' ? 'decrypt' : 'encrypt');
   };
 
+  // Handle key size change, a random key is regenerated at the new size
+  const handleKeySizeChange = (newKeySize) => {
+    setKeySize(newKeySize);
+    setRandomKeyHex(bytesToHex(generateRandomKey(newKeySize)));
+  };
+
   // Handle clear
   const handleClear = () => {
     setPlainText('');
     setCipherText('');
+    setInputFile(null);
+    setFileResult(null);
     setPassphrase('');
     setKey(null);
+    setRawKeyText('');
     setRoundDetails(null);
+    setBlockTrace(null);
     setKeyExpansionDetails(null);
     setCompleteCipherPerRound(null);
+    setModeDetails(null);
+    setAuthenticationDetails(null);
+    setIvHex('');
+    setAadText('');
+    setRoundCount(null);
+    setFinalMixColumns(false);
     setError('');
   };
 
@@ -121,7 +383,7 @@ function App() {
     <div className="app">
       {/* Header */}
       <header className="app-header">
-        <h1 className="gradient-text">AES-256 Encryption</h1>
+        <h1 className="gradient-text">AES-{keySize} Encryption</h1>
         <p className="app-subtitle">Advanced Encryption Standard with Round Visualization</p>
       </header>
 
@@ -129,20 +391,58 @@ function App() {
       <main className="app-main">
         {/* Key Input Section */}
         <KeyInput
+          keySource={keySource}
+          setKeySource={setKeySource}
           passphrase={passphrase}
           setPassphrase={setPassphrase}
-          keyHex={key ? bytesToHex(key) : ''}
+          keySize={keySize}
+          setKeySize={handleKeySizeChange}
+          rawKeyText={rawKeyText}
+          setRawKeyText={setRawKeyText}
+          rawKeyFormat={rawKeyFormat}
+          setRawKeyFormat={setRawKeyFormat}
+          onGenerateRandomKey={() => setRandomKeyHex(bytesToHex(generateRandomKey(keySize)))}
+          saltHex={activeSaltHex}
+          onNewSalt={() => setSaltHex(bytesToHex(generateRandomBytes(PBKDF2_SALT_LENGTH)))}
+          iterations={iterations}
+          setIterations={setIterations}
+          mode={mode}
+          keyHex={activeKey ? bytesToHex(activeKey) : ''}
         />
 
         {/* Control Panel */}
         <ControlPanel
           mode={mode}
           onModeSwitch={handleModeSwitch}
+          cipherMode={cipherMode}
+          setCipherMode={setCipherMode}
+          ivHex={ivHex}
+          setIvHex={setIvHex}
+          counterBits={counterBits}
+          setCounterBits={setCounterBits}
+          segmentBits={segmentBits}
+          setSegmentBits={setSegmentBits}
+          aadText={aadText}
+          setAadText={setAadText}
+          numberOfRounds={numberOfRounds}
+          standardRounds={standardRounds}
+          setNumberOfRounds={setRoundCount}
+          finalMixColumns={finalMixColumns}
+          setFinalMixColumns={setFinalMixColumns}
           showRoundDetails={showRoundDetails}
           onToggleRoundDetails={() => setShowRoundDetails(!showRoundDetails)}
           onClear={handleClear}
         />
 
+        {/* Reduced-Round Warning */}
+        {isReducedRound && (
+          <div className="reduced-round-warning">
+            ⚠️ Reduced-round AES-{keySize}: {numberOfRounds} of {standardRounds} rounds
+            {finalMixColumns && ', with MixColumns kept in the last round'}.
+            This output is NOT real AES and is not secure, use it for cryptanalysis labs only.
+          </div>
+        )}
+
         {/* Error Display */}
         {error && (
           <div className="error-message">
@@ -158,17 +458,58 @@ function App() {
           cipherText={cipherText}
           setCipherText={setCipherText}
           onSwap={handleSwap}
+          inputType={inputType}
+          setInputType={setInputType}
+          inputFile={inputFile}
+          onFileSelected={handleFileSelected}
+          onProcessFile={() => handleProcessFile(inputFile)}
+          fileResult={fileResult}
+          fileBusy={fileBusy}
+          fileFormat={fileFormat}
+          setFileFormat={setFileFormat}
         />
 
         {/* Round Details Viewer */}
         {showRoundDetails && roundDetails && (
           <RoundDetailsViewer
             roundDetails={roundDetails}
+            blockTrace={blockTrace}
             keyExpansion={keyExpansionDetails}
             completeCipherPerRound={completeCipherPerRound}
+            modeDetails={modeDetails}
+            cipherMode={cipherMode}
+            authenticationDetails={authenticationDetails}
             mode={mode}
+            isReducedRound={isReducedRound}
           />
         )}
+
+        {/* Avalanche Effect Analyzer */}
+        <AvalancheAnalyzer />
+
+        {/* ECB Penguin (image encryption) */}
+        <ImageEncryptionDemo />
+
+        {/* Inverse Key Schedule (key from adjacent round keys) */}
+        <KeyScheduleInverter />
+
+        {/* Square Attack Lab (4-round AES) */}
+        <SquareAttackLab />
+
+        {/* Differential Fault Analysis Lab */}
+        <FaultAttackLab />
+
+        {/* Padding Oracle Lab (CBC) */}
+        <PaddingOracleLab />
+
+        {/* ECB Attack Workbench (byte-at-a-time and cut-and-paste) */}
+        <EcbAttackWorkbench />
+
+        {/* Nonce Reuse Lab (CTR/OFB crib dragging) */}
+        <NonceReuseLab />
+
+        {/* Conformance Test Report */}
+        <ConformanceReport />
       </main>
 
 
@@ -0,0 +1,330 @@
+import { useMemo, useState } from 'react';
+import './AvalancheAnalyzer.css';
+import {
+    analyzeAvalanche,
+    runAvalancheBatch,
+    AVALANCHE_TARGETS,
+    DEFAULT_AVALANCHE_TRIALS
+} from '../utils/aes/avalanche';
+import { AES_VARIANTS, BLOCK_SIZE } from '../utils/aes/constants';
+import { bytesToHex, hexToBytes, generateRandomBytes } from '../utils/aes/utils';
+
+// FIPS-197 Appendix C plain text and key, so the first run is a known example
+const DEFAULT_PLAIN_HEX = '00112233445566778899aabbccddeeff';
+const DEFAULT_KEY_HEX = '000102030405060708090a0b0c0d0e0f';
+
+// Bits in the AES state, and the number that should change on average
+const STATE_BITS = BLOCK_SIZE * 8;
+const IDEAL_BITS_CHANGED = STATE_BITS / 2;
+
+/**
+ * Bar chart of bits changed, with a dashed line at the ideal 64 bits
+ *
+ * @param {Object} props - Component props
+ * @param {Object[]} props.bars - One { value, label, title } per bar (label may be empty)
+ * @param {number} props.maxValue - Value at the top of the chart
+ * @param {number} [props.reference] - Value to draw the dashed line at
+ */
+function BarChart({ bars, maxValue, reference }) {
+    const width = 100 / bars.length;
+
+    return (
+        <div className="avalanche-chart">
+            <svg className="avalanche-chart-plot" viewBox="0 0 100 50" preserveAspectRatio="none">
+                {bars.map((bar, index) => (
+                    <rect
+                        key={index}
+                        className="avalanche-chart-bar"
+                        x={index * width + width * 0.1}
+                        y={50 - (bar.value / maxValue) * 50}
+                        width={width * 0.8}
+                        height={(bar.value / maxValue) * 50}
+                    >
+                        <title>{bar.title}</title>
+                    </rect>
+                ))}
+                {reference !== undefined && (
+                    <line
+                        className="avalanche-chart-reference"
+                        x1="0"
+                        x2="100"
+                        y1={50 - (reference / maxValue) * 50}
+                        y2={50 - (reference / maxValue) * 50}
+                    />
+                )}
+            </svg>
+            <div className="avalanche-chart-labels">
+                {bars.map((bar, index) => (
+                    <span key={index} style={{ width: `${width}%` }}>{bar.label}</span>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * The bits that differ between two states, laid out like the state matrix
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.label - Label above the grid
+ * @param {number[]} props.difference - The two states XORed, as 16 bytes
+ */
+function BitDifferenceGrid({ label, difference }) {
+    return (
+        <div className="avalanche-bit-grid">
+            <div className="avalanche-bit-grid-label">{label}</div>
+            <div className="avalanche-bit-grid-cells">
+                {/* The state is column-major: row r, column c holds byte 4c + r */}
+                {[0, 1, 2, 3].map(row => [0, 1, 2, 3].map(col => {
+                    const byte = difference[col * 4 + row];
+
+                    return (
+                        <div key={`${row}-${col}`} className="avalanche-bit-cell">
+                            {[7, 6, 5, 4, 3, 2, 1, 0].map(bit => (
+                                <span key={bit} className={`avalanche-bit ${(byte >> bit) & 1 ? 'flipped' : ''}`} />
+                            ))}
+                        </div>
+                    );
+                }))}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * AvalancheAnalyzer Component
+ *
+ * Demonstrates diffusion by encrypting a block twice, once with a single plain text
+ * or key bit flipped:
+ * - Hamming distance between the two states after every step, as a chart
+ * - Grid of the differing bits after every round
+ * - A batch of random flips, reporting the average bits changed overall and per round
+ */
+function AvalancheAnalyzer() {
+    const [keySize, setKeySize] = useState(128);
+    const [target, setTarget] = useState('plaintext');
+    const [plainHex, setPlainHex] = useState(DEFAULT_PLAIN_HEX);
+    const [keyHex, setKeyHex] = useState(DEFAULT_KEY_HEX);
+    const [bitIndex, setBitIndex] = useState(0);
+    const [trials, setTrials] = useState(DEFAULT_AVALANCHE_TRIALS);
+    const [batch, setBatch] = useState(null);
+    const [running, setRunning] = useState(false);
+
+    const keyLength = keySize / 8;
+    const bitCount = (target === 'key' ? keyLength : BLOCK_SIZE) * 8;
+    const clampedBitIndex = Math.min(bitIndex, bitCount - 1);
+
+    // Run both traced encryptions, keeping the validation error to show instead
+    const analysis = useMemo(() => {
+        const plainBytes = hexToBytes(plainHex);
+        const key = hexToBytes(keyHex);
+
+        if (plainBytes.length !== BLOCK_SIZE) {
+            return { result: null, error: `Plain text must be ${BLOCK_SIZE} bytes (${BLOCK_SIZE * 2} hex digits), got ${plainBytes.length}` };
+        }
+
+        if (key.length !== keyLength) {
+            return { result: null, error: `AES-${keySize} needs a ${keyLength}-byte key (${keyLength * 2} hex digits), got ${key.length}` };
+        }
+
+        try {
+            return { result: analyzeAvalanche(plainBytes, key, { target, bitIndex: clampedBitIndex }), error: '' };
+        } catch (err) {
+            return { result: null, error: err.message };
+        }
+    }, [plainHex, keyHex, keySize, keyLength, target, clampedBitIndex]);
+
+    const handleKeySizeChange = (newKeySize) => {
+        setKeySize(newKeySize);
+        setKeyHex(bytesToHex(generateRandomBytes(newKeySize / 8)));
+    };
+
+    const handleRunBatch = () => {
+        setRunning(true);
+
+        // Let the "Running" state render before the batch blocks the main thread
+        setTimeout(() => {
+            setBatch(runAvalancheBatch({ keySize, target, trials }));
+            setRunning(false);
+        }, 0);
+    };
+
+    const { result, error } = analysis;
+
+    return (
+        <div className="avalanche-container glass-effect">
+            <div className="avalanche-header">
+                <h2 className="avalanche-title">Avalanche Effect</h2>
+                <div className="avalanche-note">
+                    Flip one bit and watch the difference spread. After two rounds about half of the
+                    {` ${STATE_BITS}`} state bits should differ.
+                </div>
+            </div>
+
+            {/* Inputs */}
+            <div className="avalanche-inputs">
+                <label className="avalanche-field">
+                    Key Size
+                    <select
+                        className="avalanche-select"
+                        value={keySize}
+                        onChange={(e) => handleKeySizeChange(Number(e.target.value))}
+                    >
+                        {Object.keys(AES_VARIANTS).map(size => (
+                            <option key={size} value={size}>AES-{size}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="avalanche-field">
+                    Flip a bit of the
+                    <select
+                        className="avalanche-select"
+                        value={target}
+                        onChange={(e) => setTarget(e.target.value)}
+                    >
+                        {AVALANCHE_TARGETS.map(name => (
+                            <option key={name} value={name}>{name === 'key' ? 'Key' : 'Plain Text'}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="avalanche-field">
+                    Bit
+                    <input
+                        className="avalanche-number"
+                        type="number"
+                        min={0}
+                        max={bitCount - 1}
+                        value={clampedBitIndex}
+                        onChange={(e) => setBitIndex(Math.max(0, Math.min(bitCount - 1, Number(e.target.value) || 0)))}
+                    />
+                    <span className="avalanche-muted">0-{bitCount - 1}, 0 = most significant bit of byte 0</span>
+                </label>
+            </div>
+            <div className="avalanche-inputs">
+                <label className="avalanche-field avalanche-hex-field">
+                    Plain Text (hex)
+                    <input
+                        className="avalanche-hex mono-font"
+                        type="text"
+                        value={plainHex}
+                        onChange={(e) => setPlainHex(e.target.value)}
+                    />
+                    <button className="avalanche-button" onClick={() => setPlainHex(bytesToHex(generateRandomBytes(BLOCK_SIZE)))}>
+                        Random
+                    </button>
+                </label>
+                <label className="avalanche-field avalanche-hex-field">
+                    Key (hex)
+                    <input
+                        className="avalanche-hex mono-font"
+                        type="text"
+                        value={keyHex}
+                        onChange={(e) => setKeyHex(e.target.value)}
+                    />
+                    <button className="avalanche-button" onClick={() => setKeyHex(bytesToHex(generateRandomBytes(keyLength)))}>
+                        Random
+                    </button>
+                </label>
+            </div>
+
+            {error && <div className="avalanche-error">{error}</div>}
+
+            {result && (
+                <>
+                    {/* Single Flip */}
+                    <div className="avalanche-summary mono-font">
+                        <div>C  = {bytesToHex(result.cipherBytes)}</div>
+                        <div>C' = {bytesToHex(result.flippedCipherBytes)}</div>
+                        <div className="avalanche-summary-total">
+                            {result.outputDistance} of {STATE_BITS} cipher text bits changed
+                            ({((result.outputDistance / STATE_BITS) * 100).toFixed(1)}%)
+                        </div>
+                    </div>
+
+                    <h3 className="section-title">Bits Changed After Every Step</h3>
+                    <BarChart
+                        bars={result.steps.map((step, index) => ({
+                            value: step.distance,
+                            label: index === 0 || result.steps[index - 1].round !== step.round ? `R${step.round}` : '',
+                            title: `Round ${step.round}, ${step.step}: ${step.distance} bits`
+                        }))}
+                        maxValue={STATE_BITS}
+                        reference={IDEAL_BITS_CHANGED}
+                    />
+
+                    <h3 className="section-title">Differing Bits After Every Round</h3>
+                    <div className="avalanche-bit-grids">
+                        {result.rounds.map(round => (
+                            <BitDifferenceGrid
+                                key={round.round}
+                                label={`Round ${round.round}: ${round.distance} bits`}
+                                difference={round.difference}
+                            />
+                        ))}
+                    </div>
+                </>
+            )}
+
+            {/* Batch of Random Flips */}
+            <div className="avalanche-batch">
+                <h3 className="section-title">Random Flips</h3>
+                <div className="avalanche-inputs">
+                    <label className="avalanche-field">
+                        Trials
+                        <input
+                            className="avalanche-number"
+                            type="number"
+                            min={1}
+                            value={trials}
+                            onChange={(e) => setTrials(Math.max(1, Math.floor(Number(e.target.value)) || 1))}
+                        />
+                    </label>
+                    <button className="avalanche-button primary" onClick={handleRunBatch} disabled={running}>
+                        {running ? 'Running...' : `Flip Random ${target === 'key' ? 'Key' : 'Plain Text'} Bits`}
+                    </button>
+                </div>
+
+                {batch && (
+                    <>
+                        <div className="avalanche-summary mono-font">
+                            <div className="avalanche-summary-total">
+                                AES-{batch.keySize}, {batch.trials} random {batch.target === 'key' ? 'key' : 'plain text'} bit flips:
+                                {` ${batch.averageBitsChanged.toFixed(2)}`} bits changed on average
+                                ({((batch.averageBitsChanged / STATE_BITS) * 100).toFixed(1)}%)
+                            </div>
+                            <div>Fewest {batch.minBitsChanged}, most {batch.maxBitsChanged}</div>
+                        </div>
+
+                        <div className="avalanche-batch-charts">
+                            <div>
+                                <div className="avalanche-chart-title">Average Bits Changed After Each Round</div>
+                                <BarChart
+                                    bars={batch.averagePerRound.map((average, round) => ({
+                                        value: average,
+                                        label: `R${round}`,
+                                        title: `Round ${round}: ${average.toFixed(2)} bits`
+                                    }))}
+                                    maxValue={STATE_BITS}
+                                    reference={IDEAL_BITS_CHANGED}
+                                />
+                            </div>
+                            <div>
+                                <div className="avalanche-chart-title">Cipher Text Bits Changed (Trials per Count)</div>
+                                <BarChart
+                                    bars={batch.distribution.map((count, bits) => ({
+                                        value: count,
+                                        label: bits % 16 === 0 ? `${bits}` : '',
+                                        title: `${bits} bits: ${count} trials`
+                                    }))}
+                                    maxValue={Math.max(...batch.distribution)}
+                                />
+                            </div>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default AvalancheAnalyzer;
@@ -0,0 +1,313 @@
+import { useState } from 'react';
+import './ConformanceReport.css';
+import { runConformanceSuite, MONTE_CARLO_OUTER_ITERATIONS } from '../utils/aes/conformance';
+import { parseRspFile, runRspFile } from '../utils/aes/rspRunner';
+
+// Monte Carlo COUNT values run by default, the full 100 take several seconds in the browser
+const QUICK_MONTE_CARLO_ITERATIONS = 10;
+
+/**
+ * Split a value into bytes (two hex digits) or bits (CFB1) for the diff
+ * 
+ * @param {string} value - Hex string, bit string or 'FAIL'
+ * @param {string} unit - 'byte' or 'bit'
+ * @returns {string[]} One string per byte or bit ('FAIL' stays whole)
+ */
+function splitUnits(value, unit) {
+    if (value === 'FAIL') {
+        return [value];
+    }
+
+    return value.match(unit === 'bit' ? /./g : /../g) ?? [];
+}
+
+/**
+ * Show a value with every byte (or bit) that differs from the other value highlighted
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.value - Value to show
+ * @param {string} props.other - Value to compare against
+ * @param {string} props.unit - 'byte' or 'bit'
+ */
+function DiffValue({ value, other, unit }) {
+    const otherUnits = splitUnits(other, unit);
+
+    return (
+        <span className={`rsp-diff-value ${unit}`}>
+            {splitUnits(value, unit).map((part, index) => (
+                <span key={index} className={part !== otherUnits[index] ? 'rsp-diff-mismatch' : ''}>
+                    {part}
+                </span>
+            ))}
+        </span>
+    );
+}
+
+/**
+ * Parse and run one dropped or picked .rsp file
+ * A file that cannot be read or parsed (a binary file, a file with no COUNT records)
+ * becomes a failed report with the error instead of a rejected promise
+ * 
+ * @param {File} file - The .rsp file
+ * @returns {Promise<Object>} Report from runRspFile, or a failed report with an error message
+ */
+async function runDroppedRspFile(file) {
+    try {
+        const parsedFile = parseRspFile(await file.text(), file.name);
+
+        if (parsedFile.records.length === 0) {
+            throw new Error('No COUNT records found, this does not look like a CAVP .rsp file');
+        }
+
+        return runRspFile(parsedFile);
+    } catch (err) {
+        return {
+            fileName: file.name,
+            mode: null,
+            segmentBits: null,
+            results: [],
+            passed: 0,
+            failed: 1,
+            skipped: 0,
+            status: 'fail',
+            error: err.message
+        };
+    }
+}
+
+/**
+ * ConformanceReport Component
+ * 
+ * Runs the AES conformance suite (FIPS-197 examples and key expansion, AESAVS
+ * known-answer and Monte Carlo tests, SP 800-38A, GCM and PBKDF2 vectors, and the
+ * attack labs end to end) in the browser and shows a pass/fail report:
+ * - Overall totals
+ * - Pass/fail count for each test group
+ * - Expected and actual values for every failing check (or every check on request)
+ * 
+ * NIST CAVP .rsp files can also be dropped in (or picked) to run every record through
+ * the mode implementations, with the differing bytes of each failing record highlighted
+ */
+function ConformanceReport() {
+    const [report, setReport] = useState(null);
+    const [running, setRunning] = useState(false);
+    const [fullMonteCarlo, setFullMonteCarlo] = useState(false);
+    const [expandedGroups, setExpandedGroups] = useState({});
+    const [rspReports, setRspReports] = useState([]);
+    const [draggingFile, setDraggingFile] = useState(false);
+
+    const handleRun = () => {
+        setRunning(true);
+
+        // Let the "Running" state render before the suite blocks the main thread
+        setTimeout(async () => {
+            const startTime = performance.now();
+            const suiteReport = await runConformanceSuite({
+                monteCarloIterations: fullMonteCarlo ? MONTE_CARLO_OUTER_ITERATIONS : QUICK_MONTE_CARLO_ITERATIONS
+            });
+
+            setReport({ ...suiteReport, duration: performance.now() - startTime });
+            setExpandedGroups({});
+            setRunning(false);
+        }, 0);
+    };
+
+    // Parse and run every .rsp file, newest files first
+    const handleRspFiles = async (files) => {
+        const reports = await Promise.all(Array.from(files).map(runDroppedRspFile));
+
+        setRspReports(prev => [...reports, ...prev]);
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setDraggingFile(false);
+        handleRspFiles(e.dataTransfer.files);
+    };
+
+    const toggleGroup = (name) => {
+        setExpandedGroups(prev => ({
+            ...prev,
+            [name]: !prev[name]
+        }));
+    };
+
+    return (
+        <div className="conformance-container glass-effect">
+            <div className="conformance-header">
+                <h2 className="conformance-title">Conformance Tests</h2>
+                <div className="conformance-controls">
+                    <label className="conformance-option">
+                        <input
+                            type="checkbox"
+                            checked={fullMonteCarlo}
+                            onChange={(e) => setFullMonteCarlo(e.target.checked)}
+                        />
+                        Full Monte Carlo ({MONTE_CARLO_OUTER_ITERATIONS} x 1000, slow)
+                    </label>
+                    <button
+                        className="conformance-run-button"
+                        onClick={handleRun}
+                        disabled={running}
+                    >
+                        {running ? 'Running...' : 'Run Conformance Suite'}
+                    </button>
+                </div>
+            </div>
+
+            {report && (
+                <>
+                    <div className={`conformance-summary ${report.failed === 0 ? 'pass' : 'fail'}`}>
+                        {report.failed === 0 ? 'PASS' : 'FAIL'}: {report.passed} passed, {report.failed} failed
+                        ({(report.duration / 1000).toFixed(1)}s)
+                    </div>
+
+                    <div className="conformance-groups">
+                        {report.groups.map(group => {
+                            // Failing checks are always listed, passing ones only when expanded
+                            const visibleResults = expandedGroups[group.name]
+                                ? group.results
+                                : group.results.filter(result => !result.passed);
+
+                            return (
+                                <div key={group.name} className="conformance-group">
+                                    <button
+                                        className="conformance-group-header"
+                                        onClick={() => toggleGroup(group.name)}
+                                    >
+                                        <span className={`conformance-badge ${group.failed === 0 ? 'pass' : 'fail'}`}>
+                                            {group.failed === 0 ? 'PASS' : 'FAIL'}
+                                        </span>
+                                        <span className="conformance-group-name">{group.name}</span>
+                                        <span className="conformance-group-count">
+                                            {group.passed}/{group.results.length}
+                                        </span>
+                                        <span className="expand-icon">
+                                            {expandedGroups[group.name] ? '▼' : '▶'}
+                                        </span>
+                                    </button>
+                                    <div className="conformance-group-description">{group.description}</div>
+
+                                    {visibleResults.length > 0 && (
+                                        <div className="conformance-results">
+                                            {visibleResults.map((result, index) => (
+                                                <div
+                                                    key={index}
+                                                    className={`conformance-result mono-font ${result.passed ? 'pass' : 'fail'}`}
+                                                >
+                                                    <span className="conformance-result-name">
+                                                        {result.passed ? '✓' : '✗'} {result.name}
+                                                    </span>
+                                                    <span>expected: {result.expected}</span>
+                                                    {!result.passed && <span>actual:   {result.actual}</span>}
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+                            );
+                        })}
+                    </div>
+                </>
+            )}
+
+            {/* CAVP .rsp Files */}
+            <div
+                className={`rsp-drop-zone ${draggingFile ? 'dragging' : ''}`}
+                onDragOver={(e) => {
+                    e.preventDefault();
+                    setDraggingFile(true);
+                }}
+                onDragLeave={() => setDraggingFile(false)}
+                onDrop={handleDrop}
+            >
+                <span>Drop NIST CAVP .rsp files here (ECBVarKey256.rsp, CBCMMT256.rsp, gcmEncryptExtIV256.rsp, ...) or</span>
+                <label className="conformance-run-button">
+                    Choose Files
+                    <input
+                        type="file"
+                        accept=".rsp"
+                        multiple
+                        hidden
+                        onChange={(e) => {
+                            handleRspFiles(e.target.files);
+                            e.target.value = '';
+                        }}
+                    />
+                </label>
+                {rspReports.length > 0 && (
+                    <button className="rsp-clear-button" onClick={() => setRspReports([])}>
+                        Clear
+                    </button>
+                )}
+            </div>
+
+            {rspReports.length > 0 && (
+                <div className="conformance-groups">
+                    {rspReports.map((rspReport, reportIndex) => {
+                        const groupKey = `rsp-${reportIndex}-${rspReport.fileName}`;
+                        const modeName = rspReport.segmentBits ? `CFB${rspReport.segmentBits}` : rspReport.mode;
+
+                        // Failing and skipped records are always listed, passing ones only when expanded
+                        const visibleResults = expandedGroups[groupKey]
+                            ? rspReport.results
+                            : rspReport.results.filter(result => result.status !== 'pass');
+
+                        return (
+                            <div key={groupKey} className="conformance-group">
+                                <button
+                                    className="conformance-group-header"
+                                    onClick={() => toggleGroup(groupKey)}
+                                >
+                                    <span className={`conformance-badge ${rspReport.status}`}>
+                                        {rspReport.status.toUpperCase()}
+                                    </span>
+                                    <span className="conformance-group-name">{rspReport.fileName}</span>
+                                    <span className="conformance-group-count">
+                                        {rspReport.passed}/{rspReport.results.length}
+                                        {rspReport.skipped > 0 && ` (${rspReport.skipped} skipped)`}
+                                    </span>
+                                    <span className="expand-icon">
+                                        {expandedGroups[groupKey] ? '▼' : '▶'}
+                                    </span>
+                                </button>
+                                <div className="conformance-group-description">
+                                    {rspReport.error
+                                        ? `Could not be run: ${rspReport.error}`
+                                        : `${modeName ?? 'Unknown mode'}: ${rspReport.passed} passed, ${rspReport.failed} failed, ${rspReport.skipped} skipped`}
+                                </div>
+
+                                {visibleResults.length > 0 && (
+                                    <div className="conformance-results">
+                                        {visibleResults.map((result, index) => (
+                                            <div
+                                                key={index}
+                                                className={`conformance-result mono-font ${result.status}`}
+                                            >
+                                                <span className="conformance-result-name">
+                                                    {result.status === 'pass' ? '✓' : result.status === 'fail' ? '✗' : '–'} {result.label} ({result.direction}, line {result.lineNumber})
+                                                </span>
+                                                {result.status === 'skip' && <span>skipped: {result.reason}</span>}
+                                                {result.status === 'pass' && <span>expected: {result.expected}</span>}
+                                                {result.status === 'fail' && result.reason && <span>error: {result.reason}</span>}
+                                                {result.status === 'fail' && !result.reason && (
+                                                    <>
+                                                        <span>first mismatch at {result.unit} {result.mismatchIndex}</span>
+                                                        <span>expected: <DiffValue value={result.expected} other={result.actual} unit={result.unit} /></span>
+                                                        <span>actual:   <DiffValue value={result.actual} other={result.expected} unit={result.unit} /></span>
+                                                    </>
+                                                )}
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ConformanceReport;
@@ -1,14 +1,42 @@
 import './ControlPanel.css';
+import { CIPHER_MODES, CTR_COUNTER_SIZES, CFB_SEGMENT_SIZES, MIN_NUMBER_OF_ROUNDS } from '../utils/aes/constants';
 
 /**
  * ControlPanel Component
  * 
  * Provides controls for:
  * - Switching between encryption and decryption modes
+ * - Selecting the cipher mode of operation (ECB, CBC, CFB, OFB, CTR, GCM)
+ * - Entering an IV for modes that use one (random if left empty)
+ * - Choosing the nonce/counter split for CTR mode
+ * - Choosing the segment size for CFB mode
+ * - Entering additional authenticated data (AAD) for GCM mode
+ * - Choosing a reduced round count, and whether the last round keeps MixColumns
  * - Toggling round details view
  * - Clearing all inputs and outputs
  */
-function ControlPanel({ mode, onModeSwitch, showRoundDetails, onToggleRoundDetails, onClear }) {
+function ControlPanel({
+    mode,
+    onModeSwitch,
+    cipherMode,
+    setCipherMode,
+    ivHex,
+    setIvHex,
+    counterBits,
+    setCounterBits,
+    segmentBits,
+    setSegmentBits,
+    aadText,
+    setAadText,
+    numberOfRounds,
+    standardRounds,
+    setNumberOfRounds,
+    finalMixColumns,
+    setFinalMixColumns,
+    showRoundDetails,
+    onToggleRoundDetails,
+    onClear
+}) {
     return (
         <div className="control-panel glass-effect">
             <div className="control-group">
@@ -28,6 +56,104 @@ function ControlPanel({ mode, onModeSwitch, showRoundDetails, onToggleRoundDetai
                 </button>
             </div>
 
+            <div className="control-group">
+                {/* Cipher Mode Selector */}
+                <select
+                    className="cipher-mode-select"
+                    value={cipherMode}
+                    onChange={(e) => setCipherMode(e.target.value)}
+                    title="Mode of operation"
+                >
+                    {Object.entries(CIPHER_MODES).map(([modeName, modeInfo]) => (
+                        <option key={modeName} value={modeName}>
+                            {modeName} - {modeInfo.name}
+                        </option>
+                    ))}
+                </select>
+
+                {/* IV Input (encryption only, decryption reads the IV from the cipher text) */}
+                {CIPHER_MODES[cipherMode].usesIv && mode === 'encrypt' && (
+                    <input
+                        type="text"
+                        className="iv-input mono-font"
+                        placeholder={cipherMode === 'CTR'
+                            ? 'Nonce or counter block (hex, empty = random)'
+                            : `IV (${CIPHER_MODES[cipherMode].ivLength * 2} hex chars, empty = random)`}
+                        value={ivHex}
+                        onChange={(e) => setIvHex(e.target.value)}
+                    />
+                )}
+
+                {/* CTR Nonce/Counter Split */}
+                {cipherMode === 'CTR' && (
+                    <select
+                        className="cipher-mode-select"
+                        value={counterBits}
+                        onChange={(e) => setCounterBits(Number(e.target.value))}
+                        title="Nonce/counter split"
+                    >
+                        {CTR_COUNTER_SIZES.map(bits => (
+                            <option key={bits} value={bits}>
+                                {128 - bits}-bit nonce / {bits}-bit counter
+                            </option>
+                        ))}
+                    </select>
+                )}
+
+                {/* CFB Segment Size */}
+                {cipherMode === 'CFB' && (
+                    <select
+                        className="cipher-mode-select"
+                        value={segmentBits}
+                        onChange={(e) => setSegmentBits(Number(e.target.value))}
+                        title="Segment size"
+                    >
+                        {CFB_SEGMENT_SIZES.map(bits => (
+                            <option key={bits} value={bits}>
+                                CFB-{bits} ({bits}-bit segments)
+                            </option>
+                        ))}
+                    </select>
+                )}
+
+                {/* GCM Additional Authenticated Data (needed for both encryption and decryption) */}
+                {CIPHER_MODES[cipherMode].authenticated && (
+                    <input
+                        type="text"
+                        className="iv-input"
+                        placeholder="Additional authenticated data (optional)"
+                        value={aadText}
+                        onChange={(e) => setAadText(e.target.value)}
+                    />
+                )}
+            </div>
+
+            <div className="control-group">
+                {/* Round Count (fewer than Nr rounds is reduced-round AES, not AES) */}
+                <select
+                    className={`cipher-mode-select ${numberOfRounds < standardRounds ? 'reduced' : ''}`}
+                    value={numberOfRounds}
+                    onChange={(e) => setNumberOfRounds(Number(e.target.value))}
+                    title="Number of rounds"
+                >
+                    {Array.from({ length: standardRounds - MIN_NUMBER_OF_ROUNDS + 1 }, (_, i) => standardRounds - i).map(rounds => (
+                        <option key={rounds} value={rounds}>
+                            {rounds} rounds{rounds === standardRounds ? ' (AES)' : ' (reduced)'}
+                        </option>
+                    ))}
+                </select>
+
+                {/* Keep MixColumns in the last round (also not AES) */}
+                <label className={`round-option ${finalMixColumns ? 'reduced' : ''}`}>
+                    <input
+                        type="checkbox"
+                        checked={finalMixColumns}
+                        onChange={(e) => setFinalMixColumns(e.target.checked)}
+                    />
+                    MixColumns in last round
+                </label>
+            </div>
+
             <div className="control-group">
                 {/* Round Details Toggle */}
                 <button
@@ -0,0 +1,360 @@
+import { useState } from 'react';
+import './EcbAttackWorkbench.css';
+import {
+    createProfileOracle,
+    createSuffixOracle,
+    getBlock,
+    runByteAtATimeAttack,
+    runCutAndPasteAttack
+} from '../utils/aes/ecbAttacks';
+import { DEFAULT_KEY_SIZE } from '../utils/aes/constants';
+import { bytesToHex, bytesToText, generateRandomKey, textToBytes } from '../utils/aes/utils';
+
+const DEFAULT_SECRET_SUFFIX = 'Rollin\' in my 5.0 with my rag-top down so my hair can blow';
+const DEFAULT_TARGET_ROLE = 'admin';
+const DEFAULT_EMAIL_DOMAIN = 'evil.com';
+
+/**
+ * Format bytes as spaced hex
+ *
+ * @param {number[]} bytes - Bytes to format
+ * @returns {string} Hex bytes separated by spaces
+ */
+function formatBytes(bytes) {
+    return bytes.map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+}
+
+/**
+ * Show bytes as text, with · for bytes that are not printable ASCII
+ *
+ * @param {number[]} bytes - Bytes to show
+ * @returns {string} One character per byte
+ */
+function toPrintable(bytes) {
+    return bytes.map(byte => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '·')).join('');
+}
+
+/**
+ * The blocks of one profile server query, plain text next to cipher text
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.title - Heading of the query
+ * @param {Object} props.query - The query (see runCutAndPasteAttack)
+ * @param {number[]} props.usedBlocks - Blocks that go into the forged cipher text
+ */
+function ProfileQuery({ title, query, usedBlocks }) {
+    return (
+        <div className="ecb-query mono-font">
+            <div className="ecb-query-title">{title}</div>
+            <div>
+                <span className="ecb-label">Email sent</span>
+                {JSON.stringify(query.email)}
+            </div>
+            <div>
+                <span className="ecb-label">Server encrypts</span>
+                {JSON.stringify(query.profileText)}
+            </div>
+            <table className="ecb-table">
+                <thead>
+                    <tr>
+                        <th>Block</th>
+                        <th>Plain text</th>
+                        <th>Cipher text</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {query.cipherBlocks.map((cipherBlock, blockIndex) => (
+                        <tr key={blockIndex} className={usedBlocks.includes(blockIndex) ? 'used' : ''}>
+                            <td>{blockIndex}</td>
+                            <td className="ecb-text">{toPrintable(query.plainBlocks[blockIndex])}</td>
+                            <td>{formatBytes(cipherBlock)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+/**
+ * EcbAttackWorkbench Component
+ *
+ * Two exercises against local ECB oracles built on encryptText:
+ * - Byte-at-a-time decryption of a secret suffix the oracle appends to every input, with
+ *   every guess and the block it was compared against
+ * - Cut-and-paste forgery of an admin profile by splicing blocks from two cipher texts,
+ *   with the blocks of each query and where every forged block came from
+ */
+function EcbAttackWorkbench() {
+    const [key] = useState(() => generateRandomKey(DEFAULT_KEY_SIZE));
+
+    // Byte-at-a-time
+    const [secretSuffix, setSecretSuffix] = useState(DEFAULT_SECRET_SUFFIX);
+    const [suffixProgress, setSuffixProgress] = useState(null);
+    const [suffixResult, setSuffixResult] = useState(null);
+    const [selectedByte, setSelectedByte] = useState(null);
+    const [running, setRunning] = useState(false);
+
+    // Cut-and-paste
+    const [targetRole, setTargetRole] = useState(DEFAULT_TARGET_ROLE);
+    const [emailDomain, setEmailDomain] = useState(DEFAULT_EMAIL_DOMAIN);
+    const [forgery, setForgery] = useState(null);
+
+    const [error, setError] = useState('');
+
+    const handleRunByteAtATime = async () => {
+        setRunning(true);
+        setSuffixProgress(null);
+        setSuffixResult(null);
+        setSelectedByte(null);
+        setError('');
+
+        try {
+            const oracle = createSuffixOracle(key, textToBytes(secretSuffix), { keySize: DEFAULT_KEY_SIZE });
+            setSuffixResult(await runByteAtATimeAttack(oracle, {
+                onProgress: ({ blockSize, recovered, suffixLength, queries, bytes }) => {
+                    setSuffixProgress({ blockSize, recovered, suffixLength, queries, bytes: [...bytes] });
+                }
+            }));
+        } catch (err) {
+            setError(err.message);
+        }
+
+        setRunning(false);
+    };
+
+    const handleRunCutAndPaste = () => {
+        try {
+            const oracle = createProfileOracle(key, { keySize: DEFAULT_KEY_SIZE });
+            setForgery(runCutAndPasteAttack(oracle, { targetRole, domain: emailDomain }));
+            setError('');
+        } catch (err) {
+            setForgery(null);
+            setError(err.message);
+        }
+    };
+
+    const suffixState = suffixResult ?? suffixProgress;
+    const suffixBytes = suffixState ? suffixState.bytes : [];
+    const recoveredBytes = suffixBytes.filter(byte => byte.value !== null).map(byte => byte.value);
+    const selected = selectedByte === null ? null : suffixBytes[selectedByte];
+
+    return (
+        <div className="ecb-container glass-effect">
+            <div className="ecb-header">
+                <h2 className="ecb-title">ECB Attack Workbench</h2>
+                <div className="ecb-note">
+                    ECB encrypts every block on its own, so equal plain text blocks give equal cipher text blocks.
+                    Both exercises only use the cipher texts a server hands out.
+                </div>
+                <div className="ecb-muted mono-font">
+                    Server key: AES-{DEFAULT_KEY_SIZE} {bytesToHex(key)} (unknown to the attacker)
+                </div>
+            </div>
+
+            {error && <div className="ecb-error">{error}</div>}
+
+            {/* Byte-at-a-time decryption */}
+            <div className="ecb-section">
+                <h3 className="section-title">1. Byte-at-a-Time Decryption</h3>
+                <div className="ecb-note">
+                    The oracle returns E(input ‖ secret). With one byte less than a block of filler the first
+                    secret byte ends a block of known bytes, so trying all 256 values for it and comparing that
+                    block finds it. Each next byte shifts the input one place.
+                </div>
+                <div className="ecb-inputs">
+                    <label className="ecb-field ecb-wide-field">
+                        Secret suffix
+                        <input
+                            className="ecb-input"
+                            type="text"
+                            value={secretSuffix}
+                            onChange={(e) => setSecretSuffix(e.target.value)}
+                            disabled={running}
+                        />
+                    </label>
+                    <button className="ecb-button primary" onClick={handleRunByteAtATime} disabled={running}>
+                        {running ? 'Attacking...' : 'Run Byte-at-a-Time'}
+                    </button>
+                </div>
+
+                {suffixState && (
+                    <div className="ecb-stats">
+                        <span>Block size {suffixState.blockSize}</span>
+                        <span>{recoveredBytes.length} of {suffixState.suffixLength} bytes</span>
+                        <span>{suffixState.queries} oracle queries</span>
+                    </div>
+                )}
+
+                {suffixResult && (
+                    <div className="ecb-query mono-font">
+                        <div className="ecb-query-title">Finding the block size and mode</div>
+                        <table className="ecb-table">
+                            <thead>
+                                <tr>
+                                    <th>Input</th>
+                                    <th>Cipher text</th>
+                                    <th>Blocks</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {suffixResult.detection.map((query, index) => (
+                                    <tr key={index}>
+                                        <td>{query.input.length ? `${query.input.length} × ${toPrintable(query.input.slice(0, 1))}` : 'empty'}</td>
+                                        <td>{query.cipherBytes.length} bytes</td>
+                                        <td>
+                                            {formatBytes(getBlock(query.cipherBytes, 0, suffixResult.blockSize))}
+                                            {index === suffixResult.detection.length - 1 && (
+                                                <span className="ecb-match">
+                                                    {' '}= block 1, so ECB
+                                                </span>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                {suffixBytes.length > 0 && (
+                    <>
+                        <div className="ecb-recovered mono-font">
+                            <span className="ecb-label">Recovered</span>
+                            <span className="ecb-text">{bytesToText(recoveredBytes)}</span>
+                        </div>
+                        <div className="ecb-bytes mono-font">
+                            {suffixBytes.map(byte => (
+                                <button
+                                    key={byte.index}
+                                    className={`ecb-byte ${selectedByte === byte.index ? 'selected' : ''} ${byte.value === null ? 'missing' : ''}`}
+                                    onClick={() => setSelectedByte(selectedByte === byte.index ? null : byte.index)}
+                                    title={`Byte ${byte.index}: ${byte.queries.length} guesses`}
+                                >
+                                    {byte.value === null ? '??' : toPrintable([byte.value])}
+                                </button>
+                            ))}
+                        </div>
+                        <div className="ecb-muted">Pick a byte to see its oracle queries.</div>
+                    </>
+                )}
+
+                {selected && (
+                    <div className="ecb-query mono-font">
+                        <div className="ecb-query-title">
+                            Byte {selected.index}: {selected.padding.length} filler bytes, compare block {selected.blockIndex}
+                        </div>
+                        <div>
+                            <span className="ecb-label">Reference</span>
+                            E({toPrintable(selected.padding)} ‖ secret) block {selected.blockIndex} = {formatBytes(selected.reference)}
+                        </div>
+                        <table className="ecb-table">
+                            <thead>
+                                <tr>
+                                    <th>Guess</th>
+                                    <th>Input block {selected.blockIndex}</th>
+                                    <th>Cipher block {selected.blockIndex}</th>
+                                    <th>Match</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {selected.queries.map(query => (
+                                    <tr key={query.guess} className={query.matches ? 'used' : ''}>
+                                        <td>{query.guess.toString(16).padStart(2, '0')}</td>
+                                        <td className="ecb-text">
+                                            {toPrintable(getBlock(query.input, selected.blockIndex, suffixState.blockSize))}
+                                        </td>
+                                        <td>{formatBytes(query.block)}</td>
+                                        <td className={query.matches ? 'ecb-match' : 'ecb-muted'}>{query.matches ? '✓' : '✗'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            {/* Cut-and-paste */}
+            <div className="ecb-section">
+                <h3 className="section-title">2. Cut-and-Paste Profile</h3>
+                <div className="ecb-note">
+                    The server encrypts email=...&amp;uid=10&amp;role=user for any email, removing &amp; and =.
+                    One email puts the role and its padding in a block of its own, another ends a block with
+                    role=. Splicing the blocks gives a cipher text the server reads as the chosen role.
+                </div>
+                <div className="ecb-inputs">
+                    <label className="ecb-field">
+                        Role
+                        <input
+                            className="ecb-input"
+                            type="text"
+                            value={targetRole}
+                            onChange={(e) => setTargetRole(e.target.value)}
+                        />
+                    </label>
+                    <label className="ecb-field">
+                        Email domain
+                        <input
+                            className="ecb-input"
+                            type="text"
+                            value={emailDomain}
+                            onChange={(e) => setEmailDomain(e.target.value)}
+                        />
+                    </label>
+                    <button className="ecb-button primary" onClick={handleRunCutAndPaste}>
+                        Forge Profile
+                    </button>
+                </div>
+
+                {forgery && (
+                    <>
+                        <ProfileQuery
+                            title="Query 1: isolate the role block"
+                            query={forgery.roleQuery}
+                            usedBlocks={[forgery.roleBlockIndex]}
+                        />
+                        <ProfileQuery
+                            title="Query 2: end a block with role="
+                            query={forgery.prefixQuery}
+                            usedBlocks={Array.from({ length: forgery.prefixBlockCount }, (_, index) => index)}
+                        />
+
+                        <div className="ecb-query mono-font">
+                            <div className="ecb-query-title">Spliced cipher text</div>
+                            <table className="ecb-table">
+                                <thead>
+                                    <tr>
+                                        <th>Block</th>
+                                        <th>Taken from</th>
+                                        <th>Decrypts to</th>
+                                        <th>Cipher text</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {forgery.splice.map((block, index) => (
+                                        <tr key={index}>
+                                            <td>{index}</td>
+                                            <td>Query {block.source === 'role' ? 1 : 2}, block {block.blockIndex}</td>
+                                            <td className="ecb-text">{toPrintable(block.plainBlock)}</td>
+                                            <td>{formatBytes(block.cipherBlock)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        <div className={`ecb-summary ${forgery.success ? 'success' : 'fail'}`}>
+                            <div>Server decrypts: <span className="mono-font">{forgery.forged.text}</span></div>
+                            <div>
+                                Role read by the server: <strong>{forgery.forged.profile.role}</strong>
+                                {forgery.success ? ', forged without the key' : ''}
+                            </div>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default EcbAttackWorkbench;
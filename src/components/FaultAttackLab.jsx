@@ -0,0 +1,383 @@
+import { useState } from 'react';
+import './FaultAttackLab.css';
+import {
+    addFaultPair,
+    createFaultAnalysis,
+    DFA_FAULT_STEP,
+    getCandidateCounts,
+    getFaultDiagonal,
+    injectFaultPair,
+    MAX_FAULT_PAIRS,
+    recoverFaultAnalysisKey
+} from '../utils/aes/faultAnalysis';
+import { getFaultSteps } from '../utils/aes/encryption';
+import { AES_VARIANTS, BLOCK_SIZE, DEFAULT_FAULT_MASK, FAULT_TYPES } from '../utils/aes/constants';
+import { bytesToHex, hexToBytes, generateRandomBytes, getAesVariant } from '../utils/aes/utils';
+
+// Key size the lab starts with (the Piret–Quisquater paper attacks AES-128)
+const INITIAL_KEY_SIZE = 128;
+
+const FAULT_TYPE_LABELS = {
+    flip: 'Flip bits',
+    random: 'Random value'
+};
+
+/**
+ * Format a byte as two hex digits
+ *
+ * @param {number} byte - The byte
+ * @returns {string} Two hex digits
+ */
+function toHex(byte) {
+    return byte.toString(16).padStart(2, '0');
+}
+
+/**
+ * Cipher text bytes, with the ones that differ from another cipher text highlighted
+ *
+ * @param {Object} props - Component props
+ * @param {number[]} props.bytes - Cipher text to show
+ * @param {number[]} props.other - Cipher text to compare with
+ */
+function CipherBytes({ bytes, other }) {
+    return (
+        <span className="fault-bytes mono-font">
+            {bytes.map((byte, index) => (
+                <span key={index} className={byte !== other[index] ? 'fault-byte-diff' : ''}>
+                    {toHex(byte)}
+                </span>
+            ))}
+        </span>
+    );
+}
+
+/**
+ * FaultAttackLab Component
+ *
+ * Piret–Quisquater differential fault analysis of the last round key:
+ * - Choose where the fault goes (round, step, state byte) and what it does to the byte
+ * - Every injected fault gives a correct/faulty cipher text pair, and the candidates
+ *   for the 4 key bytes of the faulty column shrink with each pair
+ * - Once one candidate is left per column, the last round key (and for AES-128 the
+ *   key, by running the key schedule backwards) is shown
+ */
+function FaultAttackLab() {
+    const [keySize, setKeySize] = useState(INITIAL_KEY_SIZE);
+    const [keyHex, setKeyHex] = useState(() => bytesToHex(generateRandomBytes(INITIAL_KEY_SIZE / 8)));
+    const [faultRound, setFaultRound] = useState(AES_VARIANTS[INITIAL_KEY_SIZE].numberOfRounds - 1);
+    const [faultStep, setFaultStep] = useState(DFA_FAULT_STEP);
+    const [byteIndex, setByteIndex] = useState(0);
+    const [randomByteIndex, setRandomByteIndex] = useState(true);
+    const [faultType, setFaultType] = useState('random');
+    const [maskHex, setMaskHex] = useState(toHex(DEFAULT_FAULT_MASK));
+    const [analysis, setAnalysis] = useState(createFaultAnalysis);
+    const [error, setError] = useState('');
+
+    const { keySizeBytes, numberOfRounds } = getAesVariant(keySize);
+    const key = hexToBytes(keyHex);
+    const keyError = key.length === keySizeBytes ? '' : `AES-${keySize} requires a ${keySizeBytes}-byte key (${keySizeBytes * 2} hex digits), got ${key.length}`;
+    const faultSteps = getFaultSteps(faultRound, numberOfRounds);
+    const recovery = recoverFaultAnalysisKey(analysis, keySize);
+    const candidateCounts = getCandidateCounts(analysis);
+    const lastPair = analysis.pairs[analysis.pairs.length - 1];
+
+    // A new key or key size makes the collected pairs meaningless
+    const resetAnalysis = () => {
+        setAnalysis(createFaultAnalysis());
+        setError('');
+    };
+
+    const handleKeySizeChange = (newKeySize) => {
+        const newRounds = AES_VARIANTS[newKeySize].numberOfRounds;
+        setKeySize(newKeySize);
+        setKeyHex(bytesToHex(generateRandomBytes(newKeySize / 8)));
+        setFaultRound(newRounds - 1);
+        setFaultStep(DFA_FAULT_STEP);
+        resetAnalysis();
+    };
+
+    const handleFaultRoundChange = (round) => {
+        const steps = getFaultSteps(round, numberOfRounds);
+        setFaultRound(round);
+        if (!steps.includes(faultStep)) {
+            setFaultStep(steps[0]);
+        }
+    };
+
+    // Inject one fault into a random plain text and add the pair to the analysis
+    const collectPair = (currentAnalysis) => {
+        const fault = {
+            round: faultRound,
+            step: faultStep,
+            byteIndex: randomByteIndex ? generateRandomBytes(1)[0] % BLOCK_SIZE : byteIndex,
+            type: faultType,
+            mask: parseInt(maskHex, 16)
+        };
+
+        return addFaultPair(currentAnalysis, injectFaultPair(generateRandomBytes(BLOCK_SIZE), key, keySize, fault));
+    };
+
+    const handleInjectFault = () => {
+        try {
+            setAnalysis(collectPair(analysis));
+            setError('');
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleRunUntilRecovered = () => {
+        try {
+            let nextAnalysis = analysis;
+            for (let pair = 0; pair < MAX_FAULT_PAIRS && !recoverFaultAnalysisKey(nextAnalysis, keySize).lastRoundKey; pair++) {
+                nextAnalysis = collectPair(nextAnalysis);
+            }
+            setAnalysis(nextAnalysis);
+            setError('');
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const isExpectedLocation = faultRound === numberOfRounds - 1 && faultStep !== 'AddRoundKey';
+
+    return (
+        <div className="fault-container glass-effect">
+            <div className="fault-header">
+                <h2 className="fault-title">Fault Attack Lab</h2>
+                <div className="fault-note">
+                    Differential fault analysis (Piret–Quisquater): the attacker gets the same plain text
+                    encrypted with and without a one-byte fault in round Nr - 1, before MixColumns.
+                </div>
+            </div>
+
+            {/* Key */}
+            <div className="fault-inputs">
+                <label className="fault-field">
+                    Key Size
+                    <select
+                        className="fault-input"
+                        value={keySize}
+                        onChange={(e) => handleKeySizeChange(Number(e.target.value))}
+                    >
+                        {Object.keys(AES_VARIANTS).map(size => (
+                            <option key={size} value={size}>AES-{size}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="fault-field fault-key-field">
+                    Secret Key (hex)
+                    <input
+                        className="fault-input mono-font"
+                        type="text"
+                        value={keyHex}
+                        onChange={(e) => {
+                            setKeyHex(e.target.value);
+                            resetAnalysis();
+                        }}
+                    />
+                    <button
+                        className="fault-button"
+                        onClick={() => {
+                            setKeyHex(bytesToHex(generateRandomBytes(keySizeBytes)));
+                            resetAnalysis();
+                        }}
+                    >
+                        Random
+                    </button>
+                </label>
+            </div>
+
+            {keyError && <div className="fault-error">{keyError}</div>}
+
+            {/* Fault Location */}
+            <div className="fault-section">
+                <h3 className="section-title">1. Inject a Fault</h3>
+                <div className="fault-inputs">
+                    <label className="fault-field">
+                        Round
+                        <select
+                            className="fault-input"
+                            value={faultRound}
+                            onChange={(e) => handleFaultRoundChange(Number(e.target.value))}
+                        >
+                            {Array.from({ length: numberOfRounds + 1 }, (_, round) => (
+                                <option key={round} value={round}>{round}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="fault-field">
+                        Before
+                        <select
+                            className="fault-input"
+                            value={faultStep}
+                            onChange={(e) => setFaultStep(e.target.value)}
+                        >
+                            {faultSteps.map(step => (
+                                <option key={step} value={step}>{step}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="fault-field">
+                        State byte
+                        <select
+                            className="fault-input"
+                            value={byteIndex}
+                            onChange={(e) => setByteIndex(Number(e.target.value))}
+                            disabled={randomByteIndex}
+                        >
+                            {Array.from({ length: BLOCK_SIZE }, (_, index) => (
+                                <option key={index} value={index}>{index}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="fault-field">
+                        <input
+                            type="checkbox"
+                            checked={randomByteIndex}
+                            onChange={(e) => setRandomByteIndex(e.target.checked)}
+                        />
+                        Random byte each time
+                    </label>
+                    <label className="fault-field">
+                        Fault
+                        <select
+                            className="fault-input"
+                            value={faultType}
+                            onChange={(e) => setFaultType(e.target.value)}
+                        >
+                            {FAULT_TYPES.map(type => (
+                                <option key={type} value={type}>{FAULT_TYPE_LABELS[type]}</option>
+                            ))}
+                        </select>
+                    </label>
+                    {faultType === 'flip' && (
+                        <label className="fault-field">
+                            Mask (hex)
+                            <input
+                                className="fault-input fault-mask mono-font"
+                                type="text"
+                                value={maskHex}
+                                onChange={(e) => setMaskHex(e.target.value)}
+                            />
+                        </label>
+                    )}
+                </div>
+
+                {!isExpectedLocation && (
+                    <div className="fault-warning">
+                        The analysis expects a single-byte fault in round {numberOfRounds - 1} before MixColumns
+                        (or before its SubBytes or ShiftRows). Pairs whose cipher texts do not differ in exactly
+                        one diagonal of 4 bytes are rejected.
+                    </div>
+                )}
+
+                <div className="fault-actions">
+                    <button className="fault-button primary" onClick={handleInjectFault} disabled={Boolean(keyError)}>
+                        Inject Fault
+                    </button>
+                    <button className="fault-button" onClick={handleRunUntilRecovered} disabled={Boolean(keyError)}>
+                        Run Until Recovered
+                    </button>
+                    <button className="fault-button" onClick={resetAnalysis} disabled={analysis.pairs.length === 0}>
+                        Reset
+                    </button>
+                </div>
+
+                {error && <div className="fault-error">{error}</div>}
+            </div>
+
+            {/* Candidates */}
+            {analysis.pairs.length > 0 && (
+                <div className="fault-section">
+                    <h3 className="section-title">2. Last Round Key Candidates</h3>
+                    <div className="fault-note">
+                        Each faulty column of round {numberOfRounds - 1} ends up in 4 cipher text bytes, so every
+                        pair narrows the candidates for those 4 bytes of the round {numberOfRounds} key.
+                    </div>
+                    <div className="fault-columns">
+                        {candidateCounts.map((count, column) => (
+                            <div
+                                key={column}
+                                className={`fault-column ${count === 1 ? 'found' : ''} ${lastPair.column === column ? 'latest' : ''}`}
+                            >
+                                <div className="fault-column-label">
+                                    Column {column} (bytes {getFaultDiagonal(column).join(', ')})
+                                </div>
+                                <div className="fault-column-count mono-font">
+                                    {analysis.candidates[column]
+                                        ? `${count} candidate${count === 1 ? '' : 's'}`
+                                        : '2^32 (no pair yet)'}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="fault-key-space">
+                        Remaining key space: {lastPair.keySpaceBits.toFixed(1)} bits
+                    </div>
+
+                    <div className="fault-table-wrapper">
+                        <table className="fault-table">
+                            <thead>
+                                <tr>
+                                    <th>#</th>
+                                    <th>Fault</th>
+                                    <th>Correct / Faulty Cipher Text</th>
+                                    <th>Column</th>
+                                    <th>This Pair</th>
+                                    <th>Left per Column</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {analysis.pairs.map((pair, index) => (
+                                    <tr key={index} className={pair.column === -1 ? 'rejected' : ''}>
+                                        <td>{index + 1}</td>
+                                        <td className="mono-font">
+                                            R{pair.injectedFault.round} {pair.injectedFault.step} byte {pair.injectedFault.byteIndex}:
+                                            {' '}{toHex(pair.injectedFault.before)} → {toHex(pair.injectedFault.after)}
+                                        </td>
+                                        <td>
+                                            <CipherBytes bytes={pair.correct} other={pair.faulty} />
+                                            <CipherBytes bytes={pair.faulty} other={pair.correct} />
+                                        </td>
+                                        <td>{pair.column === -1 ? 'rejected' : pair.column}</td>
+                                        <td>{pair.column === -1 ? '-' : pair.newCandidates}</td>
+                                        <td className="mono-font">
+                                            {pair.candidateCounts.map(count => (count === 2 ** 32 ? '-' : count)).join(' / ')}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {/* Key Recovery */}
+            {recovery.lastRoundKey && (
+                <div className="fault-section">
+                    <h3 className="section-title">3. Recovered Keys</h3>
+                    <div className="fault-summary mono-font">
+                        <div>Round {numberOfRounds} key: {bytesToHex(recovery.lastRoundKey)}</div>
+                        {recovery.recoveredKey ? (
+                            <>
+                                <div>Key (key schedule run backwards): {bytesToHex(recovery.recoveredKey)}</div>
+                                <div className={bytesToHex(recovery.recoveredKey) === bytesToHex(key) ? 'fault-ok' : 'fault-bad'}>
+                                    {bytesToHex(recovery.recoveredKey) === bytesToHex(key) ? '✓ Matches the secret key' : '✗ Does not match the secret key'}
+                                </div>
+                            </>
+                        ) : (
+                            <div className="fault-note">
+                                AES-{keySize} needs {getAesVariant(keySize).keySizeWords} consecutive key schedule words, so the
+                                round {numberOfRounds - 1} key has to be attacked too (faults one round earlier). With both,
+                                the Inverse Key Schedule rebuilds the key.
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default FaultAttackLab;
@@ -0,0 +1,294 @@
+import { useEffect, useRef, useState } from 'react';
+import './ImageEncryptionDemo.css';
+import { encryptPixels, MAX_IMAGE_DIMENSION, rgbaToRgb, rgbToRgba } from '../utils/aes/imageEncryption';
+import { BLOCK_SIZE, CIPHER_MODES, DEFAULT_KEY_SIZE } from '../utils/aes/constants';
+import { bytesToHex, generateRandomKey } from '../utils/aes/utils';
+
+// Size of the built-in test image
+const TEST_IMAGE_SIZE = 192;
+
+/**
+ * Read the RGB pixels of whatever is drawn on a canvas
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to read
+ * @returns {number[]} 3 bytes per pixel
+ */
+function readCanvasPixels(canvas) {
+    const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    return rgbaToRgb(data);
+}
+
+/**
+ * Draw a flat-colored penguin, the classic picture for showing ECB leaking structure
+ *
+ * @returns {Object} Image with name, width, height and RGB pixels
+ */
+function createTestImage() {
+    const canvas = document.createElement('canvas');
+    canvas.width = TEST_IMAGE_SIZE;
+    canvas.height = TEST_IMAGE_SIZE;
+    const context = canvas.getContext('2d');
+    const ellipse = (color, x, y, radiusX, radiusY) => {
+        context.fillStyle = color;
+        context.beginPath();
+        context.ellipse(x, y, radiusX, radiusY, 0, 0, 2 * Math.PI);
+        context.fill();
+    };
+
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, TEST_IMAGE_SIZE, TEST_IMAGE_SIZE);
+
+    ellipse('#f5a623', 72, 172, 22, 9);
+    ellipse('#f5a623', 120, 172, 22, 9);
+    ellipse('#1a1a1a', 96, 106, 58, 70);
+    ellipse('#ffffff', 96, 120, 38, 52);
+    ellipse('#1a1a1a', 96, 52, 36, 32);
+    ellipse('#ffffff', 84, 50, 9, 11);
+    ellipse('#ffffff', 108, 50, 9, 11);
+    ellipse('#1a1a1a', 86, 52, 4, 5);
+    ellipse('#1a1a1a', 106, 52, 4, 5);
+
+    context.fillStyle = '#f5a623';
+    context.beginPath();
+    context.moveTo(86, 64);
+    context.lineTo(106, 64);
+    context.lineTo(96, 78);
+    context.fill();
+
+    return { name: 'Test penguin', width: TEST_IMAGE_SIZE, height: TEST_IMAGE_SIZE, pixels: readCanvasPixels(canvas) };
+}
+
+/**
+ * Decode an image file and scale it down to fit MAX_IMAGE_DIMENSION
+ *
+ * @param {File} file - PNG or BMP file
+ * @returns {Promise<Object>} Image with name, width, height and RGB pixels
+ */
+function loadImageFile(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+
+        image.onload = () => {
+            const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(image.width, image.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(image.width * scale));
+            canvas.height = Math.max(1, Math.round(image.height * scale));
+
+            // Nearest neighbour keeps flat areas flat, so ECB still has repeated blocks to show
+            const context = canvas.getContext('2d');
+            context.imageSmoothingEnabled = false;
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+
+            resolve({ name: file.name, width: canvas.width, height: canvas.height, pixels: readCanvasPixels(canvas) });
+        };
+
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(`${file.name} could not be read as an image`));
+        };
+
+        image.src = url;
+    });
+}
+
+/**
+ * Canvas showing RGB pixel bytes, optionally tinting the pixels of repeated blocks
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.width - Image width in pixels
+ * @param {number} props.height - Image height in pixels
+ * @param {number[]} props.pixels - RGB bytes
+ * @param {boolean[]} [props.repeated] - Per 16-byte block, whether to tint its pixels
+ */
+function PixelCanvas({ width, height, pixels, repeated }) {
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        const rgbaBytes = rgbToRgba(pixels);
+
+        if (repeated) {
+            repeated.forEach((isRepeated, blockIndex) => {
+                if (!isRepeated) {
+                    return;
+                }
+
+                // Every pixel with a byte in this block
+                const firstPixel = Math.floor((blockIndex * BLOCK_SIZE) / 3);
+                const lastPixel = Math.floor(((blockIndex + 1) * BLOCK_SIZE - 1) / 3);
+
+                for (let pixel = firstPixel; pixel <= lastPixel; pixel++) {
+                    rgbaBytes[pixel * 4] = 255;
+                    rgbaBytes[pixel * 4 + 1] = Math.round(rgbaBytes[pixel * 4 + 1] * 0.3);
+                    rgbaBytes[pixel * 4 + 2] = Math.round(rgbaBytes[pixel * 4 + 2] * 0.3);
+                }
+            });
+        }
+
+        canvasRef.current.getContext('2d').putImageData(new ImageData(rgbaBytes, width, height), 0, 0);
+    }, [width, height, pixels, repeated]);
+
+    return <canvas ref={canvasRef} className="image-demo-canvas" width={width} height={height} />;
+}
+
+/**
+ * ImageEncryptionDemo Component
+ *
+ * Shows why ECB is dangerous by encrypting the raw pixels of an image:
+ * - Load a PNG or BMP (scaled down to MAX_IMAGE_DIMENSION) or use the test penguin
+ * - Encrypt the RGB bytes in any mode and draw the cipher text as an image of the same size
+ * - Count the repeated 16-byte blocks before and after encryption, and optionally tint them
+ */
+function ImageEncryptionDemo() {
+    const [image, setImage] = useState(null);
+    const [mode, setMode] = useState('ECB');
+    const [key, setKey] = useState(() => generateRandomKey(DEFAULT_KEY_SIZE));
+    const [result, setResult] = useState(null);
+    const [highlightRepeated, setHighlightRepeated] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    // Encrypt after the busy state has been drawn (large images take a moment)
+    const encryptImage = (nextImage, nextMode, nextKey) => {
+        setBusy(true);
+        setResult(null);
+
+        setTimeout(() => {
+            try {
+                setResult(encryptPixels(nextImage.pixels, nextKey, { keySize: DEFAULT_KEY_SIZE, mode: nextMode }));
+                setError('');
+            } catch (err) {
+                setError(err.message);
+            }
+            setBusy(false);
+        }, 0);
+    };
+
+    const showImage = (nextImage) => {
+        setImage(nextImage);
+        encryptImage(nextImage, mode, key);
+    };
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+
+        if (!file) {
+            return;
+        }
+
+        try {
+            showImage(await loadImageFile(file));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleModeChange = (nextMode) => {
+        setMode(nextMode);
+        if (image) {
+            encryptImage(image, nextMode, key);
+        }
+    };
+
+    const handleNewKey = () => {
+        const nextKey = generateRandomKey(DEFAULT_KEY_SIZE);
+        setKey(nextKey);
+        if (image) {
+            encryptImage(image, mode, nextKey);
+        }
+    };
+
+    return (
+        <div className="image-demo-container glass-effect">
+            <div className="image-demo-header">
+                <h2 className="image-demo-title">ECB Penguin</h2>
+                <div className="image-demo-note">
+                    The raw RGB bytes of an image are encrypted and drawn as an image again. ECB encrypts every
+                    16-byte block on its own, so identical blocks in flat areas stay identical and the picture shows through.
+                </div>
+            </div>
+
+            <div className="image-demo-inputs">
+                <label className="image-demo-button">
+                    Load PNG/BMP
+                    <input type="file" accept="image/png,image/bmp" onChange={handleFileChange} hidden />
+                </label>
+                <button className="image-demo-button" onClick={() => showImage(createTestImage())}>
+                    Use Test Image
+                </button>
+                <label className="image-demo-field">
+                    Mode
+                    <select
+                        className="image-demo-select"
+                        value={mode}
+                        onChange={(e) => handleModeChange(e.target.value)}
+                    >
+                        {Object.entries(CIPHER_MODES).map(([modeName, { name }]) => (
+                            <option key={modeName} value={modeName}>{modeName} - {name}</option>
+                        ))}
+                    </select>
+                </label>
+                <button className="image-demo-button" onClick={handleNewKey}>
+                    New Key
+                </button>
+                <label className="image-demo-field">
+                    <input
+                        type="checkbox"
+                        checked={highlightRepeated}
+                        onChange={(e) => setHighlightRepeated(e.target.checked)}
+                    />
+                    Tint repeated blocks
+                </label>
+            </div>
+
+            <div className="image-demo-key mono-font">AES-{DEFAULT_KEY_SIZE} key: {bytesToHex(key)}</div>
+
+            {error && <div className="image-demo-error">{error}</div>}
+
+            {image && (
+                <div className="image-demo-panels">
+                    <div className="image-demo-panel">
+                        <div className="image-demo-panel-title">
+                            Original ({image.name}, {image.width}x{image.height})
+                        </div>
+                        <PixelCanvas
+                            width={image.width}
+                            height={image.height}
+                            pixels={image.pixels}
+                            repeated={highlightRepeated && result ? result.plainBlocks.repeated : null}
+                        />
+                        {result && (
+                            <div className="image-demo-stats">
+                                {result.plainBlocks.blockCount} blocks, {result.plainBlocks.duplicateBlocks} duplicates
+                                ({result.plainBlocks.uniqueBlocks} different)
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="image-demo-panel">
+                        <div className="image-demo-panel-title">Encrypted ({mode})</div>
+                        {busy && <div className="image-demo-busy">Encrypting...</div>}
+                        {result && (
+                            <>
+                                <PixelCanvas
+                                    width={image.width}
+                                    height={image.height}
+                                    pixels={result.cipherBytes}
+                                    repeated={highlightRepeated ? result.cipherBlocks.repeated : null}
+                                />
+                                <div className={`image-demo-stats ${result.cipherBlocks.duplicateBlocks > 0 ? 'leak' : ''}`}>
+                                    {result.cipherBlocks.blockCount} blocks, {result.cipherBlocks.duplicateBlocks} duplicates
+                                    ({((result.cipherBlocks.duplicateBlocks / Math.max(result.cipherBlocks.blockCount, 1)) * 100).toFixed(1)}%)
+                                </div>
+                            </>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ImageEncryptionDemo;
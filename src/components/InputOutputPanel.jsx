@@ -1,31 +1,172 @@
+import { useState } from 'react';
 import './InputOutputPanel.css';
+import {
+    encodeFileOutput,
+    FILE_OUTPUT_FORMATS,
+    getEncryptedFileName,
+    MAX_ENCRYPTED_FILE_SIZE,
+    MAX_FILE_SIZE
+} from '../utils/aes/fileEncryption';
+import { bytesToHex } from '../utils/aes/utils';
+
+// Bytes of a processed file shown as hex
+const FILE_PREVIEW_LENGTH = 64;
+
+/**
+ * Format a byte count for display
+ *
+ * @param {number} size - Size in bytes
+ * @returns {string} Size in bytes, KB or MB
+ */
+function formatFileSize(size) {
+    if (size < 1024) {
+        return `${size} bytes`;
+    }
+    return size < 1024 * 1024 ? `${(size / 1024).toFixed(1)} KB` : `${(size / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+/**
+ * Save bytes as a file through a temporary download link
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} fileName - Name to save under
+ */
+function downloadBytes(bytes, fileName) {
+    const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+
+    // Give the browser a moment to start the download before the URL goes away
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
 /**
  * InputOutputPanel Component
  * 
  * Displays two side-by-side panels:
- * - Left: Input text (plain text for encryption, cipher for decryption)
- * - Right: Output text (cipher for encryption, plain text for decryption)
+ * - Left: Input text (plain text for encryption, cipher for decryption), or a file
+ *   dropped or picked in File mode (with the format of an encrypted file: detected
+ *   automatically, or binary, hex or Base64)
+ * - Right: Output text (cipher for encryption, plain text for decryption), or the
+ *   processed file with download buttons (binary, hex or Base64 when encrypting, the
+ *   original name and bytes when decrypting)
  * 
  * Includes a swap button to switch between encryption and decryption modes
  */
-function InputOutputPanel({ mode, plainText, setPlainText, cipherText, setCipherText, onSwap }) {
+function InputOutputPanel({
+    mode,
+    plainText,
+    setPlainText,
+    cipherText,
+    setCipherText,
+    onSwap,
+    inputType,
+    setInputType,
+    inputFile,
+    onFileSelected,
+    onProcessFile,
+    fileResult,
+    fileBusy,
+    fileFormat,
+    setFileFormat
+}) {
+    const [draggingFile, setDraggingFile] = useState(false);
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setDraggingFile(false);
+
+        if (e.dataTransfer.files.length > 0) {
+            onFileSelected(e.dataTransfer.files[0]);
+        }
+    };
+
+    const plainTitle = inputType === 'text' ? 'Plain Text' : 'File';
+    const cipherTitle = inputType === 'text' ? 'Cipher Text (Hex)' : 'Encrypted File';
+
     return (
         <div className="input-output-container">
             {/* Left Panel */}
             <div className="panel glass-effect">
                 <div className="panel-header">
                     <h3 className="panel-title">
-                        {mode === 'encrypt' ? 'Plain Text' : 'Cipher Text (Hex)'}
+                        {mode === 'encrypt' ? plainTitle : cipherTitle}
                     </h3>
+                    <div className="input-type-options">
+                        {['text', 'file'].map(type => (
+                            <button
+                                key={type}
+                                className={`input-type-button ${type === inputType ? 'active' : ''}`}
+                                onClick={() => setInputType(type)}
+                            >
+                                {type === 'text' ? 'Text' : 'File'}
+                            </button>
+                        ))}
+                    </div>
                 </div>
                 <div className="panel-body">
-                    <textarea
-                        className={`panel-textarea ${mode === 'decrypt' ? 'mono-font' : ''}`}
-                        placeholder={mode === 'encrypt' ? 'Enter text to encrypt...' : 'Enter cipher text in hex...'}
-                        value={mode === 'encrypt' ? plainText : cipherText}
-                        onChange={(e) => mode === 'encrypt' ? setPlainText(e.target.value) : setCipherText(e.target.value)}
-                    />
+                    {inputType === 'text' ? (
+                        <textarea
+                            className={`panel-textarea ${mode === 'decrypt' ? 'mono-font' : ''}`}
+                            placeholder={mode === 'encrypt' ? 'Enter text to encrypt...' : 'Enter cipher text in hex...'}
+                            value={mode === 'encrypt' ? plainText : cipherText}
+                            onChange={(e) => mode === 'encrypt' ? setPlainText(e.target.value) : setCipherText(e.target.value)}
+                        />
+                    ) : (
+                        <div
+                            className={`file-drop-zone ${draggingFile ? 'dragging' : ''}`}
+                            onDragOver={(e) => {
+                                e.preventDefault();
+                                setDraggingFile(true);
+                            }}
+                            onDragLeave={() => setDraggingFile(false)}
+                            onDrop={handleDrop}
+                        >
+                            <span>
+                                {mode === 'encrypt'
+                                    ? `Drop any file here (up to ${formatFileSize(MAX_FILE_SIZE)}) or`
+                                    : `Drop an encrypted file here (binary, hex or Base64, up to ${formatFileSize(MAX_ENCRYPTED_FILE_SIZE)} decoded) or`}
+                            </span>
+                            <label className="file-button">
+                                Choose File
+                                <input
+                                    type="file"
+                                    hidden
+                                    onChange={(e) => {
+                                        if (e.target.files.length > 0) {
+                                            onFileSelected(e.target.files[0]);
+                                        }
+                                        e.target.value = '';
+                                    }}
+                                />
+                            </label>
+                            {mode === 'decrypt' && (
+                                <select
+                                    className="file-format-select"
+                                    value={fileFormat}
+                                    onChange={(e) => setFileFormat(e.target.value)}
+                                    title="Format of the encrypted file"
+                                >
+                                    <option value="auto">Detect format</option>
+                                    {Object.entries(FILE_OUTPUT_FORMATS).map(([format, { name }]) => (
+                                        <option key={format} value={format}>Read as {name.toLowerCase()}</option>
+                                    ))}
+                                </select>
+                            )}
+
+                            {inputFile && (
+                                <div className="file-info">
+                                    <div className="file-name">{inputFile.name}</div>
+                                    <div className="file-size">{formatFileSize(inputFile.bytes.length)}</div>
+                                    <button className="file-button primary" onClick={onProcessFile} disabled={fileBusy}>
+                                        {mode === 'encrypt' ? 'Encrypt File' : 'Decrypt File'}
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    )}
                 </div>
             </div>
 
@@ -40,16 +181,67 @@ function InputOutputPanel({ mode, plainText, setPlainText, cipherText, setCipher
             <div className="panel glass-effect">
                 <div className="panel-header">
                     <h3 className="panel-title">
-                        {mode === 'encrypt' ? 'Cipher Text (Hex)' : 'Plain Text'}
+                        {mode === 'encrypt' ? cipherTitle : plainTitle}
                     </h3>
                 </div>
                 <div className="panel-body">
-                    <textarea
-                        className={`panel-textarea ${mode === 'encrypt' ? 'mono-font' : ''}`}
-                        placeholder={mode === 'encrypt' ? 'Cipher text will appear here...' : 'Decrypted text will appear here...'}
-                        value={mode === 'encrypt' ? cipherText : plainText}
-                        readOnly
-                    />
+                    {inputType === 'text' ? (
+                        <textarea
+                            className={`panel-textarea ${mode === 'encrypt' ? 'mono-font' : ''}`}
+                            placeholder={mode === 'encrypt' ? 'Cipher text will appear here...' : 'Decrypted text will appear here...'}
+                            value={mode === 'encrypt' ? cipherText : plainText}
+                            readOnly
+                        />
+                    ) : (
+                        <div className="file-output">
+                            {fileBusy && <div className="file-busy">{mode === 'encrypt' ? 'Encrypting...' : 'Decrypting...'}</div>}
+                            {!fileBusy && !fileResult && (
+                                <div className="file-placeholder">
+                                    {mode === 'encrypt' ? 'The encrypted file will appear here...' : 'The decrypted file will appear here...'}
+                                </div>
+                            )}
+                            {fileResult && (
+                                <>
+                                    <div className="file-info">
+                                        <div className="file-name">
+                                            {mode === 'encrypt' ? getEncryptedFileName(fileResult.fileName, 'binary') : fileResult.fileName}
+                                        </div>
+                                        <div className="file-size">
+                                            {formatFileSize(fileResult.bytes.length)}
+                                            {fileResult.format && ` (read as ${FILE_OUTPUT_FORMATS[fileResult.format].name.toLowerCase()})`}
+                                        </div>
+                                    </div>
+                                    <div className="file-preview mono-font">
+                                        {bytesToHex(Array.from(fileResult.bytes.slice(0, FILE_PREVIEW_LENGTH)))}
+                                        {fileResult.bytes.length > FILE_PREVIEW_LENGTH && '...'}
+                                    </div>
+                                    <div className="file-downloads">
+                                        {mode === 'encrypt' ? (
+                                            Object.entries(FILE_OUTPUT_FORMATS).map(([format, { name }]) => (
+                                                <button
+                                                    key={format}
+                                                    className="file-button"
+                                                    onClick={() => downloadBytes(
+                                                        encodeFileOutput(fileResult.bytes, format),
+                                                        getEncryptedFileName(fileResult.fileName, format)
+                                                    )}
+                                                >
+                                                    Download {name}
+                                                </button>
+                                            ))
+                                        ) : (
+                                            <button
+                                                className="file-button"
+                                                onClick={() => downloadBytes(new Uint8Array(fileResult.bytes), fileResult.fileName)}
+                                            >
+                                                Download {fileResult.fileName}
+                                            </button>
+                                        )}
+                                    </div>
+                                </>
+                            )}
+                        </div>
+                    )}
                 </div>
             </div>
         </div>
@@ -1,12 +1,42 @@
 import './KeyInput.css';
+import { AES_VARIANTS } from '../utils/aes/constants';
+
+// Where the key comes from: derived from a passphrase, pasted, or generated
+const KEY_SOURCES = {
+    passphrase: 'Passphrase',
+    raw: 'Raw Key',
+    random: 'Random Key'
+};
 
 /**
  * KeyInput Component
  * 
- * Allows the user to enter a passphrase for encryption/decryption
- * Displays the generated 256-bit key in hexadecimal format
+ * Allows the user to choose the key size (AES-128, AES-192 or AES-256) and the key source:
+ * - Passphrase: shows the PBKDF2 salt and iteration count behind the key, so users
+ *   can see what changes it
+ * - Raw key: a hex or Base64 key pasted in, e.g. to reproduce test vectors
+ * - Random key: a freshly generated key that can be copied to other tools
+ * Displays the key in hexadecimal format
  */
-function KeyInput({ passphrase, setPassphrase, keyHex }) {
+function KeyInput({
+    keySource,
+    setKeySource,
+    passphrase,
+    setPassphrase,
+    keySize,
+    setKeySize,
+    rawKeyText,
+    setRawKeyText,
+    rawKeyFormat,
+    setRawKeyFormat,
+    onGenerateRandomKey,
+    saltHex,
+    onNewSalt,
+    iterations,
+    setIterations,
+    mode,
+    keyHex
+}) {
     return (
         <div className="key-input-container glass-effect">
             <h2 className="key-input-title">
@@ -14,22 +44,130 @@ function KeyInput({ passphrase, setPassphrase, keyHex }) {
             </h2>
 
             <div className="key-input-group">
-                <label htmlFor="passphrase" className="input-label">
-                    Passphrase
+                <label className="input-label">
+                    Key Size
+                </label>
+                <div className="key-size-options">
+                    {Object.entries(AES_VARIANTS).map(([size, variant]) => (
+                        <button
+                            key={size}
+                            className={`key-size-button ${Number(size) === keySize ? 'active' : ''}`}
+                            onClick={() => setKeySize(Number(size))}
+                        >
+                            AES-{size}
+                            <span className="key-size-rounds">{variant.numberOfRounds} rounds</span>
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="key-input-group">
+                <label className="input-label">
+                    Key Source
                 </label>
-                <input
-                    id="passphrase"
-                    type="text"
-                    placeholder="Enter your passphrase..."
-                    value={passphrase}
-                    onChange={(e) => setPassphrase(e.target.value)}
-                    className="passphrase-input"
-                />
+                <div className="key-size-options">
+                    {Object.entries(KEY_SOURCES).map(([source, label]) => (
+                        <button
+                            key={source}
+                            className={`key-size-button ${source === keySource ? 'active' : ''}`}
+                            onClick={() => setKeySource(source)}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
             </div>
 
+            {keySource === 'passphrase' && (
+                <>
+                    <div className="key-input-group">
+                        <label htmlFor="passphrase" className="input-label">
+                            Passphrase
+                        </label>
+                        <input
+                            id="passphrase"
+                            type="text"
+                            placeholder="Enter your passphrase..."
+                            value={passphrase}
+                            onChange={(e) => setPassphrase(e.target.value)}
+                            className="passphrase-input"
+                        />
+                    </div>
+
+                    <div className="key-derivation-options">
+                        <div className="key-input-group">
+                            <label className="input-label">
+                                Salt {mode === 'encrypt' ? '(Stored with the Cipher Text)' : '(Read from the Cipher Text)'}
+                            </label>
+                            <div className="salt-row">
+                                <div className="key-hex mono-font">
+                                    {saltHex || '—'}
+                                </div>
+                                {mode === 'encrypt' && (
+                                    <button className="salt-button" onClick={onNewSalt}>
+                                        New Salt
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+
+                        <div className="key-input-group">
+                            <label htmlFor="iterations" className="input-label">
+                                PBKDF2 Iterations
+                            </label>
+                            <input
+                                id="iterations"
+                                type="number"
+                                min="1"
+                                value={iterations}
+                                onChange={(e) => setIterations(Math.max(1, Math.floor(Number(e.target.value)) || 1))}
+                                className="passphrase-input"
+                            />
+                        </div>
+                    </div>
+                </>
+            )}
+
+            {keySource === 'raw' && (
+                <div className="key-input-group">
+                    <label htmlFor="raw-key" className="input-label">
+                        {keySize}-bit Key ({keySize / 4} hex chars or {Math.ceil(keySize / 24) * 4} Base64 chars)
+                    </label>
+                    <div className="salt-row">
+                        <input
+                            id="raw-key"
+                            type="text"
+                            placeholder={rawKeyFormat === 'hex' ? 'e.g. 000102030405...' : 'e.g. AAECAwQFBgc...'}
+                            value={rawKeyText}
+                            onChange={(e) => setRawKeyText(e.target.value)}
+                            className="passphrase-input mono-font"
+                        />
+                        <select
+                            className="key-format-select"
+                            value={rawKeyFormat}
+                            onChange={(e) => setRawKeyFormat(e.target.value)}
+                            title="Key format"
+                        >
+                            <option value="hex">Hex</option>
+                            <option value="base64">Base64</option>
+                        </select>
+                    </div>
+                </div>
+            )}
+
+            {keySource === 'random' && (
+                <div className="key-input-group">
+                    <button className="salt-button" onClick={onGenerateRandomKey}>
+                        Generate Random Key
+                    </button>
+                </div>
+            )}
+
             {keyHex && (
                 <div className="key-display">
-                    <label className="input-label">Generated 256-bit Key (Hex)</label>
+                    <label className="input-label">
+                        {keySource === 'passphrase' ? `Derived ${keySize}-bit Key (PBKDF2-HMAC-SHA256, Hex)` : `${keySize}-bit Key (Hex)`}
+                    </label>
                     <div className="key-hex mono-font">
                         {keyHex}
                     </div>
@@ -0,0 +1,252 @@
+import { useMemo, useState } from 'react';
+import './KeyScheduleInverter.css';
+import { expandKey, recoverKeyFromRoundKeys, roundKeyToWords } from '../utils/aes/keyExpansion';
+import { AES_VARIANTS, BLOCK_SIZE } from '../utils/aes/constants';
+import { bytesToHex, bytesToStateMatrix, hexToBytes, generateRandomBytes, getAesVariant } from '../utils/aes/utils';
+
+/**
+ * Format a 4-byte word as spaced hex
+ *
+ * @param {number[]} word - 4-byte array
+ * @returns {string} Hex bytes separated by spaces (e.g. "2b 7e 15 16")
+ */
+function formatWord(word) {
+    return word.map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+}
+
+/**
+ * Round key as a hex string (its four words one after the other)
+ *
+ * @param {number[][]} roundKey - 4x4 round key matrix
+ * @returns {string} 32 hex digits
+ */
+function roundKeyToHex(roundKey) {
+    return bytesToHex(roundKeyToWords(roundKey).flat());
+}
+
+/**
+ * KeyScheduleInverter Component
+ *
+ * Rebuilds the key schedule from two adjacent round keys (one is enough for AES-128):
+ * - Paste the round r and r + 1 keys, or fill them in from a random key
+ * - Every backward step w[i-Nk] = w[i] ⊕ temp(w[i-1]) down to w[0]
+ * - The recovered key, and every word of the schedule marked as pasted, recovered
+ *   backwards or expanded forwards again
+ */
+function KeyScheduleInverter() {
+    const [keySize, setKeySize] = useState(256);
+    const [roundIndex, setRoundIndex] = useState(13);
+    const [firstHex, setFirstHex] = useState('');
+    const [secondHex, setSecondHex] = useState('');
+    const [sourceKey, setSourceKey] = useState(null);
+
+    const { keySizeWords, numberOfRounds } = getAesVariant(keySize);
+    const isSingleRoundKeyEnough = keySizeWords === 4;
+
+    // Run the schedule backwards as soon as the round keys parse
+    const { result, error } = useMemo(() => {
+        const firstBytes = hexToBytes(firstHex);
+        const secondBytes = hexToBytes(secondHex);
+
+        if (firstBytes.length === 0) {
+            return { result: null, error: '' };
+        }
+
+        const roundKeyBytes = isSingleRoundKeyEnough && secondBytes.length === 0 ? [firstBytes] : [firstBytes, secondBytes];
+        const badIndex = roundKeyBytes.findIndex(bytes => bytes.length !== BLOCK_SIZE);
+
+        if (badIndex !== -1) {
+            return {
+                result: null,
+                error: `Round ${roundIndex + badIndex} key must be ${BLOCK_SIZE} bytes (${BLOCK_SIZE * 2} hex digits), got ${roundKeyBytes[badIndex].length}`
+            };
+        }
+
+        try {
+            return { result: recoverKeyFromRoundKeys(roundKeyBytes.map(bytesToStateMatrix), roundIndex, keySize), error: '' };
+        } catch (err) {
+            return { result: null, error: err.message };
+        }
+    }, [firstHex, secondHex, roundIndex, keySize, isSingleRoundKeyEnough]);
+
+    const handleKeySizeChange = (newKeySize) => {
+        setKeySize(newKeySize);
+        setRoundIndex(AES_VARIANTS[newKeySize].numberOfRounds - 1);
+        setFirstHex('');
+        setSecondHex('');
+        setSourceKey(null);
+    };
+
+    const handleFillFromRandomKey = () => {
+        const key = generateRandomBytes(keySize / 8);
+        const { roundKeys } = expandKey(key, keySize);
+        setFirstHex(roundKeyToHex(roundKeys[roundIndex]));
+        setSecondHex(roundKeyToHex(roundKeys[roundIndex + 1]));
+        setSourceKey(key);
+    };
+
+    const knownWordIndices = result ? new Set(result.knownWordIndices) : new Set();
+    const mismatchedWordIndices = result ? new Set(result.mismatchedWordIndices) : new Set();
+    const firstKnownWordIndex = roundIndex * 4;
+
+    // How a word of the rebuilt schedule was found
+    const wordSource = (wordIndex) => {
+        if (mismatchedWordIndices.has(wordIndex)) {
+            return 'mismatch';
+        }
+        if (knownWordIndices.has(wordIndex)) {
+            return 'known';
+        }
+        return wordIndex < firstKnownWordIndex ? 'backward' : 'forward';
+    };
+
+    return (
+        <div className="inverter-container glass-effect">
+            <div className="inverter-header">
+                <h2 className="inverter-title">Inverse Key Schedule</h2>
+                <div className="inverter-note">
+                    Two adjacent round keys are 8 consecutive words of the key schedule, at least Nk for every key
+                    size. Since w[i] = temp(w[i-1]) ⊕ w[i-Nk], each word before them is w[i-Nk] = w[i] ⊕ temp(w[i-1]),
+                    all the way down to the key.
+                </div>
+            </div>
+
+            <div className="inverter-inputs">
+                <label className="inverter-field">
+                    Key Size
+                    <select
+                        className="inverter-input"
+                        value={keySize}
+                        onChange={(e) => handleKeySizeChange(Number(e.target.value))}
+                    >
+                        {Object.keys(AES_VARIANTS).map(size => (
+                            <option key={size} value={size}>AES-{size}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="inverter-field">
+                    Round keys
+                    <select
+                        className="inverter-input"
+                        value={roundIndex}
+                        onChange={(e) => {
+                            setRoundIndex(Number(e.target.value));
+                            setSourceKey(null);
+                        }}
+                    >
+                        {Array.from({ length: numberOfRounds }, (_, round) => (
+                            <option key={round} value={round}>{round} and {round + 1}</option>
+                        ))}
+                    </select>
+                </label>
+                <button className="inverter-button" onClick={handleFillFromRandomKey}>
+                    Fill From Random Key
+                </button>
+            </div>
+
+            <div className="inverter-round-keys">
+                <label className="inverter-field inverter-hex-field">
+                    Round {roundIndex} key
+                    <input
+                        className="inverter-input mono-font"
+                        type="text"
+                        value={firstHex}
+                        placeholder={`${BLOCK_SIZE * 2} hex digits`}
+                        onChange={(e) => {
+                            setFirstHex(e.target.value);
+                            setSourceKey(null);
+                        }}
+                    />
+                </label>
+                <label className="inverter-field inverter-hex-field">
+                    Round {roundIndex + 1} key
+                    <input
+                        className="inverter-input mono-font"
+                        type="text"
+                        value={secondHex}
+                        placeholder={isSingleRoundKeyEnough ? 'Optional for AES-128' : `${BLOCK_SIZE * 2} hex digits`}
+                        onChange={(e) => {
+                            setSecondHex(e.target.value);
+                            setSourceKey(null);
+                        }}
+                    />
+                </label>
+            </div>
+
+            {error && <div className="inverter-error">{error}</div>}
+
+            {result && (
+                <>
+                    <div className={`inverter-summary mono-font ${result.mismatchedWordIndices.length ? 'fail' : 'success'}`}>
+                        <div>Recovered key: {bytesToHex(result.key)}</div>
+                        {result.mismatchedWordIndices.length > 0 ? (
+                            <div>
+                                ✗ The round keys are not from one key schedule: the recovered key does not reproduce
+                                {' '}{result.mismatchedWordIndices.map(index => `w[${index}]`).join(', ')}
+                            </div>
+                        ) : (
+                            <div>✓ Expanding the recovered key reproduces the pasted round keys</div>
+                        )}
+                        {sourceKey && (
+                            <div>
+                                {bytesToHex(sourceKey) === bytesToHex(result.key)
+                                    ? '✓ Matches the random key the round keys came from'
+                                    : '✗ Does not match the random key the round keys came from'}
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="inverter-section">
+                        <h3 className="section-title">Backward Steps</h3>
+                        {result.steps.length === 0 ? (
+                            <div className="inverter-note">
+                                The pasted words already include w[0]..w[{keySizeWords - 1}], which are the key itself.
+                            </div>
+                        ) : (
+                            <div className="inverter-steps mono-font">
+                                {result.steps.map(step => (
+                                    <div key={step.wordIndex} className="inverter-step">
+                                        <span className="inverter-step-index">w[{step.wordIndex}]</span>
+                                        <span>= w[{step.fromWordIndex}] {formatWord(step.word)}</span>
+                                        <span>
+                                            ⊕ {step.operation === 'XOR only' ? `w[${step.fromWordIndex - 1}]` : `${step.operation}(w[${step.fromWordIndex - 1}])`}
+                                            {' '}{formatWord(step.transformed)}
+                                        </span>
+                                        <span className="inverter-step-result">= {formatWord(step.result)}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="inverter-section">
+                        <h3 className="section-title">Rebuilt Key Schedule ({result.words.length} Words)</h3>
+                        <div className="inverter-legend">
+                            <span className="inverter-word known">Pasted</span>
+                            <span className="inverter-word backward">Recovered backwards</span>
+                            <span className="inverter-word forward">Expanded forwards</span>
+                            <span className="inverter-word mismatch">Does not match</span>
+                        </div>
+                        <div className="inverter-words mono-font">
+                            {result.roundKeys.map((_, round) => (
+                                <div key={round} className="inverter-round">
+                                    <span className="inverter-round-label">Round {round}</span>
+                                    {[0, 1, 2, 3].map(column => {
+                                        const wordIndex = round * 4 + column;
+                                        return (
+                                            <span key={column} className={`inverter-word ${wordSource(wordIndex)}`} title={`w[${wordIndex}]`}>
+                                                {formatWord(result.words[wordIndex])}
+                                            </span>
+                                        );
+                                    })}
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default KeyScheduleInverter;
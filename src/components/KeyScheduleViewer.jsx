@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import './KeyScheduleViewer.css';
+
+/**
+ * Format a 4-byte word as spaced hex
+ * 
+ * @param {number[]} word - 4-byte array
+ * @returns {string} Hex bytes separated by spaces (e.g. "2b 7e 15 16")
+ */
+function formatWord(word) {
+    return word.map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+}
+
+/**
+ * KeyScheduleViewer Component
+ * 
+ * Walks through the key expansion one word at a time, w[Nk] up to the last word:
+ * - RotWord, SubWord and the Rcon XOR for every Nk-th word
+ * - The AES-256-only SubWord step at i mod 8 = 4 (highlighted)
+ * - The XOR with w[i-Nk] that produces every word
+ * - Which round key (and column) each word ends up in
+ */
+function KeyScheduleViewer({ expansionDetails }) {
+    const [transformedOnly, setTransformedOnly] = useState(false);
+
+    if (!expansionDetails || expansionDetails.length === 0) {
+        return null;
+    }
+
+    // The first generated word is w[Nk], the words before it are the key itself
+    const keySizeWords = expansionDetails[0].wordIndex;
+
+    const visibleSteps = transformedOnly
+        ? expansionDetails.filter(step => step.operation !== 'XOR only')
+        : expansionDetails;
+
+    return (
+        <div className="key-schedule">
+            <div className="key-schedule-header">
+                <h3 className="section-title">Key Schedule (Word by Word)</h3>
+                <label className="key-schedule-option">
+                    <input
+                        type="checkbox"
+                        checked={transformedOnly}
+                        onChange={(e) => setTransformedOnly(e.target.checked)}
+                    />
+                    Only words with RotWord/SubWord
+                </label>
+            </div>
+            <div className="key-schedule-note">
+                w[0]..w[{keySizeWords - 1}] are the key itself. Every word after that is
+                w[i-1] (transformed when i mod {keySizeWords} = 0{keySizeWords > 6 && ', or SubWord only when i mod 8 = 4'}) XOR w[i-{keySizeWords}].
+            </div>
+
+            <div className="key-schedule-list">
+                {visibleSteps.map(step => {
+                    const i = step.wordIndex;
+                    const isSubWordOnly = step.operation === 'SubWord only';
+
+                    return (
+                        <div
+                            key={i}
+                            className={`key-schedule-word mono-font ${isSubWordOnly ? 'subword-only' : ''}`}
+                        >
+                            <div className="key-schedule-word-header">
+                                <span className="key-schedule-index">w[{i}]</span>
+                                <span className="key-schedule-round">
+                                    Round {Math.floor(i / 4)} key, column {i % 4}
+                                </span>
+                                <span className={`key-schedule-operation ${step.operation === 'XOR only' ? '' : 'transformed'}`}>
+                                    {step.operation}
+                                    {isSubWordOnly && ` (AES-256, i mod 8 = 4)`}
+                                </span>
+                            </div>
+
+                            <div className="key-schedule-steps">
+                                <span className="key-schedule-step">
+                                    <span className="key-schedule-label">w[{i - 1}]</span>
+                                    {formatWord(step.previousWord)}
+                                </span>
+                                {step.afterRotate && (
+                                    <span className="key-schedule-step">
+                                        <span className="key-schedule-label">RotWord</span>
+                                        {formatWord(step.afterRotate)}
+                                    </span>
+                                )}
+                                {step.afterSubstitute && (
+                                    <span className="key-schedule-step">
+                                        <span className="key-schedule-label">SubWord</span>
+                                        {formatWord(step.afterSubstitute)}
+                                    </span>
+                                )}
+                                {step.rconValue !== undefined && (
+                                    <span className="key-schedule-step">
+                                        <span className="key-schedule-label">
+                                            ⊕ Rcon[{i / keySizeWords}] = {formatWord([step.rconValue, 0, 0, 0])}
+                                        </span>
+                                        {formatWord(step.beforeXor)}
+                                    </span>
+                                )}
+                                <span className="key-schedule-step">
+                                    <span className="key-schedule-label">⊕ w[{step.xorWordIndex}] = {formatWord(step.xorWord)}</span>
+                                    <span className="key-schedule-result">{formatWord(step.result)}</span>
+                                </span>
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
+
+export default KeyScheduleViewer;
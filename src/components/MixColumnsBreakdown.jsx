@@ -0,0 +1,73 @@
+import './MixColumnsBreakdown.css';
+
+/**
+ * Format a byte as two hex digits
+ * 
+ * @param {number} byte - Byte value
+ * @returns {string} Hex string (e.g. "0f")
+ */
+function toHex(byte) {
+    return byte.toString(16).padStart(2, '0');
+}
+
+/**
+ * Format a byte as eight binary digits
+ * 
+ * @param {number} byte - Byte value
+ * @returns {string} Binary string (e.g. "00001111")
+ */
+function toBinary(byte) {
+    return byte.toString(2).padStart(8, '0');
+}
+
+/**
+ * MixColumnsBreakdown Component
+ * 
+ * Shows the GF(2^8) arithmetic behind one output byte of (Inverse)MixColumns:
+ * - The four products of the matrix row with the input column, and their XOR
+ * - For each product, every xtime doubling (shift left, then XOR 0x1b if the high bit
+ *   was set) and the doublings XORed together for the coefficient
+ */
+function MixColumnsBreakdown({ row, col, cell, onClose }) {
+    const { products, result } = cell;
+
+    return (
+        <div className="mix-breakdown mono-font">
+            <div className="mix-breakdown-header">
+                <span className="mix-breakdown-title">
+                    s'[{row},{col}] = {products.map(term => `${toHex(term.coefficient)}·${toHex(term.input)}`).join(' ⊕ ')}
+                </span>
+                <button className="mix-breakdown-close" onClick={onClose} title="Close">✕</button>
+            </div>
+
+            {products.map((term, index) => (
+                <div key={index} className="mix-breakdown-product">
+                    <div className="mix-breakdown-product-title">
+                        {toHex(term.coefficient)} · {toHex(term.input)} (s[{index},{col}]) = {toHex(term.product)}
+                    </div>
+
+                    {term.xtimeSteps.map(step => (
+                        <div key={step.power} className="mix-breakdown-step">
+                            {toHex(term.input)}·{2 ** step.power}: {toBinary(step.input)} ≪ 1 = {toBinary(step.shifted)}
+                            {step.reduced
+                                ? <> (high bit set, ⊕ 1b) = <span className="mix-breakdown-reduced">{toHex(step.output)}</span></>
+                                : <> = {toHex(step.output)}</>}
+                        </div>
+                    ))}
+
+                    <div className="mix-breakdown-step">
+                        {term.terms.length === 1 && term.terms[0] === 0
+                            ? `×1 leaves the byte unchanged = ${toHex(term.product)}`
+                            : `${term.terms.map(power => `${toHex(term.input)}·${2 ** power}`).join(' ⊕ ')} = ${toHex(term.product)}`}
+                    </div>
+                </div>
+            ))}
+
+            <div className="mix-breakdown-result">
+                {products.map(term => toHex(term.product)).join(' ⊕ ')} = <strong>{toHex(result)}</strong>
+            </div>
+        </div>
+    );
+}
+
+export default MixColumnsBreakdown;
@@ -0,0 +1,317 @@
+import { useMemo, useState } from 'react';
+import './NonceReuseLab.css';
+import { dragCrib, encryptWithReusedNonce, NONCE_REUSE_MODES, xorCiphertexts } from '../utils/aes/nonceReuse';
+import { CIPHER_MODES, DEFAULT_KEY_SIZE } from '../utils/aes/constants';
+import { bytesToHex, generateRandomKey, textToBytes } from '../utils/aes/utils';
+
+const DEFAULT_MESSAGES = [
+    'Meet me at the old bridge at midnight and bring the money',
+    'The password for the vault is swordfish, tell no one else'
+];
+const DEFAULT_CRIB = ' the ';
+
+/**
+ * Format bytes as spaced hex
+ *
+ * @param {number[]} bytes - Bytes to format
+ * @returns {string} Hex bytes separated by spaces
+ */
+function formatBytes(bytes) {
+    return bytes.map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+}
+
+/**
+ * Show one byte as a character if it is printable ASCII
+ *
+ * @param {number|null} byte - Byte to show (null if unknown)
+ * @returns {string} The character, · for other bytes, or _ if unknown
+ */
+function toPrintable(byte) {
+    if (byte === null) {
+        return '_';
+    }
+    return byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '·';
+}
+
+/**
+ * Encrypt both messages under one key and one nonce
+ *
+ * @param {string[]} messages - The two messages
+ * @param {number[]} key - Key shared by both
+ * @param {string} mode - 'CTR' or 'OFB'
+ * @returns {Object} The encryption (see encryptWithReusedNonce) and the cipher texts XORed
+ */
+function encryptMessages(messages, key, mode) {
+    const encryption = encryptWithReusedNonce(messages.map(textToBytes), key, { keySize: DEFAULT_KEY_SIZE, mode });
+    const [first, second] = encryption.ciphertexts;
+
+    return {
+        ...encryption,
+        mode,
+        xored: xorCiphertexts(first.cipherBytes, second.cipherBytes),
+        plainXor: xorCiphertexts(first.plainBytes, second.plainBytes)
+    };
+}
+
+/**
+ * NonceReuseLab Component
+ *
+ * Shows why a CTR or OFB nonce must never be reused:
+ * - Two messages encrypted under the same key and nonce share their keystream, so
+ *   C1 ⊕ C2 = P1 ⊕ P2 with the keystream gone
+ * - Crib dragging: a guessed word is slid across C1 ⊕ C2, and every position where the
+ *   other message comes out looking like text is highlighted
+ * - Accepted guesses fill in both messages, without the key
+ */
+function NonceReuseLab() {
+    const [key] = useState(() => generateRandomKey(DEFAULT_KEY_SIZE));
+    const [messages, setMessages] = useState(DEFAULT_MESSAGES);
+    const [mode, setMode] = useState('CTR');
+    const [encryption, setEncryption] = useState(() => encryptMessages(DEFAULT_MESSAGES, key, 'CTR'));
+    const [crib, setCrib] = useState(DEFAULT_CRIB);
+    const [offset, setOffset] = useState(0);
+    const [cribMessage, setCribMessage] = useState(0);
+    const [recovered, setRecovered] = useState(() => [[], []]);
+    const [error, setError] = useState('');
+
+    const cribBytes = useMemo(() => textToBytes(crib), [crib]);
+    const positions = useMemo(() => dragCrib(encryption.xored, cribBytes), [encryption, cribBytes]);
+    const position = positions[Math.min(offset, positions.length - 1)] ?? null;
+
+    const handleEncrypt = (nextMessages, nextMode) => {
+        try {
+            setEncryption(encryptMessages(nextMessages, key, nextMode));
+            setRecovered([[], []]);
+            setError('');
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleModeChange = (nextMode) => {
+        setMode(nextMode);
+        handleEncrypt(messages, nextMode);
+    };
+
+    const handleCribChange = (nextCrib) => {
+        setCrib(nextCrib);
+        setOffset(0);
+    };
+
+    // The crib goes into the message it was guessed for, the fragment into the other one
+    const handlePlaceGuess = () => {
+        const next = recovered.map(bytes => [...bytes]);
+        const otherMessage = 1 - cribMessage;
+
+        cribBytes.forEach((byte, index) => {
+            next[cribMessage][position.offset + index] = byte;
+            next[otherMessage][position.offset + index] = position.fragment[index];
+        });
+
+        setRecovered(next);
+    };
+
+    const [first, second] = encryption.ciphertexts;
+    const inCrib = index => position && index >= position.offset && index < position.offset + cribBytes.length;
+
+    return (
+        <div className="nonce-container glass-effect">
+            <div className="nonce-header">
+                <h2 className="nonce-title">Nonce Reuse Lab</h2>
+                <div className="nonce-note">
+                    CTR and OFB encrypt by XORing the plain text with a keystream made from the key and the nonce.
+                    Reuse the nonce and both messages get the same keystream, which cancels out when the two
+                    cipher texts are XORed.
+                </div>
+            </div>
+
+            {error && <div className="nonce-error">{error}</div>}
+
+            {/* Two messages, one nonce */}
+            <div className="nonce-section">
+                <h3 className="section-title">1. Two Messages, One Nonce</h3>
+                <div className="nonce-inputs">
+                    {messages.map((message, index) => (
+                        <label key={index} className="nonce-field nonce-wide-field">
+                            P{index + 1}
+                            <input
+                                className="nonce-input"
+                                type="text"
+                                value={message}
+                                onChange={(e) => setMessages(messages.map((other, i) => (i === index ? e.target.value : other)))}
+                            />
+                        </label>
+                    ))}
+                </div>
+                <div className="nonce-inputs">
+                    <label className="nonce-field">
+                        Mode
+                        <select
+                            className="nonce-input"
+                            value={mode}
+                            onChange={(e) => handleModeChange(e.target.value)}
+                        >
+                            {NONCE_REUSE_MODES.map(modeName => (
+                                <option key={modeName} value={modeName}>{modeName} - {CIPHER_MODES[modeName].name}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <button className="nonce-button" onClick={() => handleEncrypt(messages, mode)}>
+                        Encrypt Both (New Nonce)
+                    </button>
+                </div>
+
+                <div className="nonce-values mono-font">
+                    <div>
+                        <span className="nonce-label">Key</span>
+                        <span className="nonce-muted">AES-{DEFAULT_KEY_SIZE} {bytesToHex(key)} (unknown to the attacker)</span>
+                    </div>
+                    <div>
+                        <span className="nonce-label">{encryption.mode === 'CTR' ? 'Counter block' : 'IV'}</span>
+                        {bytesToHex(encryption.iv)} (used for both)
+                    </div>
+                    <div>
+                        <span className="nonce-label">C1</span>
+                        {formatBytes(first.cipherBytes)}
+                    </div>
+                    <div>
+                        <span className="nonce-label">C2</span>
+                        {formatBytes(second.cipherBytes)}
+                    </div>
+                    <div>
+                        <span className="nonce-label">C1 ⊕ P1</span>
+                        {formatBytes(first.keystream)}
+                    </div>
+                    <div>
+                        <span className="nonce-label">C2 ⊕ P2</span>
+                        {formatBytes(second.keystream)}
+                        <span className="nonce-highlight"> same keystream</span>
+                    </div>
+                    <div>
+                        <span className="nonce-label">C1 ⊕ C2</span>
+                        <span className="nonce-xor">{formatBytes(encryption.xored)}</span>
+                    </div>
+                    <div>
+                        <span className="nonce-label">P1 ⊕ P2</span>
+                        {formatBytes(encryption.plainXor)}
+                        <span className="nonce-highlight">
+                            {bytesToHex(encryption.plainXor) === bytesToHex(encryption.xored) ? ' equal, the key is gone' : ' differ'}
+                        </span>
+                    </div>
+                </div>
+            </div>
+
+            {/* Crib dragging */}
+            <div className="nonce-section">
+                <h3 className="section-title">2. Crib Dragging</h3>
+                <div className="nonce-note">
+                    Guess a word that is probably in one of the messages and slide it across C1 ⊕ C2. Wherever the guess
+                    is right, XORing it in gives the other message at that spot. Positions where the result looks like
+                    text are highlighted green, printable but unlikely ones yellow.
+                </div>
+                <div className="nonce-inputs">
+                    <label className="nonce-field">
+                        Crib
+                        <input
+                            className="nonce-input mono-font"
+                            type="text"
+                            value={crib}
+                            onChange={(e) => handleCribChange(e.target.value)}
+                        />
+                    </label>
+                    <label className="nonce-field">
+                        Guessed in
+                        <select
+                            className="nonce-input"
+                            value={cribMessage}
+                            onChange={(e) => setCribMessage(Number(e.target.value))}
+                        >
+                            <option value={0}>P1</option>
+                            <option value={1}>P2</option>
+                        </select>
+                    </label>
+                    {positions.length > 0 && (
+                        <label className="nonce-field nonce-wide-field">
+                            Offset {position.offset}
+                            <input
+                                className="nonce-slider"
+                                type="range"
+                                min={0}
+                                max={positions.length - 1}
+                                value={position.offset}
+                                onChange={(e) => setOffset(Number(e.target.value))}
+                            />
+                        </label>
+                    )}
+                </div>
+
+                {positions.length === 0 ? (
+                    <div className="nonce-muted">Enter a crib no longer than the shorter message.</div>
+                ) : (
+                    <>
+                        <div className="nonce-track mono-font">
+                            {encryption.xored.map((byte, index) => (
+                                <span key={index} className={`nonce-cell ${inCrib(index) ? (position.plausible ? 'plausible' : 'current') : ''}`}>
+                                    <span className="nonce-cell-hex">{byte.toString(16).padStart(2, '0')}</span>
+                                    <span className="nonce-cell-char">
+                                        {inCrib(index) ? toPrintable(position.fragment[index - position.offset]) : ''}
+                                    </span>
+                                </span>
+                            ))}
+                        </div>
+
+                        <div className="nonce-values mono-font">
+                            <div>
+                                <span className="nonce-label">Crib in P{cribMessage + 1}</span>
+                                {JSON.stringify(crib)}
+                            </div>
+                            <div>
+                                <span className="nonce-label">P{2 - cribMessage} at {position.offset}</span>
+                                <span className={position.plausible ? 'nonce-highlight' : ''}>
+                                    {JSON.stringify(position.fragment.map(toPrintable).join(''))}
+                                </span>
+                                {position.plausible && ' looks like text'}
+                            </div>
+                        </div>
+
+                        <div className="nonce-inputs">
+                            <button className="nonce-button primary" onClick={handlePlaceGuess}>
+                                Place Guess
+                            </button>
+                            <button className="nonce-button" onClick={() => setRecovered([[], []])}>
+                                Clear Recovered
+                            </button>
+                        </div>
+
+                        <div className="nonce-positions mono-font">
+                            {positions.map(candidate => (
+                                <button
+                                    key={candidate.offset}
+                                    className={`nonce-position ${candidate.plausible ? 'plausible' : candidate.printable ? 'printable' : ''} ${candidate.offset === position.offset ? 'selected' : ''}`}
+                                    onClick={() => setOffset(candidate.offset)}
+                                    title={`Offset ${candidate.offset}`}
+                                >
+                                    <span className="nonce-position-offset">{candidate.offset}</span>
+                                    {candidate.fragment.map(toPrintable).join('')}
+                                </button>
+                            ))}
+                        </div>
+                    </>
+                )}
+
+                <div className="nonce-recovered mono-font">
+                    {recovered.map((bytes, index) => (
+                        <div key={index}>
+                            <span className="nonce-label">Recovered P{index + 1}</span>
+                            <span className="nonce-recovered-text">
+                                {encryption.xored.map((_, byteIndex) => toPrintable(bytes[byteIndex] ?? null)).join('')}
+                            </span>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default NonceReuseLab;
@@ -0,0 +1,245 @@
+import { useState } from 'react';
+import './PaddingOracleLab.css';
+import { createPaddingOracle, runPaddingOracleAttack } from '../utils/aes/paddingOracle';
+import { encryptText } from '../utils/aes/encryption';
+import { BLOCK_SIZE, CIPHER_MODES, DEFAULT_KEY_SIZE } from '../utils/aes/constants';
+import { bytesToHex, bytesToText, generateRandomKey, textToBytes } from '../utils/aes/utils';
+
+const DEFAULT_SECRET = 'Attack at dawn! The padding oracle knows every byte.';
+
+/**
+ * Format bytes as spaced hex, with ?? for bytes not found yet
+ *
+ * @param {Array<number|null>} bytes - Bytes (null where unknown)
+ * @returns {string} Hex bytes separated by spaces
+ */
+function formatBytes(bytes) {
+    return bytes.map(byte => (byte === null ? '??' : byte.toString(16).padStart(2, '0'))).join(' ');
+}
+
+/**
+ * Show a recovered byte as a character if it is printable ASCII
+ *
+ * @param {number|null} byte - Plain text byte (null if unknown)
+ * @returns {string} The character, · for other bytes, or _ if unknown
+ */
+function toPrintable(byte) {
+    if (byte === null) {
+        return '_';
+    }
+    return byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '·';
+}
+
+/**
+ * Encrypt the secret the way the lab's server does
+ *
+ * @param {string} secret - Plain text
+ * @param {number[]} key - Server key
+ * @param {boolean} authenticated - Whether the server uses GCM instead of CBC
+ * @returns {Object} The mode and the cipher bytes (IV first)
+ */
+function encryptSecret(secret, key, authenticated) {
+    const mode = authenticated ? 'GCM' : 'CBC';
+    const { cipherBytes } = encryptText(textToBytes(secret), key, false, { keySize: DEFAULT_KEY_SIZE, mode });
+    return { mode, cipherBytes };
+}
+
+/**
+ * PaddingOracleLab Component
+ *
+ * Vaudenay's padding oracle attack against a local server built on decryptText:
+ * - The server encrypts a secret and then only answers accepted/rejected for any cipher text
+ * - The attack forges the block before each cipher text block, recovering the intermediate
+ *   value D(C[j]) byte by byte, with the oracle queries counted per block
+ * - With authenticated encryption (GCM) every forged cipher text is rejected and the
+ *   attack gets nowhere
+ */
+function PaddingOracleLab() {
+    const [secret, setSecret] = useState(DEFAULT_SECRET);
+    const [authenticated, setAuthenticated] = useState(false);
+    const [key] = useState(() => generateRandomKey(DEFAULT_KEY_SIZE));
+    const [server, setServer] = useState(() => encryptSecret(DEFAULT_SECRET, key, false));
+    const [progress, setProgress] = useState(null);
+    const [result, setResult] = useState(null);
+    const [running, setRunning] = useState(false);
+
+    const resetAttack = () => {
+        setProgress(null);
+        setResult(null);
+    };
+
+    const handleEncrypt = () => {
+        setServer(encryptSecret(secret, key, authenticated));
+        resetAttack();
+    };
+
+    const handleAuthenticatedChange = (checked) => {
+        setAuthenticated(checked);
+        setServer(encryptSecret(secret, key, checked));
+        resetAttack();
+    };
+
+    const handleRunAttack = async () => {
+        setRunning(true);
+        resetAttack();
+
+        const oracle = createPaddingOracle(key, { keySize: DEFAULT_KEY_SIZE, mode: server.mode });
+        const attackResult = await runPaddingOracleAttack(server.cipherBytes, oracle, {
+            onProgress: ({ blockIndex, position, queries, blocks }) => {
+                // The attack keeps filling in its blocks, so keep a copy of this moment
+                const snapshot = blocks.map(block => ({
+                    ...block,
+                    intermediate: [...block.intermediate],
+                    plainBlock: [...block.plainBlock],
+                    bytes: [...block.bytes]
+                }));
+                setProgress({ blockIndex, position, queries, blocks: snapshot });
+            }
+        });
+
+        setResult(attackResult);
+        setRunning(false);
+    };
+
+    const blocks = result ? result.blocks : progress ? progress.blocks : [];
+    const totalQueries = result ? result.queries : progress ? progress.queries : 0;
+    const recoveredBytes = blocks.flatMap(block => block.bytes).length;
+
+    return (
+        <div className="oracle-container glass-effect">
+            <div className="oracle-header">
+                <h2 className="oracle-title">Padding Oracle Lab</h2>
+                <div className="oracle-note">
+                    A server decrypts whatever it is sent with decryptText and only says whether it was accepted.
+                    In CBC mode that is exactly whether the padding was valid, which is enough to decrypt anything.
+                </div>
+            </div>
+
+            {/* Server */}
+            <div className="oracle-section">
+                <h3 className="section-title">1. The Server</h3>
+                <div className="oracle-inputs">
+                    <label className="oracle-field oracle-secret-field">
+                        Secret
+                        <input
+                            className="oracle-input"
+                            type="text"
+                            value={secret}
+                            onChange={(e) => setSecret(e.target.value)}
+                            disabled={running}
+                        />
+                    </label>
+                    <button className="oracle-button" onClick={handleEncrypt} disabled={running}>
+                        Encrypt
+                    </button>
+                    <label className="oracle-field">
+                        <input
+                            type="checkbox"
+                            checked={authenticated}
+                            onChange={(e) => handleAuthenticatedChange(e.target.checked)}
+                            disabled={running}
+                        />
+                        Authenticated encryption (GCM)
+                    </label>
+                </div>
+                <div className="oracle-values mono-font">
+                    <div>
+                        <span className="oracle-label">Mode</span>
+                        AES-{DEFAULT_KEY_SIZE}-{server.mode} ({CIPHER_MODES[server.mode].name})
+                    </div>
+                    <div>
+                        <span className="oracle-label">Server key</span>
+                        <span className="oracle-muted">{bytesToHex(key)} (unknown to the attacker)</span>
+                    </div>
+                    <div>
+                        <span className="oracle-label">Cipher text</span>
+                        {bytesToHex(server.cipherBytes)}
+                    </div>
+                </div>
+            </div>
+
+            {/* Attack */}
+            <div className="oracle-section">
+                <h3 className="section-title">2. The Attack</h3>
+                <div className="oracle-note">
+                    For block C[j] the attacker sends X ‖ C[j]. The server computes D(C[j]) ⊕ X, so when the padding
+                    is accepted the last bytes of D(C[j]) ⊕ X are 01, or 02 02, and so on. That gives the intermediate
+                    value D(C[j]) one byte at a time, and D(C[j]) ⊕ C[j-1] is the plain text.
+                </div>
+                <button className="oracle-button primary" onClick={handleRunAttack} disabled={running}>
+                    {running ? 'Attacking...' : 'Run Padding Oracle Attack'}
+                </button>
+
+                {(progress || result) && (
+                    <div className="oracle-stats">
+                        {progress && running && <span>Block {progress.blockIndex}, byte {progress.position}</span>}
+                        <span>{totalQueries} oracle queries</span>
+                        {recoveredBytes > 0 && (
+                            <span>{(totalQueries / recoveredBytes).toFixed(1)} queries per byte</span>
+                        )}
+                    </div>
+                )}
+
+                {blocks.length > 0 && (
+                    <div className="oracle-blocks">
+                        {blocks.map(block => (
+                            <div key={block.blockIndex} className="oracle-block mono-font">
+                                <div className="oracle-block-header">
+                                    <span className="oracle-block-title">Block {block.blockIndex}</span>
+                                    <span>{block.queries} queries</span>
+                                </div>
+                                <div>
+                                    <span className="oracle-label">C[{block.blockIndex}]</span>
+                                    {formatBytes(block.cipherBlock)}
+                                </div>
+                                <div>
+                                    <span className="oracle-label">D(C[{block.blockIndex}])</span>
+                                    <span className="oracle-intermediate">{formatBytes(block.intermediate)}</span>
+                                </div>
+                                <div>
+                                    <span className="oracle-label">⊕ {block.blockIndex === 1 ? 'IV' : `C[${block.blockIndex - 1}]`}</span>
+                                    {formatBytes(block.previousBlock)}
+                                </div>
+                                <div>
+                                    <span className="oracle-label">= P[{block.blockIndex}]</span>
+                                    <span className="oracle-plain">{formatBytes(block.plainBlock)}</span>
+                                    <span className="oracle-text">{block.plainBlock.map(toPrintable).join('')}</span>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {/* Outcome */}
+            {result && (
+                <div className={`oracle-summary ${result.success ? 'success' : 'fail'}`}>
+                    {result.success ? (
+                        <>
+                            <div>Recovered secret: <span className="mono-font">{bytesToText(result.plainBytes)}</span></div>
+                            <div>
+                                {result.blocks.length} block{result.blocks.length === 1 ? '' : 's'} in {result.queries} queries,
+                                without the key (at most 256 per byte, {BLOCK_SIZE * 256} per block)
+                            </div>
+                        </>
+                    ) : (
+                        <>
+                            <div>
+                                No guess for byte {result.failure.position} of block {result.failure.blockIndex} was accepted
+                                after {result.failure.queries} queries.
+                            </div>
+                            {server.mode === 'GCM' && (
+                                <div>
+                                    Every forged cipher text fails the GCM tag check before the plain text is looked at,
+                                    so the oracle rejects everything and the attacker learns nothing.
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default PaddingOracleLab;
@@ -0,0 +1,208 @@
+import { useState, useEffect } from 'react';
+import './RoundDebugger.css';
+import StateMatrixGrid from './StateMatrixGrid';
+
+// Playback speeds, in milliseconds per step
+const PLAYBACK_SPEEDS = [
+    { label: '0.5x', delay: 2000 },
+    { label: '1x', delay: 1000 },
+    { label: '2x', delay: 500 },
+    { label: '4x', delay: 250 }
+];
+
+/**
+ * Split a matrix formatted by formatStateMatrix back into rows of hex bytes
+ * 
+ * @param {string} formatted - Rows of space-separated hex bytes, one per line
+ * @returns {string[][]} 4x4 grid of hex bytes
+ */
+function parseFormattedMatrix(formatted) {
+    return formatted.split('\n').map(row => row.split(' '));
+}
+
+/**
+ * StateGrid Component
+ * 
+ * Displays a 4x4 matrix as a grid of hex bytes (rows r0-r3, columns c0-c3)
+ */
+function StateGrid({ label, rows }) {
+    return (
+        <div className="state-grid-container">
+            <div className="matrix-label">{label}</div>
+            <div className="state-grid mono-font">
+                {rows.map((row, rowIndex) =>
+                    row.map((cell, colIndex) => (
+                        <div key={`${rowIndex}-${colIndex}`} className="state-grid-cell">
+                            {cell}
+                        </div>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * RoundDebugger Component
+ * 
+ * Debugger-style player over the round details of one block:
+ * - The current state matrix as a 4x4 grid, with the bytes changed by the step highlighted
+ *   (and the round key at AddRoundKey steps)
+ * - Step forward, step back, play/pause and playback speed
+ * - Jump to any round or to any transformation within the current round
+ * - The block the state was XORed with at CBC chaining steps: the IV for block 0, the
+ *   previous cipher block after that
+ */
+function RoundDebugger({ roundDetails, blockName = 'Block 0', blockIndex = 0 }) {
+    const [stepIndex, setStepIndex] = useState(0);
+    const [playing, setPlaying] = useState(false);
+    const [delay, setDelay] = useState(PLAYBACK_SPEEDS[1].delay);
+
+    const lastIndex = roundDetails.length - 1;
+
+    // The round details are replaced whenever the input changes, so stay within range
+    const currentIndex = Math.min(stepIndex, lastIndex);
+    const current = roundDetails[currentIndex];
+
+    // Advance one step per tick while playing, and stop at the last step
+    useEffect(() => {
+        if (!playing || currentIndex >= lastIndex) {
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            setStepIndex(currentIndex + 1);
+            if (currentIndex + 1 >= lastIndex) {
+                setPlaying(false);
+            }
+        }, delay);
+        return () => clearTimeout(timer);
+    }, [playing, currentIndex, lastIndex, delay]);
+
+    const rounds = [...new Set(roundDetails.map(detail => detail.round))];
+
+    // Steps of the current round, with their index in roundDetails
+    const roundSteps = roundDetails
+        .map((detail, index) => ({ ...detail, index }))
+        .filter(detail => detail.round === current.round);
+
+    const jumpTo = (index) => {
+        setPlaying(false);
+        setStepIndex(index);
+    };
+
+    // Playback has stopped once the last step is reached
+    const isPlaying = playing && currentIndex < lastIndex;
+
+    const handlePlay = () => {
+        if (isPlaying) {
+            setPlaying(false);
+            return;
+        }
+
+        // Playing from the last step starts again from the beginning
+        if (currentIndex >= lastIndex) {
+            setStepIndex(0);
+        }
+        setPlaying(true);
+    };
+
+    return (
+        <div className="key-expansion-section round-debugger">
+            <h3 className="section-title">Step Through ({blockName})</h3>
+
+            <div className="debugger-controls">
+                <button className="control-btn" onClick={() => jumpTo(0)} disabled={currentIndex === 0}>
+                    ⏮
+                </button>
+                <button className="control-btn" onClick={() => jumpTo(currentIndex - 1)} disabled={currentIndex === 0}>
+                    ◀ Step Back
+                </button>
+                <button className="control-btn" onClick={handlePlay}>
+                    {isPlaying ? '⏸ Pause' : '▶ Play'}
+                </button>
+                <button className="control-btn" onClick={() => jumpTo(currentIndex + 1)} disabled={currentIndex === lastIndex}>
+                    Step Forward ▶
+                </button>
+                <button className="control-btn" onClick={() => jumpTo(lastIndex)} disabled={currentIndex === lastIndex}>
+                    ⏭
+                </button>
+
+                <select
+                    className="debugger-select"
+                    value={delay}
+                    onChange={(e) => setDelay(Number(e.target.value))}
+                    title="Playback speed"
+                >
+                    {PLAYBACK_SPEEDS.map(speed => (
+                        <option key={speed.delay} value={speed.delay}>{speed.label}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div className="debugger-controls">
+                <label className="debugger-jump">
+                    Round
+                    <select
+                        className="debugger-select"
+                        value={current.round}
+                        onChange={(e) => jumpTo(roundDetails.findIndex(detail => detail.round === Number(e.target.value)))}
+                    >
+                        {rounds.map(round => (
+                            <option key={round} value={round}>{round}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="debugger-jump">
+                    Transformation
+                    <select
+                        className="debugger-select"
+                        value={currentIndex}
+                        onChange={(e) => jumpTo(Number(e.target.value))}
+                    >
+                        {roundSteps.map(step => (
+                            <option key={step.index} value={step.index}>{step.step}</option>
+                        ))}
+                    </select>
+                </label>
+                <span className="debugger-position">
+                    Step {currentIndex + 1} of {roundDetails.length}
+                </span>
+            </div>
+
+            <div className="debugger-progress">
+                <div
+                    className="debugger-progress-bar"
+                    style={{ width: `${((currentIndex + 1) / roundDetails.length) * 100}%` }}
+                />
+            </div>
+
+            <div className="debugger-step-name">
+                Round {current.round}: {current.step}
+            </div>
+
+            <div className="debugger-grids">
+                {/* Keyed by step, so a byte breakdown opened on one step closes on the next */}
+                <StateMatrixGrid
+                    key={`${blockIndex}-${currentIndex}`}
+                    label="State Matrix:"
+                    matrix={current.stateMatrix}
+                    previousMatrix={currentIndex > 0 ? roundDetails[currentIndex - 1].stateMatrix : null}
+                    stepName={current.step}
+                    mixColumnsTrace={current.mixColumnsTrace}
+                />
+                {current.chainBlock && (
+                    <StateGrid
+                        label={blockIndex === 0 ? 'IV:' : `Previous Cipher Block (C${blockIndex - 1}):`}
+                        rows={parseFormattedMatrix(current.chainBlock)}
+                    />
+                )}
+                {current.roundKey && (
+                    <StateGrid label="Round Key:" rows={parseFormattedMatrix(current.roundKey)} />
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default RoundDebugger;
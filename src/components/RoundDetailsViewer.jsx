@@ -1,18 +1,41 @@
 import { useState } from 'react';
 import './RoundDetailsViewer.css';
+import KeyScheduleViewer from './KeyScheduleViewer';
+import RoundDebugger from './RoundDebugger';
+import StateMatrixGrid from './StateMatrixGrid';
+import { CIPHER_MODES } from '../utils/aes/constants';
 
 /**
  * RoundDetailsViewer Component
  * 
  * Displays round-by-round details of the AES encryption/decryption process:
  * - Complete cipher text after each round (for all blocks)
- * - Round keys from key expansion
- * - State transformations at each step
+ * - Round keys from key expansion, and the key schedule word by word
+ * - Mode of operation values behind each block (CBC chaining, CFB shift register,
+ *   OFB feedback, CTR counter and keystream)
+ * - GCM tag computation (hash subkey, GHASH steps and the final tag)
+ * - State transformations at each step (changed bytes highlighted, ShiftRows and
+ *   MixColumns byte movement shown), as static lists or stepped through one at a time
+ * - Any block can be picked (traced on demand), optionally side by side with a second block
+ * - A reduced-round badge when the rounds are not real AES
  * - Intermediate values for each round
  */
-function RoundDetailsViewer({ roundDetails, keyExpansion, completeCipherPerRound, mode }) {
+function RoundDetailsViewer({
+    roundDetails,
+    blockTrace,
+    keyExpansion,
+    completeCipherPerRound,
+    modeDetails,
+    authenticationDetails,
+    mode,
+    isReducedRound,
+    cipherMode
+}) {
     const [expandedRounds, setExpandedRounds] = useState({});
     const [showKeyExpansion, setShowKeyExpansion] = useState(false);
+    const [showDebugger, setShowDebugger] = useState(false);
+    const [selectedBlock, setSelectedBlock] = useState(0);
+    const [compareBlock, setCompareBlock] = useState(null); // null means no comparison
 
     // Helper function to format bytes to hex with spaces every 32 chars (2 blocks)
     const formatCipherText = (bytes) => {
@@ -44,8 +67,26 @@ function RoundDetailsViewer({ roundDetails, keyExpansion, completeCipherPerRound
         }
     };
 
+    // The final round is Nr (10, 12 or 14 depending on the key size)
+    const finalRound = keyExpansion ? String(keyExpansion.roundKeys.length - 1) : null;
+
+    // Stream modes only run the block cipher to produce a keystream
+    const isStreamMode = !CIPHER_MODES[cipherMode].usesPadding;
+
+    // Blocks are traced on demand, so picking block N only traces block N
+    const blockCount = blockTrace && blockTrace.traceBlock ? blockTrace.blockCount : 0;
+    const blockLabel = modeDetails ? modeDetails.blockLabel : 'Block';
+    const blockIndex = Math.min(selectedBlock, Math.max(blockCount - 1, 0));
+    const blockDetails = blockCount > 0 ? blockTrace.traceBlock(blockIndex) : roundDetails;
+    const compareDetails = compareBlock !== null && compareBlock < blockCount
+        ? blockTrace.traceBlock(compareBlock)
+        : null;
+
+    // Label for the state of a block (stream modes trace the block cipher input, not the data)
+    const blockStateLabel = (index) => `${blockLabel} ${index}${isStreamMode ? ' Cipher Input' : ''}`;
+
     // Group round details by round number
-    const groupedByRound = roundDetails.reduce((acc, detail, index) => {
+    const groupedByRound = blockDetails.reduce((acc, detail, index) => {
         if (!acc[detail.round]) {
             acc[detail.round] = [];
         }
@@ -58,6 +99,7 @@ function RoundDetailsViewer({ roundDetails, keyExpansion, completeCipherPerRound
             <div className="round-details-header">
                 <h2 className="round-details-title">
                     Round-by-Round Details ({mode === 'encrypt' ? 'Encryption' : 'Decryption'})
+                    {isReducedRound && <span className="reduced-round-badge">Reduced-round, not AES</span>}
                 </h2>
                 <div className="round-details-controls">
                     <button
@@ -72,9 +114,54 @@ function RoundDetailsViewer({ roundDetails, keyExpansion, completeCipherPerRound
                     >
                         {showKeyExpansion ? 'Hide' : 'Show'} Key Expansion
                     </button>
+                    <button
+                        className="control-btn"
+                        onClick={() => setShowDebugger(!showDebugger)}
+                    >
+                        {showDebugger ? 'Hide' : 'Show'} Step Through
+                    </button>
                 </div>
             </div>
 
+            {/* Block Selection */}
+            {blockCount > 1 && (
+                <div className="block-selector">
+                    <label className="block-selector-field">
+                        Trace {blockLabel}
+                        <input
+                            type="number"
+                            min={0}
+                            max={blockCount - 1}
+                            value={blockIndex}
+                            onChange={(e) => setSelectedBlock(Math.max(0, Math.min(blockCount - 1, Number(e.target.value) || 0)))}
+                        />
+                        <span className="block-selector-count">of 0-{blockCount - 1}</span>
+                    </label>
+                    <label className="block-selector-field">
+                        <input
+                            type="checkbox"
+                            checked={compareBlock !== null}
+                            onChange={(e) => setCompareBlock(e.target.checked ? Math.min(blockIndex + 1, blockCount - 1) : null)}
+                        />
+                        Compare side by side with {blockLabel}
+                        {compareBlock !== null && (
+                            <input
+                                type="number"
+                                min={0}
+                                max={blockCount - 1}
+                                value={Math.min(compareBlock, blockCount - 1)}
+                                onChange={(e) => setCompareBlock(Math.max(0, Math.min(blockCount - 1, Number(e.target.value) || 0)))}
+                            />
+                        )}
+                    </label>
+                </div>
+            )}
+
+            {/* Step-Through Debugger */}
+            {showDebugger && blockDetails.length > 0 && (
+                <RoundDebugger roundDetails={blockDetails} blockName={`${blockLabel} ${blockIndex}`} blockIndex={blockIndex} />
+            )}
+
             {/* Key Expansion Section */}
             {showKeyExpansion && keyExpansion && (
                 <div className="key-expansion-section">
@@ -87,6 +174,80 @@ function RoundDetailsViewer({ roundDetails, keyExpansion, completeCipherPerRound
                             </div>
                         ))}
                     </div>
+                    <KeyScheduleViewer expansionDetails={keyExpansion.expansionDetails} />
+                </div>
+            )}
+
+            {/* Mode of Operation Section */}
+            {modeDetails && modeDetails.blocks.length > 0 && (
+                <div className="key-expansion-section">
+                    <h3 className="section-title">{modeDetails.title}</h3>
+                    <div className="chaining-list">
+                        {modeDetails.blocks.map(block => (
+                            <div key={block.index} className="chaining-item mono-font">
+                                <span className="chaining-label">{modeDetails.blockLabel} {block.index}</span>
+                                {block.values.map((value, valueIndex) => (
+                                    <span
+                                        key={valueIndex}
+                                        className={valueIndex === block.values.length - 1 ? 'chaining-result' : undefined}
+                                    >
+                                        <span className="chaining-operator">{value.name}:</span>{' '}
+                                        {value.bytes ? formatCipherText(value.bytes) : value.text}
+                                    </span>
+                                ))}
+                            </div>
+                        ))}
+                    </div>
+                    {completeCipherPerRound && completeCipherPerRound.chained && (
+                        <div className="complete-cipher-section">
+                            <div className="cipher-label">
+                                Complete {mode === 'encrypt' ? 'Cipher Input' : 'Plain Text'} After XOR:
+                            </div>
+                            <div className="cipher-text-display mono-font">
+                                {formatCipherText(completeCipherPerRound.chained)}
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* GCM Tag Computation Section */}
+            {authenticationDetails && (
+                <div className="key-expansion-section">
+                    <h3 className="section-title">GCM Tag Computation</h3>
+                    <div className="chaining-list">
+                        <div className="chaining-item mono-font">
+                            <span className="chaining-label">H</span>
+                            <span className="chaining-operator">E(K, 0¹²⁸) =</span>
+                            <span>{formatCipherText(authenticationDetails.hashSubkey)}</span>
+                        </div>
+                        <div className="chaining-item mono-font">
+                            <span className="chaining-label">J0</span>
+                            <span className="chaining-operator">Pre-counter block =</span>
+                            <span>{formatCipherText(authenticationDetails.preCounterBlock)}</span>
+                        </div>
+                        {authenticationDetails.ghashSteps.map((ghashStep, index) => (
+                            <div key={index} className="chaining-item mono-font">
+                                <span className="chaining-label">{ghashStep.label}</span>
+                                <span className="chaining-operator">
+                                    Y ⊕ {formatCipherText(ghashStep.block)} = {formatCipherText(ghashStep.afterXor)}
+                                </span>
+                                <span className="chaining-result">· H = {formatCipherText(ghashStep.product)}</span>
+                            </div>
+                        ))}
+                        <div className="chaining-item mono-font">
+                            <span className="chaining-label">S</span>
+                            <span className="chaining-operator">GHASH result =</span>
+                            <span>{formatCipherText(authenticationDetails.ghashResult)}</span>
+                        </div>
+                        <div className="chaining-item mono-font">
+                            <span className="chaining-label">Tag</span>
+                            <span className="chaining-operator">
+                                E(K, J0) ⊕ S = {formatCipherText(authenticationDetails.encryptedPreCounter)} ⊕ {formatCipherText(authenticationDetails.ghashResult)}
+                            </span>
+                            <span className="chaining-result">= {formatCipherText(authenticationDetails.tag)}</span>
+                        </div>
+                    </div>
                 </div>
             )}
 
@@ -100,7 +261,7 @@ function RoundDetailsViewer({ roundDetails, keyExpansion, completeCipherPerRound
                         >
                             <span className="round-number">
                                 Round {roundNum} {roundNum === '0' && '(Initial)'}
-                                {roundNum === '14' && '(Final)'}
+                                {roundNum === finalRound && '(Final)'}
                             </span>
                             <span className="expand-icon">
                                 {expandedRounds[roundNum] ? '▼' : '▶'}
@@ -111,7 +272,7 @@ function RoundDetailsViewer({ roundDetails, keyExpansion, completeCipherPerRound
                         {completeCipherPerRound && completeCipherPerRound[roundNum] && (
                             <div className="complete-cipher-section">
                                 <div className="cipher-label">
-                                    Complete {mode === 'encrypt' ? 'Cipher' : 'Plain'} Text After Round {roundNum}:
+                                    Complete {isStreamMode ? 'Keystream' : mode === 'encrypt' ? 'Cipher Text' : 'Plain Text'} After Round {roundNum}:
                                 </div>
                                 <div className="cipher-text-display mono-font">
                                     {formatCipherText(completeCipherPerRound[roundNum])}
@@ -130,10 +291,30 @@ function RoundDetailsViewer({ roundDetails, keyExpansion, completeCipherPerRound
                                             <span className="step-name">{step.step}</span>
                                         </div>
                                         <div className="step-content">
-                                            <div className="state-matrix-container">
-                                                <div className="matrix-label">State Matrix (First Block):</div>
-                                                <pre className="state-matrix mono-font">{step.state}</pre>
+                                            <div className={compareDetails ? 'block-compare' : undefined}>
+                                                <StateMatrixGrid
+                                                    label={`State Matrix (${blockStateLabel(blockIndex)}):`}
+                                                    matrix={step.stateMatrix}
+                                                    previousMatrix={step.originalIndex > 0 ? blockDetails[step.originalIndex - 1].stateMatrix : null}
+                                                    stepName={step.step}
+                                                    mixColumnsTrace={step.mixColumnsTrace}
+                                                />
+                                                {compareDetails && compareDetails[step.originalIndex] && (
+                                                    <StateMatrixGrid
+                                                        label={`State Matrix (${blockStateLabel(compareBlock)}):`}
+                                                        matrix={compareDetails[step.originalIndex].stateMatrix}
+                                                        previousMatrix={step.originalIndex > 0 ? compareDetails[step.originalIndex - 1].stateMatrix : null}
+                                                        stepName={compareDetails[step.originalIndex].step}
+                                                        mixColumnsTrace={compareDetails[step.originalIndex].mixColumnsTrace}
+                                                    />
+                                                )}
                                             </div>
+                                            {step.chainBlock && (
+                                                <div className="state-matrix-container">
+                                                    <div className="matrix-label">{blockIndex === 0 ? 'IV' : `Previous Cipher Block (C${blockIndex - 1})`}:</div>
+                                                    <pre className="state-matrix mono-font">{step.chainBlock}</pre>
+                                                </div>
+                                            )}
                                             {step.roundKey && (
                                                 <div className="state-matrix-container">
                                                     <div className="matrix-label">Round Key:</div>
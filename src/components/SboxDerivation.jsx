@@ -0,0 +1,136 @@
+import './SboxDerivation.css';
+import {
+    deriveSboxEntry,
+    deriveInverseSboxEntry,
+    SBOX_VERIFICATION
+} from '../utils/aes/sboxDerivation';
+
+/**
+ * Format a byte as two hex digits
+ * 
+ * @param {number} byte - Byte value
+ * @returns {string} Hex string (e.g. "0f")
+ */
+function toHex(byte) {
+    return byte.toString(16).padStart(2, '0');
+}
+
+/**
+ * Format a byte as eight binary digits
+ * 
+ * @param {number} byte - Byte value
+ * @returns {string} Binary string (e.g. "00001111")
+ */
+function toBinary(byte) {
+    return byte.toString(2).padStart(8, '0');
+}
+
+/**
+ * AffineMatrix Component
+ * 
+ * Shows an affine transformation as a bit matrix multiplication: one row per output bit,
+ * the matrix entries over the input bits b0..b7, the constant bit and the output bit.
+ * Entries where both the matrix and the input bit are 1 are highlighted (they are the
+ * terms that get XORed together)
+ */
+function AffineMatrix({ affine }) {
+    const inputBits = [0, 1, 2, 3, 4, 5, 6, 7].map(bit => (affine.input >> bit) & 1);
+
+    return (
+        <table className="sbox-matrix">
+            <thead>
+                <tr>
+                    <th></th>
+                    {inputBits.map((_, bit) => <th key={bit}>b{bit}</th>)}
+                    <th>⊕ c</th>
+                    <th>=</th>
+                </tr>
+                <tr className="sbox-matrix-input">
+                    <th>input</th>
+                    {inputBits.map((value, bit) => <th key={bit}>{value}</th>)}
+                    <th>{toHex(affine.constant)}</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                {affine.rows.map(row => (
+                    <tr key={row.bit}>
+                        <td>b'{row.bit}</td>
+                        {inputBits.map((value, bit) => {
+                            const inMatrix = row.sourceBits.includes(bit);
+                            return (
+                                <td key={bit} className={inMatrix && value ? 'sbox-term' : ''}>
+                                    {inMatrix ? 1 : 0}
+                                </td>
+                            );
+                        })}
+                        <td>{row.constantBit}</td>
+                        <td className="sbox-output-bit">{row.output}</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+}
+
+/**
+ * SboxDerivation Component
+ * 
+ * Shows how one S-Box (or inverse S-Box) value is computed instead of looked up:
+ * - SubBytes: the multiplicative inverse in GF(2^8), then the affine transformation with 0x63
+ * - InverseSubBytes: the inverse affine transformation with 0x05, then the multiplicative inverse
+ * - Whether the derived value matches the hard-coded table (checked for all entries at startup)
+ */
+function SboxDerivation({ input, inverse, onClose }) {
+    const entry = inverse ? deriveInverseSboxEntry(input) : deriveSboxEntry(input);
+    const tableName = inverse ? 'INVERSE_S_BOX' : 'S_BOX';
+
+    // SubBytes inverts the input byte, InverseSubBytes inverts the inverse affine output
+    const invertedByte = inverse ? entry.affine.output : entry.input;
+
+    const inverseStep = (
+        <div className="sbox-step">
+            <div className="sbox-step-title">Multiplicative inverse in GF(2^8)</div>
+            {invertedByte === 0 ? (
+                <div>00 has no inverse and maps to 00</div>
+            ) : (
+                <div>
+                    {toHex(invertedByte)}⁻¹ = {toHex(entry.inverse)}
+                    {' '}(check: {toHex(invertedByte)} · {toHex(entry.inverse)} = {toHex(entry.inverseCheck)})
+                </div>
+            )}
+        </div>
+    );
+
+    const affineStep = (
+        <div className="sbox-step">
+            <div className="sbox-step-title">
+                {inverse ? 'Inverse affine transformation' : 'Affine transformation'} (⊕ {toHex(entry.affine.constant)})
+            </div>
+            <div>
+                {toBinary(entry.affine.input)} ({toHex(entry.affine.input)}) → {toBinary(entry.affine.output)} ({toHex(entry.affine.output)})
+            </div>
+            <AffineMatrix affine={entry.affine} />
+        </div>
+    );
+
+    return (
+        <div className="sbox-derivation mono-font">
+            <div className="sbox-derivation-header">
+                <span className="sbox-derivation-title">
+                    {tableName}[{toHex(input)}] = {toHex(entry.output)}
+                </span>
+                <button className="sbox-derivation-close" onClick={onClose} title="Close">✕</button>
+            </div>
+
+            {inverse ? <>{affineStep}{inverseStep}</> : <>{inverseStep}{affineStep}</>}
+
+            <div className={`sbox-check ${entry.output === entry.tableValue ? 'pass' : 'fail'}`}>
+                {entry.output === entry.tableValue ? '✓' : '✗'} {tableName}[{toHex(input)}] in constants.js = {toHex(entry.tableValue)}
+                {' '}(all 256 entries of both tables {SBOX_VERIFICATION.valid ? 'match' : 'do NOT match'} their derivation)
+            </div>
+        </div>
+    );
+}
+
+export default SboxDerivation;
@@ -0,0 +1,260 @@
+import { useMemo, useState } from 'react';
+import './SquareAttackLab.css';
+import {
+    analyzeLambdaSet,
+    createLambdaSet,
+    runSquareAttack,
+    SQUARE_ATTACK_ROUNDS
+} from '../utils/aes/squareAttack';
+import { BLOCK_SIZE } from '../utils/aes/constants';
+import { bytesToHex, hexToBytes, generateRandomBytes } from '../utils/aes/utils';
+
+// Short labels for the byte properties of a Λ-set
+const PROPERTY_LABELS = {
+    all: 'A',
+    constant: 'C',
+    balanced: 'B',
+    unknown: '?'
+};
+
+/**
+ * Format a byte as two hex digits
+ *
+ * @param {number} byte - The byte
+ * @returns {string} Two hex digits
+ */
+function toHex(byte) {
+    return byte.toString(16).padStart(2, '0');
+}
+
+/**
+ * 4x4 grid of 16 values in state byte order (column-major)
+ *
+ * @param {Object} props - Component props
+ * @param {Object[]} props.cells - 16 { text, title, className } entries, state byte order
+ */
+function StateCells({ cells }) {
+    return (
+        <div className="square-cells mono-font">
+            {[0, 1, 2, 3].map(row => [0, 1, 2, 3].map(col => {
+                const cell = cells[col * 4 + row];
+
+                return (
+                    <span key={`${row}-${col}`} className={`square-cell ${cell.className ?? ''}`} title={cell.title}>
+                        {cell.text}
+                    </span>
+                );
+            }))}
+        </div>
+    );
+}
+
+/**
+ * SquareAttackLab Component
+ *
+ * Walks through the Square (integral) attack on 4-round AES-128:
+ * - A Λ-set of 256 plain texts, and the all/constant/balanced property of every state
+ *   byte after each round (balanced after 3 rounds, lost after the 4th)
+ * - Last round key byte guessing by partial decryption, with the candidates left for
+ *   every byte shown while it runs
+ * - The master key recovered by running the key schedule backwards
+ */
+function SquareAttackLab() {
+    const [keyHex, setKeyHex] = useState(() => bytesToHex(generateRandomBytes(BLOCK_SIZE)));
+    const [activeByte, setActiveByte] = useState(0);
+    const [constantBytes, setConstantBytes] = useState(() => generateRandomBytes(BLOCK_SIZE));
+    const [progress, setProgress] = useState(null);
+    const [result, setResult] = useState(null);
+    const [running, setRunning] = useState(false);
+
+    const key = hexToBytes(keyHex);
+    const keyError = key.length === BLOCK_SIZE ? '' : `The key must be ${BLOCK_SIZE} bytes (${BLOCK_SIZE * 2} hex digits), got ${key.length}`;
+
+    // Encrypt the Λ-set and classify every byte after every round
+    const analysis = useMemo(() => {
+        const bytes = hexToBytes(keyHex);
+        return bytes.length === BLOCK_SIZE ? analyzeLambdaSet(createLambdaSet(activeByte, constantBytes), bytes) : null;
+    }, [keyHex, activeByte, constantBytes]);
+
+    const handleRunAttack = async () => {
+        setRunning(true);
+        setResult(null);
+        setProgress(null);
+
+        const attackResult = await runSquareAttack(key, { onProgress: setProgress });
+
+        setResult(attackResult);
+        setRunning(false);
+    };
+
+    const candidateCounts = result
+        ? result.candidates.map(list => list.length)
+        : progress ? progress.candidateCounts : null;
+
+    return (
+        <div className="square-container glass-effect">
+            <div className="square-header">
+                <h2 className="square-title">Square Attack Lab</h2>
+                <div className="square-note">
+                    Integral cryptanalysis of {SQUARE_ATTACK_ROUNDS}-round AES-128 (reduced-round, not real AES):
+                    the attacker chooses plain texts and sees only the cipher texts.
+                </div>
+            </div>
+
+            <div className="square-inputs">
+                <label className="square-field square-key-field">
+                    Secret Key (hex)
+                    <input
+                        className="square-input mono-font"
+                        type="text"
+                        value={keyHex}
+                        onChange={(e) => setKeyHex(e.target.value)}
+                        disabled={running}
+                    />
+                    <button
+                        className="square-button"
+                        onClick={() => setKeyHex(bytesToHex(generateRandomBytes(BLOCK_SIZE)))}
+                        disabled={running}
+                    >
+                        Random
+                    </button>
+                </label>
+            </div>
+
+            {keyError && <div className="square-error">{keyError}</div>}
+
+            {/* Balanced Property */}
+            {analysis && (
+                <div className="square-section">
+                    <h3 className="section-title">1. Λ-Set and the Balanced Property</h3>
+                    <div className="square-inputs">
+                        <label className="square-field">
+                            Active byte
+                            <select
+                                className="square-input"
+                                value={activeByte}
+                                onChange={(e) => setActiveByte(Number(e.target.value))}
+                            >
+                                {Array.from({ length: BLOCK_SIZE }, (_, index) => (
+                                    <option key={index} value={index}>{index}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <button className="square-button" onClick={() => setConstantBytes(generateRandomBytes(BLOCK_SIZE))}>
+                            New Constant Bytes
+                        </button>
+                    </div>
+                    <div className="square-note">
+                        A = every value once, C = constant, B = balanced (the 256 values XOR to 00), ? = none of these.
+                        Hover a byte for its XOR sum.
+                    </div>
+                    <div className="square-rounds">
+                        {analysis.rounds.map(round => (
+                            <div key={round.round} className={`square-round ${round.round === SQUARE_ATTACK_ROUNDS - 1 ? 'highlight' : ''}`}>
+                                <div className="square-round-label">
+                                    {round.round === 0 ? 'After initial AddRoundKey' : `After round ${round.round}`}
+                                    <span className={round.balanced ? 'square-ok' : 'square-bad'}>
+                                        {round.balanced ? ' XOR = 0' : ' not balanced'}
+                                    </span>
+                                </div>
+                                <StateCells
+                                    cells={round.bytes.map(byte => ({
+                                        text: PROPERTY_LABELS[byte.property],
+                                        title: `XOR sum ${toHex(byte.xorSum)}`,
+                                        className: byte.property
+                                    }))}
+                                />
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {/* Key Guessing */}
+            <div className="square-section">
+                <h3 className="section-title">2. Guess the Last Round Key</h3>
+                <div className="square-note">
+                    For each guess k, every cipher text byte is partially decrypted: AddRoundKey(k), InvShiftRows,
+                    InvSubBytes. A guess survives only if the 256 results XOR to 00 (the round 3 byte is balanced).
+                    Each Λ-set costs 256 chosen plain texts.
+                </div>
+                <button className="square-button primary" onClick={handleRunAttack} disabled={running || Boolean(keyError)}>
+                    {running ? 'Attacking...' : 'Run Square Attack'}
+                </button>
+
+                {progress && (
+                    <div className="square-progress">
+                        <div className="square-progress-text">
+                            Λ-set {progress.lambdaSet}, guess {toHex(progress.guess)} of ff,
+                            remaining key space {progress.keySpaceBits.toFixed(1)} bits
+                        </div>
+                        <div className="square-progress-bar">
+                            <div className="square-progress-fill" style={{ width: `${((progress.guess + 1) / 256) * 100}%` }} />
+                        </div>
+                    </div>
+                )}
+
+                {candidateCounts && (
+                    <div className="square-candidates">
+                        <div className="square-round-label">Candidates per last round key byte</div>
+                        <StateCells
+                            cells={candidateCounts.map((count, position) => ({
+                                text: result && count === 1 ? toHex(result.candidates[position][0]) : count,
+                                title: `Byte ${position}: ${count} candidate${count === 1 ? '' : 's'}`,
+                                className: count === 1 ? 'found' : ''
+                            }))}
+                        />
+                    </div>
+                )}
+
+                {result && (
+                    <div className="square-history mono-font">
+                        {result.history.map(entry => (
+                            <div key={entry.lambdaSet}>
+                                After Λ-set {entry.lambdaSet}: {entry.candidateCounts.join(' ')}
+                                {' '}({entry.candidateCounts.reduce((total, count) => total + count, 0)} candidates)
+                            </div>
+                        ))}
+                        <div>{result.queries} chosen plain texts, {result.partialDecryptions} partial decryptions</div>
+                    </div>
+                )}
+            </div>
+
+            {/* Master Key Recovery */}
+            {result && (
+                <div className="square-section">
+                    <h3 className="section-title">3. Run the Key Schedule Backwards</h3>
+                    {result.success ? (
+                        <>
+                            <div className="square-note">
+                                Round {SQUARE_ATTACK_ROUNDS} key = w[{SQUARE_ATTACK_ROUNDS * 4}]..w[{SQUARE_ATTACK_ROUNDS * 4 + 3}].
+                                Each earlier word is w[i-4] = w[i] ⊕ temp(w[i-1]).
+                            </div>
+                            <div className="square-schedule mono-font">
+                                {result.keyScheduleSteps.map(step => (
+                                    <div key={step.wordIndex} className="square-schedule-step">
+                                        <span className="square-schedule-index">w[{step.wordIndex}]</span>
+                                        <span>= w[{step.fromWordIndex}] {bytesToHex(step.word)}</span>
+                                        <span>⊕ {step.operation === 'XOR only' ? `w[${step.fromWordIndex - 1}]` : `${step.operation}(w[${step.fromWordIndex - 1}])`} {bytesToHex(step.transformed)}</span>
+                                        <span className="square-schedule-result">= {bytesToHex(step.result)}</span>
+                                    </div>
+                                ))}
+                            </div>
+                            <div className={`square-summary mono-font ${result.correct ? 'success' : 'fail'}`}>
+                                <div>Round {SQUARE_ATTACK_ROUNDS} key: {bytesToHex(result.lastRoundKey)}</div>
+                                <div>Recovered key: {bytesToHex(result.recoveredKey)}</div>
+                                <div>{result.correct ? '✓ Matches the secret key' : '✗ Does not match the secret key'}</div>
+                            </div>
+                        </>
+                    ) : (
+                        <div className="square-error">
+                            Some key bytes still have more than one candidate, run the attack again.
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default SquareAttackLab;
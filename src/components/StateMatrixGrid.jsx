@@ -0,0 +1,155 @@
+import { useState } from 'react';
+import './StateMatrixGrid.css';
+import MixColumnsBreakdown from './MixColumnsBreakdown';
+import SboxDerivation from './SboxDerivation';
+
+/**
+ * Format a byte as two hex digits
+ * 
+ * @param {number} byte - Byte value
+ * @returns {string} Hex string (e.g. "0f")
+ */
+function toHex(byte) {
+    return byte.toString(16).padStart(2, '0');
+}
+
+// Round detail step names that move bytes, mapped to the transformation they show.
+// Matched exactly, so steps that only mention one (e.g. 'Fault Injected (before
+// MixColumns)') are not drawn as that transformation.
+const TRANSFORMATION_STEPS = {
+    'After SubBytes': 'subBytes',
+    'After InverseSubBytes': 'inverseSubBytes',
+    'After ShiftRows': 'shiftRows',
+    'After InverseShiftRows': 'inverseShiftRows',
+    'After MixColumns': 'mixColumns',
+    'After InverseMixColumns': 'inverseMixColumns'
+};
+
+/**
+ * Work out which byte movement a step name describes
+ * 
+ * @param {string} stepName - Step name from the round details (e.g. 'After ShiftRows')
+ * @returns {string|null} 'subBytes', 'inverseSubBytes', 'shiftRows', 'inverseShiftRows',
+ *   'mixColumns', 'inverseMixColumns' or null
+ */
+function getTransformation(stepName = '') {
+    return TRANSFORMATION_STEPS[stepName] ?? null;
+}
+
+/**
+ * Column of the previous state a byte came from
+ * ShiftRows rotates row r left by r positions, InverseShiftRows rotates it right
+ * 
+ * @param {string} transformation - 'shiftRows' or 'inverseShiftRows'
+ * @param {number} row - Row of the byte (0-3)
+ * @param {number} col - Column of the byte after the shift (0-3)
+ * @returns {number} Column before the shift
+ */
+function getSourceColumn(transformation, row, col) {
+    return transformation === 'shiftRows' ? (col + row) % 4 : (col - row + 4) % 4;
+}
+
+/**
+ * StateMatrixGrid Component
+ * 
+ * Displays a 4x4 state matrix as a grid of hex bytes:
+ * - Bytes that differ from the previous step are highlighted
+ * - After (Inverse)ShiftRows, each byte shows the column it moved from and each row
+ *   shows how far it was rotated
+ * - After (Inverse)MixColumns, each column shows the input column it was computed from,
+ *   and clicking a byte shows its GF(2^8) products (when a mixColumnsTrace is given)
+ * - After (Inverse)SubBytes, clicking a byte shows how its S-Box value is derived
+ */
+function StateMatrixGrid({ label, matrix, previousMatrix, stepName, mixColumnsTrace }) {
+    const [selectedCell, setSelectedCell] = useState(null);
+
+    const transformation = previousMatrix ? getTransformation(stepName) : null;
+    const isShift = transformation === 'shiftRows' || transformation === 'inverseShiftRows';
+    const isMix = transformation === 'mixColumns' || transformation === 'inverseMixColumns';
+    const isSub = transformation === 'subBytes' || transformation === 'inverseSubBytes';
+
+    // Bytes can be clicked for a breakdown after SubBytes and (with a trace) MixColumns
+    const selectable = isSub || (isMix && Boolean(mixColumnsTrace));
+
+    const changedCount = previousMatrix
+        ? matrix.flat().filter((byte, index) => byte !== previousMatrix.flat()[index]).length
+        : null;
+
+    return (
+        <div className="state-grid-container">
+            <div className="matrix-label">
+                {label}
+                {changedCount !== null && (
+                    <span className="state-grid-changes"> {changedCount}/16 bytes changed</span>
+                )}
+            </div>
+
+            <div className={`state-grid mono-font ${isShift ? 'with-row-labels' : ''}`}>
+                {/* MixColumns: the input column behind each output column */}
+                {isMix && matrix[0].map((_, col) => (
+                    <div key={`source-${col}`} className="state-grid-source-column">
+                        <span>{transformation === 'mixColumns' ? 'M' : 'M⁻¹'} · c{col}</span>
+                        {previousMatrix.map((row, rowIndex) => (
+                            <span key={rowIndex}>{toHex(row[col])}</span>
+                        ))}
+                        <span>↓</span>
+                    </div>
+                ))}
+
+                {matrix.map((row, rowIndex) => [
+                    // ShiftRows: how far each row was rotated
+                    isShift && (
+                        <div key={`row-${rowIndex}`} className="state-grid-row-label">
+                            {rowIndex === 0 ? '—' : transformation === 'shiftRows' ? `⟵ ${rowIndex}` : `${rowIndex} ⟶`}
+                        </div>
+                    ),
+                    ...row.map((byte, colIndex) => {
+                        const changed = previousMatrix && byte !== previousMatrix[rowIndex][colIndex];
+                        const sourceColumn = isShift ? getSourceColumn(transformation, rowIndex, colIndex) : null;
+
+                        const selected = selectedCell && selectedCell.row === rowIndex && selectedCell.col === colIndex;
+
+                        return (
+                            <div
+                                key={`${rowIndex}-${colIndex}`}
+                                className={`state-grid-cell ${changed ? 'changed' : ''} ${selectable ? 'selectable' : ''} ${selected ? 'selected' : ''}`}
+                                title={previousMatrix ? `Previous: ${toHex(previousMatrix[rowIndex][colIndex])}` : undefined}
+                                onClick={selectable ? () => setSelectedCell(selected ? null : { row: rowIndex, col: colIndex }) : undefined}
+                            >
+                                {toHex(byte)}
+                                {isShift && sourceColumn !== colIndex && (
+                                    <span className="state-grid-source">c{sourceColumn}→c{colIndex}</span>
+                                )}
+                            </div>
+                        );
+                    })
+                ])}
+            </div>
+
+            {selectable && !selectedCell && (
+                <div className="state-grid-hint">
+                    Click a byte to see {isSub ? 'how its S-Box value is derived' : 'its GF(2^8) products'}
+                </div>
+            )}
+
+            {selectable && selectedCell && isMix && (
+                <MixColumnsBreakdown
+                    row={selectedCell.row}
+                    col={selectedCell.col}
+                    cell={mixColumnsTrace[selectedCell.row][selectedCell.col]}
+                    onClose={() => setSelectedCell(null)}
+                />
+            )}
+
+            {selectable && selectedCell && isSub && (
+                <SboxDerivation
+                    input={previousMatrix[selectedCell.row][selectedCell.col]}
+                    inverse={transformation === 'inverseSubBytes'}
+                    onClose={() => setSelectedCell(null)}
+                />
+            )}
+        </div>
+    );
+}
+
+export default StateMatrixGrid;
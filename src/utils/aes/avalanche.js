@@ -0,0 +1,243 @@
+/**
+ * Avalanche Effect
+ *
+ * This file measures diffusion: a block is encrypted twice, once as given and once with
+ * a single plain text or key bit flipped, and the two traces are compared step by step.
+ * After a couple of rounds about half of the 128 state bits differ, which is what a good
+ * block cipher should look like.
+ *
+ * Bits are numbered as in FIPS-197: bit 0 is the most significant bit of byte 0.
+ */
+
+import { BLOCK_SIZE } from './constants.js';
+import { encryptBlock, encryptBlockPerRound } from './encryption.js';
+import { expandKey } from './keyExpansion.js';
+import { generateRandomBytes, stateMatrixToBytes, xorBytes } from './utils.js';
+
+// Number of random flips run by runAvalancheBatch unless told otherwise
+export const DEFAULT_AVALANCHE_TRIALS = 1000;
+
+// What a single bit can be flipped in
+export const AVALANCHE_TARGETS = ['plaintext', 'key'];
+
+// ====================================================================================
+// BIT HELPERS
+// ====================================================================================
+
+/**
+ * Count the set bits of a byte
+ *
+ * @param {number} byte - The byte
+ * @returns {number} Number of 1 bits (0-8)
+ */
+function countBits(byte) {
+    let count = 0;
+
+    for (let value = byte; value; value >>= 1) {
+        count += value & 1;
+    }
+
+    return count;
+}
+
+/**
+ * Number of bits that differ between two byte arrays of the same length
+ *
+ * @param {number[]} bytes1 - First byte array
+ * @param {number[]} bytes2 - Second byte array
+ * @returns {number} Hamming distance in bits
+ */
+export function hammingDistance(bytes1, bytes2) {
+    return xorBytes(bytes1, bytes2).reduce((total, byte) => total + countBits(byte), 0);
+}
+
+/**
+ * Copy a byte array with one bit flipped
+ *
+ * @param {number[]} bytes - Byte array
+ * @param {number} bitIndex - Bit to flip, 0 being the most significant bit of byte 0
+ * @returns {number[]} New byte array with the bit flipped
+ */
+export function flipBit(bytes, bitIndex) {
+    if (bitIndex < 0 || bitIndex >= bytes.length * 8) {
+        throw new Error(`Bit index must be between 0 and ${bytes.length * 8 - 1}, got ${bitIndex}`);
+    }
+
+    const flipped = [...bytes];
+    flipped[bitIndex >> 3] ^= 0x80 >> (bitIndex & 7);
+
+    return flipped;
+}
+
+// ====================================================================================
+// SINGLE FLIP
+// ====================================================================================
+
+/**
+ * Compare two traced encryptions of the same length step by step
+ *
+ * @param {Object[]} roundDetails - Round details of the original encryption
+ * @param {Object[]} flippedRoundDetails - Round details of the encryption with a bit flipped
+ * @returns {Object} Object containing:
+ *   - steps: One entry per step with round, step, distance (bits that differ) and
+ *     difference (the two states XORed, as 16 bytes)
+ *   - rounds: The same for the state at the end of each round
+ */
+export function compareRoundDetails(roundDetails, flippedRoundDetails) {
+    const steps = roundDetails.map((detail, index) => {
+        const difference = xorBytes(
+            stateMatrixToBytes(detail.stateMatrix),
+            stateMatrixToBytes(flippedRoundDetails[index].stateMatrix)
+        );
+
+        return {
+            round: detail.round,
+            step: detail.step,
+            distance: difference.reduce((total, byte) => total + countBits(byte), 0),
+            difference
+        };
+    });
+
+    // The last step of each round holds the state the round hands on
+    const rounds = steps.filter((step, index) => index === steps.length - 1 || steps[index + 1].round !== step.round);
+
+    return { steps, rounds };
+}
+
+/**
+ * Encrypt a block with and without one flipped bit and compare the traces
+ *
+ * @param {number[]} plainBytes - 16-byte plain text block
+ * @param {number[]} key - 16, 24 or 32-byte key
+ * @param {Object} options - Optional settings:
+ *   - target: 'plaintext' or 'key', defaults to 'plaintext'
+ *   - bitIndex: Bit to flip in the target, defaults to 0
+ * @returns {Object} Object containing:
+ *   - target, bitIndex: The bit that was flipped
+ *   - plainBytes, flippedPlainBytes: Plain text of each encryption
+ *   - key, flippedKey: Key of each encryption
+ *   - cipherBytes, flippedCipherBytes: Cipher text of each encryption
+ *   - outputDistance: Bits that differ between the two cipher texts
+ *   - steps, rounds: Step and round comparison (see compareRoundDetails)
+ */
+export function analyzeAvalanche(plainBytes, key, options = {}) {
+    const { target = 'plaintext', bitIndex = 0 } = options;
+
+    if (!AVALANCHE_TARGETS.includes(target)) {
+        throw new Error(`Unsupported avalanche target: ${target}`);
+    }
+
+    if (plainBytes.length !== BLOCK_SIZE) {
+        throw new Error(`Plain text must be exactly ${BLOCK_SIZE} bytes, got ${plainBytes.length} bytes`);
+    }
+
+    const flippedPlainBytes = target === 'plaintext' ? flipBit(plainBytes, bitIndex) : [...plainBytes];
+    const flippedKey = target === 'key' ? flipBit(key, bitIndex) : [...key];
+
+    const original = encryptBlock(plainBytes, expandKey(key, key.length * 8).roundKeys, true);
+    const flipped = encryptBlock(flippedPlainBytes, expandKey(flippedKey, key.length * 8).roundKeys, true);
+
+    return {
+        target,
+        bitIndex,
+        plainBytes: [...plainBytes],
+        flippedPlainBytes,
+        key: [...key],
+        flippedKey,
+        cipherBytes: original.encryptedBlock,
+        flippedCipherBytes: flipped.encryptedBlock,
+        outputDistance: hammingDistance(original.encryptedBlock, flipped.encryptedBlock),
+        ...compareRoundDetails(original.roundDetails, flipped.roundDetails)
+    };
+}
+
+// ====================================================================================
+// BATCH
+// ====================================================================================
+
+/**
+ * Pick a random bit index from generateRandomBytes
+ * Two bytes are drawn, and drawn again while they fall in the remainder that would make
+ * the low indices more likely (65536 is not a multiple of 192)
+ *
+ * @param {number} bitCount - Number of bits to pick from
+ * @returns {number} Bit index from 0 to bitCount - 1
+ */
+function randomBitIndex(bitCount) {
+    const limit = 0x10000 - (0x10000 % bitCount);
+    let value;
+
+    do {
+        const [high, low] = generateRandomBytes(2);
+        value = (high << 8) | low;
+    } while (value >= limit);
+
+    return value % bitCount;
+}
+
+/**
+ * Flip a random bit of a random block or key many times and average the bits changed
+ *
+ * Each trial uses a fresh random plain text and key, so the averages describe AES
+ * itself rather than one particular input.
+ *
+ * @param {Object} options - Optional settings:
+ *   - keySize: Key size in bits (128, 192 or 256), defaults to 128
+ *   - target: 'plaintext' or 'key', defaults to 'plaintext'
+ *   - trials: Number of random flips, defaults to DEFAULT_AVALANCHE_TRIALS
+ * @returns {Object} Object containing:
+ *   - keySize, target, trials: The settings used
+ *   - averageBitsChanged: Average cipher text bits changed (64 is ideal)
+ *   - minBitsChanged, maxBitsChanged: Fewest and most cipher text bits changed
+ *   - averagePerRound: Average state bits changed after each round, indexed by round
+ *   - distribution: How many trials changed each number of bits, indexed 0 to 128
+ */
+export function runAvalancheBatch(options = {}) {
+    const { keySize = 128, target = 'plaintext', trials = DEFAULT_AVALANCHE_TRIALS } = options;
+
+    if (!AVALANCHE_TARGETS.includes(target)) {
+        throw new Error(`Unsupported avalanche target: ${target}`);
+    }
+
+    if (!Number.isInteger(trials) || trials < 1) {
+        throw new Error(`Number of trials must be a positive integer, got ${trials}`);
+    }
+
+    const keyLength = keySize / 8;
+    const bitCount = (target === 'key' ? keyLength : BLOCK_SIZE) * 8;
+    const distribution = Array(BLOCK_SIZE * 8 + 1).fill(0);
+    let totalsPerRound = null;
+
+    for (let trial = 0; trial < trials; trial++) {
+        const plainBytes = generateRandomBytes(BLOCK_SIZE);
+        const key = generateRandomBytes(keyLength);
+        const bitIndex = randomBitIndex(bitCount);
+
+        const { roundKeys } = expandKey(key, keySize);
+        const numberOfRounds = roundKeys.length - 1;
+        const original = encryptBlockPerRound(plainBytes, roundKeys, numberOfRounds);
+        const flipped = target === 'plaintext'
+            ? encryptBlockPerRound(flipBit(plainBytes, bitIndex), roundKeys, numberOfRounds)
+            : encryptBlockPerRound(plainBytes, expandKey(flipBit(key, bitIndex), keySize).roundKeys, numberOfRounds);
+
+        const distances = original.map((block, round) => hammingDistance(block, flipped[round]));
+        totalsPerRound = totalsPerRound
+            ? totalsPerRound.map((total, round) => total + distances[round])
+            : distances;
+        distribution[distances[numberOfRounds]]++;
+    }
+
+    const changedCounts = distribution.flatMap((count, bits) => (count > 0 ? [bits] : []));
+    const totalBitsChanged = distribution.reduce((total, count, bits) => total + count * bits, 0);
+
+    return {
+        keySize,
+        target,
+        trials,
+        averageBitsChanged: totalBitsChanged / trials,
+        minBitsChanged: changedCounts[0],
+        maxBitsChanged: changedCounts[changedCounts.length - 1],
+        averagePerRound: totalsPerRound.map(total => total / trials),
+        distribution
+    };
+}
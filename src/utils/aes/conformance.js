@@ -0,0 +1,976 @@
+/**
+ * AES Conformance Suite
+ *
+ * This file checks encryptBlock, decryptBlock and expandKey against published answers:
+ * - FIPS-197 Appendix C example vectors (encryption and decryption)
+ * - FIPS-197 Appendix A key expansion words, compared with expansionDetails, and run backwards
+ *   from the last words and from the last two round keys
+ * - S_BOX and INVERSE_S_BOX, compared with the tables derived in sboxDerivation.js
+ * - AESAVS known-answer tests: GFSbox, KeySbox, VarTxt and VarKey
+ * - AESAVS Monte Carlo tests (ECB encryption and decryption chains)
+ * - SP 800-38A Appendix F example vectors for the modes of operation, every key size,
+ *   encryption and decryption
+ * - GCM (SP 800-38D): the GCM specification's test cases and CAVP gcmEncryptExtIV and
+ *   gcmDecrypt records, with AAD, IVs other than 96 bits, truncated tags and forged
+ *   tags that must be rejected
+ * - Random IVs: two encryptions under the same key without an IV must not share an IV
+ *   or cipher text in any mode that uses one (CTR with every counter size)
+ * - Passphrase keys: PBKDF2-HMAC-SHA256 against the RFC 7914 section 11 examples, and a
+ *   salt written in front of a cipher text read back to decrypt it
+ * - Square attack: a Λ-set is balanced after 3 rounds, and the integral attack recovers
+ *   the key of 4-round AES-128
+ * - Fault analysis: known faults before the round Nr - 1 MixColumns narrow the last round
+ *   key to the real one for AES-128 and AES-256 (and give the AES-128 key)
+ * - Padding oracle: Vaudenay's attack recovers a CBC plain text and fails against GCM
+ * - ECB penguin: repeated pixel blocks stay repeated under ECB only
+ * - ECB attacks: byte-at-a-time decryption recovers a secret suffix, and cut-and-paste
+ *   forges an admin profile
+ * - Nonce reuse: under one CTR or OFB nonce, crib dragging reveals the other message
+ * - File encryption: files come back with the same name and bytes in every mode and
+ *   format, and oversize or truncated files are rejected
+ *
+ * It only needs WebCrypto (crypto.subtle, for PBKDF2), which browsers and Node both
+ * have, so the same suite runs headless (npm test) and in the app's conformance report.
+ * The suite is async because WebCrypto is.
+ *
+ * Every runner returns a group object containing:
+ * - name: Short name of the group
+ * - description: What the group checks
+ * - results: One { name, passed, expected, actual } entry per check (hex strings)
+ * - passed, failed: Number of passing and failing checks
+ */
+
+import {
+    BLOCK_SIZE,
+    CIPHER_MODES,
+    CTR_COUNTER_SIZES,
+    FAULT_STEPS,
+    PBKDF2_SALT_LENGTH,
+    S_BOX,
+    INVERSE_S_BOX
+} from './constants.js';
+import {
+    FIPS197_EXAMPLES,
+    FIPS197_KEY_EXPANSIONS,
+    GFSBOX_VECTORS,
+    KEYSBOX_VECTORS,
+    VARTXT_CIPHERTEXTS,
+    VARKEY_CIPHERTEXTS,
+    MONTE_CARLO_VECTORS,
+    SP800_38A_KEYS,
+    SP800_38A_PLAINTEXT,
+    SP800_38A_VECTORS,
+    GCM_ENCRYPT_VECTORS,
+    GCM_DECRYPT_VECTORS,
+    PBKDF2_VECTORS
+} from './conformanceVectors.js';
+import { encryptBlock, encryptText, getFaultSteps } from './encryption.js';
+import { decryptBlock, decryptText } from './decryption.js';
+import { expandKey, recoverKeyFromRoundKeys, reverseKeyExpansion } from './keyExpansion.js';
+import { gcmDecrypt, gcmEncrypt } from './gcm.js';
+import { MODES_OF_OPERATION } from './modes.js';
+import { deriveSboxEntry, deriveInverseSboxEntry } from './sboxDerivation.js';
+import {
+    bytesToHex,
+    bytesToStateMatrix,
+    generateKeyFromPassphrase,
+    generateRandomBytes,
+    hexToBytes,
+    prependSalt,
+    splitSalt,
+    stateMatrixToBytes,
+    textToBytes,
+    xorBytes
+} from './utils.js';
+import { analyzeLambdaSet, createLambdaSet, runSquareAttack } from './squareAttack.js';
+import {
+    addFaultPair,
+    createFaultAnalysis,
+    DFA_FAULT_STEP,
+    getFaultDiagonal,
+    injectFaultPair,
+    recoverFaultAnalysisKey
+} from './faultAnalysis.js';
+import { createPaddingOracle, PADDING_ORACLE_MODES, runPaddingOracleAttack } from './paddingOracle.js';
+import { countDuplicateBlocks, encryptPixels, rgbaToRgb, rgbToRgba } from './imageEncryption.js';
+import {
+    createProfileOracle,
+    createSuffixOracle,
+    runByteAtATimeAttack,
+    runCutAndPasteAttack
+} from './ecbAttacks.js';
+import { dragCrib, encryptWithReusedNonce, NONCE_REUSE_MODES, xorCiphertexts } from './nonceReuse.js';
+import {
+    decodeFileInput,
+    decryptFile,
+    detectFileFormats,
+    encodeFileOutput,
+    encryptFile,
+    FILE_OUTPUT_FORMATS,
+    MAX_ENCRYPTED_FILE_SIZE,
+    MAX_FILE_SIZE,
+    runFileTask
+} from './fileEncryption.js';
+
+// Key sizes covered by every test group
+const KEY_SIZES = [128, 192, 256];
+
+// Number of outer iterations in an AESAVS Monte Carlo chain (1000 inner iterations each)
+export const MONTE_CARLO_OUTER_ITERATIONS = 100;
+const MONTE_CARLO_INNER_ITERATIONS = 1000;
+
+// ====================================================================================
+// REPORT HELPERS
+// ====================================================================================
+
+/**
+ * Create an empty test group
+ *
+ * @param {string} name - Short name of the group
+ * @param {string} description - What the group checks
+ * @returns {Object} Group with no results yet
+ */
+function createGroup(name, description) {
+    return {
+        name,
+        description,
+        results: [],
+        passed: 0,
+        failed: 0
+    };
+}
+
+/**
+ * Record one check in a test group
+ *
+ * @param {Object} group - Group to add the result to
+ * @param {string} name - Name of the check
+ * @param {string} expected - Expected value (hex)
+ * @param {string} actual - Actual value (hex)
+ */
+function recordResult(group, name, expected, actual) {
+    const passed = expected === actual;
+
+    group.results.push({ name, passed, expected, actual });
+
+    if (passed) {
+        group.passed++;
+    } else {
+        group.failed++;
+    }
+}
+
+/**
+ * Encrypt one block given as hex
+ *
+ * @param {string} keyHex - Key (hex)
+ * @param {string} plaintextHex - 16-byte plain text block (hex)
+ * @returns {string} Cipher text block (hex)
+ */
+function encryptHex(keyHex, plaintextHex) {
+    const key = hexToBytes(keyHex);
+    const { roundKeys } = expandKey(key, key.length * 8);
+    return bytesToHex(encryptBlock(hexToBytes(plaintextHex), roundKeys).encryptedBlock);
+}
+
+/**
+ * Decrypt one block given as hex
+ *
+ * @param {string} keyHex - Key (hex)
+ * @param {string} ciphertextHex - 16-byte cipher text block (hex)
+ * @returns {string} Plain text block (hex)
+ */
+function decryptHex(keyHex, ciphertextHex) {
+    const key = hexToBytes(keyHex);
+    const { roundKeys } = expandKey(key, key.length * 8);
+    return bytesToHex(decryptBlock(hexToBytes(ciphertextHex), roundKeys).decryptedBlock);
+}
+
+/**
+ * Build a value whose first count bits are 1 and the rest 0 (as in VarTxt and VarKey)
+ *
+ * @param {number} count - Number of leading 1 bits
+ * @param {number} bits - Total number of bits
+ * @returns {string} Value (hex)
+ */
+function leadingOnes(count, bits) {
+    const bytes = Array(bits / 8).fill(0);
+
+    for (let i = 0; i < count; i++) {
+        bytes[i >> 3] |= 0x80 >> (i & 7);
+    }
+
+    return bytesToHex(bytes);
+}
+
+// ====================================================================================
+// FIPS-197 TESTS
+// ====================================================================================
+
+/**
+ * Run the FIPS-197 Appendix C example vectors in both directions
+ *
+ * @returns {Object} Test group (see file header)
+ */
+export function runFips197Examples() {
+    const group = createGroup('FIPS-197 Appendix C', 'Example vectors for AES-128, AES-192 and AES-256');
+
+    KEY_SIZES.forEach(keySize => {
+        const { key, plaintext, ciphertext } = FIPS197_EXAMPLES[keySize];
+        recordResult(group, `AES-${keySize} encrypt`, ciphertext, encryptHex(key, plaintext));
+        recordResult(group, `AES-${keySize} decrypt`, plaintext, decryptHex(key, ciphertext));
+    });
+
+    return group;
+}
+
+/**
+ * Check every expanded key word against FIPS-197 Appendix A
+ * Words w[Nk] onwards are read from expansionDetails, so the visualized steps are checked too
+ *
+ * @returns {Object} Test group (see file header)
+ */
+export function runKeyExpansionTests() {
+    const group = createGroup('FIPS-197 Appendix A', 'Key expansion words compared with expansionDetails');
+
+    KEY_SIZES.forEach(keySize => {
+        const { key, words } = FIPS197_KEY_EXPANSIONS[keySize];
+        const expectedWords = words.join(' ').split(' ');
+        const keySizeWords = keySize / 32;
+
+        const { expansionDetails } = expandKey(hexToBytes(key), keySize);
+
+        expansionDetails.forEach(detail => {
+            recordResult(
+                group,
+                `AES-${keySize} w[${detail.wordIndex}] (${detail.operation})`,
+                expectedWords[detail.wordIndex],
+                bytesToHex(detail.result)
+            );
+        });
+
+        // The schedule must produce exactly 4 * (Nr + 1) words
+        recordResult(
+            group,
+            `AES-${keySize} word count`,
+            String(expectedWords.length),
+            String(keySizeWords + expansionDetails.length)
+        );
+
+        // Running the schedule backwards from the last Nk words must give the key back
+        const lastWords = expectedWords.slice(-keySizeWords).map(hexToBytes);
+        recordResult(
+            group,
+            `AES-${keySize} key from w[${expectedWords.length - keySizeWords}]..w[${expectedWords.length - 1}] (reverseKeyExpansion)`,
+            key,
+            bytesToHex(reverseKeyExpansion(lastWords, expectedWords.length - keySizeWords, keySize).key)
+        );
+
+        // ...and so must the last two round keys
+        const lastRoundIndex = expectedWords.length / 4 - 1;
+        const lastRoundKeys = [lastRoundIndex - 1, lastRoundIndex].map(round =>
+            bytesToStateMatrix(expectedWords.slice(round * 4, round * 4 + 4).flatMap(hexToBytes))
+        );
+        recordResult(
+            group,
+            `AES-${keySize} key from round keys ${lastRoundIndex - 1} and ${lastRoundIndex} (recoverKeyFromRoundKeys)`,
+            key,
+            bytesToHex(recoverKeyFromRoundKeys(lastRoundKeys, lastRoundIndex - 1, keySize).key)
+        );
+    });
+
+    return group;
+}
+
+/**
+ * Compare every S_BOX and INVERSE_S_BOX entry with its derivation
+ * (multiplicative inverse in GF(2^8) and the affine transformation)
+ *
+ * @returns {Object} Test group (see file header)
+ */
+export function runSboxDerivationTests() {
+    const group = createGroup('FIPS-197 S-box derivation', 'S_BOX and INVERSE_S_BOX entries compared with GF(2^8) inverse + affine transformation');
+
+    for (let byte = 0; byte < 256; byte++) {
+        const name = byte.toString(16).padStart(2, '0');
+
+        recordResult(group, `S_BOX[${name}]`, bytesToHex([deriveSboxEntry(byte).output]), bytesToHex([S_BOX[byte]]));
+        recordResult(group, `INVERSE_S_BOX[${name}]`, bytesToHex([deriveInverseSboxEntry(byte).output]), bytesToHex([INVERSE_S_BOX[byte]]));
+    }
+
+    return group;
+}
+
+// ====================================================================================
+// AESAVS KNOWN-ANSWER TESTS
+// ====================================================================================
+
+/**
+ * Run the AESAVS GFSbox and KeySbox tests in both directions
+ *
+ * @returns {Object[]} Test groups for GFSbox and KeySbox
+ */
+export function runSboxTests() {
+    const gfsbox = createGroup('AESAVS GFSbox', 'All-zero key, plain texts that exercise the S-box');
+    const keysbox = createGroup('AESAVS KeySbox', 'All-zero plain text, keys that exercise the key expansion S-box');
+
+    KEY_SIZES.forEach(keySize => {
+        const zeroKey = '00'.repeat(keySize / 8);
+        const zeroBlock = '00'.repeat(BLOCK_SIZE);
+
+        GFSBOX_VECTORS[keySize].forEach(({ plaintext, ciphertext }, index) => {
+            recordResult(gfsbox, `AES-${keySize} #${index} encrypt`, ciphertext, encryptHex(zeroKey, plaintext));
+            recordResult(gfsbox, `AES-${keySize} #${index} decrypt`, plaintext, decryptHex(zeroKey, ciphertext));
+        });
+
+        KEYSBOX_VECTORS[keySize].forEach(({ key, ciphertext }, index) => {
+            recordResult(keysbox, `AES-${keySize} #${index} encrypt`, ciphertext, encryptHex(key, zeroBlock));
+            recordResult(keysbox, `AES-${keySize} #${index} decrypt`, zeroBlock, decryptHex(key, ciphertext));
+        });
+    });
+
+    return [gfsbox, keysbox];
+}
+
+/**
+ * Run the AESAVS VarTxt and VarKey tests in both directions
+ *
+ * @returns {Object[]} Test groups for VarTxt and VarKey
+ */
+export function runVariableTests() {
+    const varTxt = createGroup('AESAVS VarTxt', 'All-zero key, plain texts with 1 to 128 leading 1 bits');
+    const varKey = createGroup('AESAVS VarKey', 'All-zero plain text, keys with 1 to Nk * 32 leading 1 bits');
+
+    KEY_SIZES.forEach(keySize => {
+        const zeroKey = '00'.repeat(keySize / 8);
+        const zeroBlock = '00'.repeat(BLOCK_SIZE);
+
+        VARTXT_CIPHERTEXTS[keySize].forEach((ciphertext, index) => {
+            const plaintext = leadingOnes(index + 1, BLOCK_SIZE * 8);
+            recordResult(varTxt, `AES-${keySize} #${index} encrypt`, ciphertext, encryptHex(zeroKey, plaintext));
+            recordResult(varTxt, `AES-${keySize} #${index} decrypt`, plaintext, decryptHex(zeroKey, ciphertext));
+        });
+
+        VARKEY_CIPHERTEXTS[keySize].forEach((ciphertext, index) => {
+            const key = leadingOnes(index + 1, keySize);
+            recordResult(varKey, `AES-${keySize} #${index} encrypt`, ciphertext, encryptHex(key, zeroBlock));
+            recordResult(varKey, `AES-${keySize} #${index} decrypt`, zeroBlock, decryptHex(key, ciphertext));
+        });
+    });
+
+    return [varTxt, varKey];
+}
+
+// ====================================================================================
+// AESAVS MONTE CARLO TESTS
+// ====================================================================================
+
+/**
+ * Run one AESAVS ECB Monte Carlo chain
+ *
+ * For each outer iteration (COUNT), the text is run through the cipher 1000 times,
+ * each output becoming the next input. The key is then XORed with the last 128, 192
+ * or 256 bits of output (the last one or two outputs), and the last output becomes
+ * the next COUNT's input.
+ *
+ * @param {number} keySize - Key size in bits (128, 192 or 256)
+ * @param {string} direction - 'encrypt' or 'decrypt'
+ * @param {number} outerIterations - Number of COUNT values to run (at most 100)
+ * @returns {Object[]} The key, input and output (hex) of every COUNT that was run
+ */
+function runMonteCarloChain(keySize, direction, outerIterations) {
+    const seed = MONTE_CARLO_VECTORS[keySize][direction][0];
+    let key = hexToBytes(seed.key);
+    let input = hexToBytes(seed.input);
+
+    const chain = [];
+
+    for (let count = 0; count < outerIterations; count++) {
+        const { roundKeys } = expandKey(key, keySize);
+
+        let previousOutput = null;
+        let output = input;
+
+        for (let j = 0; j < MONTE_CARLO_INNER_ITERATIONS; j++) {
+            previousOutput = output;
+            output = direction === 'encrypt'
+                ? encryptBlock(output, roundKeys).encryptedBlock
+                : decryptBlock(output, roundKeys).decryptedBlock;
+        }
+
+        chain.push({ key: bytesToHex(key), input: bytesToHex(input), output: bytesToHex(output) });
+
+        // The key is XORed with as many trailing output bits as it has
+        const keyMaterial = [...previousOutput, ...output].slice(2 * BLOCK_SIZE - keySize / 8);
+        key = xorBytes(key, keyMaterial);
+        input = output;
+    }
+
+    return chain;
+}
+
+/**
+ * Run the AESAVS Monte Carlo tests for every key size in both directions
+ *
+ * @param {number} outerIterations - Number of COUNT values to run per chain (1 to 100),
+ *   checkpoints beyond it are skipped, defaults to the full 100
+ * @returns {Object} Test group (see file header)
+ */
+export function runMonteCarloTests(outerIterations = MONTE_CARLO_OUTER_ITERATIONS) {
+    const group = createGroup(
+        'AESAVS Monte Carlo',
+        `ECB chains of ${outerIterations} x ${MONTE_CARLO_INNER_ITERATIONS} iterations, checked at the listed COUNT values`
+    );
+
+    KEY_SIZES.forEach(keySize => {
+        ['encrypt', 'decrypt'].forEach(direction => {
+            const chain = runMonteCarloChain(keySize, direction, outerIterations);
+
+            MONTE_CARLO_VECTORS[keySize][direction]
+                .filter(checkpoint => checkpoint.count < outerIterations)
+                .forEach(checkpoint => {
+                    const { key, input, output } = chain[checkpoint.count];
+                    recordResult(
+                        group,
+                        `AES-${keySize} ${direction} COUNT ${checkpoint.count}`,
+                        `${checkpoint.key} ${checkpoint.input} ${checkpoint.output}`,
+                        `${key} ${input} ${output}`
+                    );
+                });
+        });
+    });
+
+    return group;
+}
+
+// ====================================================================================
+// SP 800-38A MODES OF OPERATION
+// ====================================================================================
+
+/**
+ * Run the SP 800-38A Appendix F examples through the mode implementations in both
+ * directions, with no padding and no IV in front of the cipher text (as in the examples)
+ *
+ * @returns {Object} Test group (see file header)
+ */
+export function runModeTests() {
+    const group = createGroup('SP 800-38A Appendix F', 'Modes of operation examples for AES-128, AES-192 and AES-256');
+
+    SP800_38A_VECTORS.forEach(({ name, mode, segmentBits = null, section, subsection, iv, ciphertexts }) => {
+        KEY_SIZES.forEach((keySize, keyIndex) => {
+            const ciphertext = ciphertexts[keySize];
+            const plaintext = SP800_38A_PLAINTEXT.slice(0, ciphertext.length);
+            const encryptSection = `${section}.${subsection + keyIndex * 2}`;
+            const decryptSection = `${section}.${subsection + keyIndex * 2 + 1}`;
+
+            const { roundKeys } = expandKey(hexToBytes(SP800_38A_KEYS[keySize]), keySize);
+            const context = {
+                roundKeys,
+                numberOfRounds: roundKeys.length - 1,
+                iv: hexToBytes(iv),
+                trackRounds: false,
+                counterBits: BLOCK_SIZE * 8,
+                segmentBits
+            };
+            const run = (direction, inputHex) =>
+                bytesToHex(MODES_OF_OPERATION[mode][direction](hexToBytes(inputHex), context).outputBytes);
+
+            recordResult(group, `${name}-AES${keySize} encrypt (${encryptSection})`, ciphertext, run('encrypt', plaintext));
+            recordResult(group, `${name}-AES${keySize} decrypt (${decryptSection})`, plaintext, run('decrypt', ciphertext));
+        });
+    });
+
+    return group;
+}
+
+// ====================================================================================
+// GCM (SP 800-38D)
+// ====================================================================================
+
+/**
+ * Run the GCM encrypt and decrypt vectors
+ * Encryption is checked as cipher text and tag (cut to the vector's tag length),
+ * decryption as the plain text, or FAIL if the tag must be rejected
+ *
+ * @returns {Object} Test group (see file header)
+ */
+export function runGcmTests() {
+    const group = createGroup('SP 800-38D GCM', 'GCM specification test cases and CAVP gcmEncryptExtIV/gcmDecrypt records');
+
+    const expandHexKey = keyHex => {
+        const key = hexToBytes(keyHex);
+        return expandKey(key, key.length * 8).roundKeys;
+    };
+
+    GCM_ENCRYPT_VECTORS.forEach(vector => {
+        const tagLength = vector.tag.length / 2;
+        const { cipherBytes, tag } = gcmEncrypt(
+            hexToBytes(vector.plaintext),
+            expandHexKey(vector.key),
+            hexToBytes(vector.iv),
+            hexToBytes(vector.aad)
+        );
+
+        recordResult(
+            group,
+            `${vector.name} encrypt`,
+            `${vector.ciphertext} ${vector.tag}`,
+            `${bytesToHex(cipherBytes)} ${bytesToHex(tag.slice(0, tagLength))}`
+        );
+    });
+
+    GCM_DECRYPT_VECTORS.forEach(vector => {
+        let actual;
+        try {
+            actual = bytesToHex(gcmDecrypt(
+                hexToBytes(vector.ciphertext),
+                hexToBytes(vector.tag),
+                expandHexKey(vector.key),
+                hexToBytes(vector.iv),
+                hexToBytes(vector.aad)
+            ).plainBytes);
+        } catch (err) {
+            actual = err.message.startsWith('Authentication failed') ? 'FAIL' : err.message;
+        }
+
+        recordResult(group, `${vector.name} decrypt`, vector.fail ? 'FAIL' : vector.plaintext, actual);
+    });
+
+    return group;
+}
+
+// ====================================================================================
+// RANDOM IVS
+// ====================================================================================
+
+/**
+ * Encrypt the same plain text twice under the same key without an IV, in every mode
+ * that uses one, and check that the IVs and the cipher texts differ
+ * (a fixed IV or counter block would reuse the keystream in CFB, OFB, CTR and GCM)
+ *
+ * @returns {Object} Test group (see file header)
+ */
+export function runRandomIvTests() {
+    const group = createGroup('Random IVs', 'Same key, same plain text and no IV: every encryption must get its own IV');
+    const { key } = FIPS197_EXAMPLES[256];
+    const plainBytes = hexToBytes(FIPS197_EXAMPLES[256].plaintext.repeat(2));
+
+    const settings = Object.keys(CIPHER_MODES)
+        .filter(mode => CIPHER_MODES[mode].usesIv)
+        .flatMap(mode => (mode === 'CTR'
+            ? CTR_COUNTER_SIZES.map(counterBits => ({ name: `CTR (${counterBits}-bit counter)`, mode, counterBits }))
+            : [{ name: mode, mode }]));
+
+    settings.forEach(({ name, ...options }) => {
+        const [first, second] = [0, 1].map(() => encryptText(plainBytes, hexToBytes(key), false, { keySize: 256, ...options }));
+        const compare = (a, b) => (bytesToHex(a) === bytesToHex(b) ? 'same' : 'different');
+
+        recordResult(group, `${name} IVs`, 'different', compare(first.iv, second.iv));
+        recordResult(group, `${name} cipher texts`, 'different', compare(first.cipherBytes, second.cipherBytes));
+    });
+
+    return group;
+}
+
+// ====================================================================================
+// PASSPHRASE KEYS
+// ====================================================================================
+
+/**
+ * Check passphrase keys: PBKDF2-HMAC-SHA256 against the RFC 7914 examples for every
+ * key size, then a round trip through prependSalt and splitSalt for every key size
+ * A WebCrypto error (no crypto.subtle outside a secure context) fails the check it
+ * happened in instead of rejecting
+ *
+ * @returns {Promise<Object>} Test group (see file header)
+ */
+export async function runKeyDerivationTests() {
+    const group = createGroup('Passphrase keys', 'PBKDF2-HMAC-SHA256 (RFC 7914 section 11) and the salt stored in front of the cipher text');
+    const plainText = 'Salted passphrase round trip';
+
+    for (const vector of PBKDF2_VECTORS) {
+        for (const keySize of KEY_SIZES) {
+            const name = `${vector.name}, AES-${keySize} key`;
+            const expected = vector.derivedKey.slice(0, keySize / 4);
+
+            try {
+                const key = await generateKeyFromPassphrase(vector.passphrase, keySize, {
+                    salt: textToBytes(vector.salt),
+                    iterations: vector.iterations
+                });
+                recordResult(group, name, expected, bytesToHex(key));
+            } catch (err) {
+                recordResult(group, name, expected, `error: ${err.message}`);
+            }
+        }
+    }
+
+    for (const keySize of KEY_SIZES) {
+        const name = `AES-${keySize} salt round trip`;
+        const salt = generateRandomBytes(PBKDF2_SALT_LENGTH);
+
+        try {
+            // Encrypt as the app does, with the salt in front of the IV and cipher text
+            const options = { keySize, mode: 'CBC' };
+            const key = await generateKeyFromPassphrase('correct horse battery staple', keySize, { salt, iterations: 1000 });
+            const { cipherBytes } = encryptText(textToBytes(plainText), key, false, options);
+            const stored = splitSalt(prependSalt(salt, cipherBytes));
+
+            recordResult(group, `${name}: salt`, bytesToHex(salt), bytesToHex(stored.salt));
+
+            // Derive the key again from the salt that was read back
+            const decryptionKey = await generateKeyFromPassphrase('correct horse battery staple', keySize, { salt: stored.salt, iterations: 1000 });
+            const { plainBytes } = decryptText(stored.cipherBytes, decryptionKey, false, options);
+
+            recordResult(group, `${name}: plain text`, bytesToHex(textToBytes(plainText)), bytesToHex(plainBytes));
+        } catch (err) {
+            recordResult(group, name, 'no error', `error: ${err.message}`);
+        }
+    }
+
+    return group;
+}
+
+// ====================================================================================
+// SQUARE ATTACK
+// ====================================================================================
+
+/**
+ * Run the Square attack on 4-round AES-128 under the FIPS-197 example key
+ * The Λ-sets have random constant bytes, so the attack must work for any of them
+ *
+ * @returns {Promise<Object>} Test group (see file header)
+ */
+export async function runSquareAttackTests() {
+    const group = createGroup('Square attack', 'Λ-sets are balanced after 3 rounds, and the integral attack recovers a 4-round AES-128 key');
+    const key = hexToBytes(FIPS197_EXAMPLES[128].key);
+    const { rounds } = analyzeLambdaSet(createLambdaSet(0), key);
+
+    recordResult(group, 'Λ-set after round 2', 'balanced', rounds[2].balanced ? 'balanced' : 'not balanced');
+    recordResult(group, 'Λ-set after round 3', 'balanced', rounds[3].balanced ? 'balanced' : 'not balanced');
+
+    const attack = await runSquareAttack(key);
+    recordResult(group, 'Recovered key', FIPS197_EXAMPLES[128].key, attack.recoveredKey ? bytesToHex(attack.recoveredKey) : 'attack failed');
+
+    return group;
+}
+
+// ====================================================================================
+// FAULT ANALYSIS
+// ====================================================================================
+
+// Faults flipped into each column before the round Nr - 1 MixColumns, one per pair:
+// the row of the byte hit and the bits flipped
+const FAULT_PAIRS = [
+    { row: 0, mask: 0x01 },
+    { row: 2, mask: 0x5a }
+];
+
+/**
+ * Run the Piret–Quisquater fault attack on AES-128 and AES-256 with known faults
+ * Each column gets one single-byte fault per entry of FAULT_PAIRS, injected through
+ * encryptBlock before the round Nr - 1 MixColumns. After every pair the real last round
+ * key bytes must still be a candidate, and after the last pair the only one
+ *
+ * @returns {Object} Test group (see file header)
+ */
+export function runFaultAnalysisTests() {
+    const group = createGroup('Fault analysis', 'Piret–Quisquater DFA with single-byte faults before the round Nr - 1 MixColumns, AES-128 and AES-256');
+
+    [128, 256].forEach(keySize => {
+        const { key, plaintext } = FIPS197_EXAMPLES[keySize];
+        const { roundKeys } = expandKey(hexToBytes(key), keySize);
+        const numberOfRounds = roundKeys.length - 1;
+        const lastRoundKey = stateMatrixToBytes(roundKeys[numberOfRounds]);
+        const label = `AES-${keySize}`;
+
+        // The fault can go before MixColumns in round Nr - 1, the last round has none
+        recordResult(group, `${label} round ${numberOfRounds - 1} fault steps`, FAULT_STEPS.join(', '), getFaultSteps(numberOfRounds - 1, numberOfRounds).join(', '));
+        recordResult(
+            group,
+            `${label} round ${numberOfRounds} fault steps`,
+            FAULT_STEPS.filter(step => step !== DFA_FAULT_STEP).join(', '),
+            getFaultSteps(numberOfRounds, numberOfRounds).join(', ')
+        );
+
+        let analysis = createFaultAnalysis();
+
+        for (let column = 0; column < 4; column++) {
+            // The real key bytes of this column, packed like the candidates
+            const realCandidate = getFaultDiagonal(column)
+                .reduce((packed, position) => ((packed << 8) | lastRoundKey[position]) >>> 0, 0);
+
+            FAULT_PAIRS.forEach(({ row, mask }, pairIndex) => {
+                const pair = injectFaultPair(hexToBytes(plaintext), hexToBytes(key), keySize, {
+                    round: numberOfRounds - 1,
+                    step: DFA_FAULT_STEP,
+                    byteIndex: column * 4 + row,
+                    type: 'flip',
+                    mask
+                });
+                analysis = addFaultPair(analysis, pair);
+
+                const name = `${label} column ${column}, pair ${pairIndex + 1}`;
+                recordResult(group, `${name}: faulty column`, String(column), String(analysis.pairs[analysis.pairs.length - 1].column));
+                recordResult(group, `${name}: real key bytes kept`, 'kept', analysis.candidates[column].includes(realCandidate) ? 'kept' : 'ruled out');
+            });
+
+            recordResult(group, `${label} column ${column} candidates left`, '1', String(analysis.candidates[column].length));
+        }
+
+        const { lastRoundKey: recovered, recoveredKey } = recoverFaultAnalysisKey(analysis, keySize);
+        recordResult(group, `${label} last round key`, bytesToHex(lastRoundKey), recovered ? bytesToHex(recovered) : 'not recovered');
+
+        // One round key is the whole key schedule state only for AES-128
+        if (keySize === 128) {
+            recordResult(group, `${label} key`, key, recoveredKey ? bytesToHex(recoveredKey) : 'not recovered');
+        }
+    });
+
+    return group;
+}
+
+// ====================================================================================
+// PADDING ORACLE
+// ====================================================================================
+
+/**
+ * Run Vaudenay's padding oracle attack against a CBC server, which must give up the
+ * plain text, and a GCM server, which must give up nothing
+ *
+ * @returns {Promise<Object>} Test group (see file header)
+ */
+export async function runPaddingOracleTests() {
+    const group = createGroup('Padding oracle', "Vaudenay's attack reads CBC plain text from padding errors alone, and gets nothing from GCM");
+    const key = hexToBytes(FIPS197_EXAMPLES[256].key);
+    const secret = textToBytes('Padding errors leak every byte of this message');
+
+    for (const mode of PADDING_ORACLE_MODES) {
+        const { cipherBytes } = encryptText(secret, key, false, { keySize: 256, mode });
+        const attack = await runPaddingOracleAttack(cipherBytes, createPaddingOracle(key, { keySize: 256, mode }));
+
+        recordResult(
+            group,
+            `${mode}: recovered plain text`,
+            mode === 'CBC' ? bytesToHex(secret) : 'attack failed',
+            attack.success ? bytesToHex(attack.plainBytes) : 'attack failed'
+        );
+    }
+
+    return group;
+}
+
+// ====================================================================================
+// ECB PENGUIN
+// ====================================================================================
+
+/**
+ * Encrypt an image with large flat areas in every mode: ECB must keep exactly the
+ * repeated blocks of the pixels, every other mode must leave none
+ *
+ * @returns {Object} Test group (see file header)
+ */
+export function runImageEncryptionTests() {
+    const group = createGroup('ECB penguin', 'Repeated pixel blocks stay repeated under ECB and disappear under the other modes');
+    const key = hexToBytes(FIPS197_EXAMPLES[256].key);
+
+    // 16 x 8 RGB pixels: a white top half and a black bottom half with a grey stripe
+    const pixelBytes = Array.from({ length: 16 * 8 * 3 }, (_, index) =>
+        (index < 16 * 4 * 3 ? 0xff : index % 48 < 6 ? 0x80 : 0x00)
+    );
+    const { duplicateBlocks } = countDuplicateBlocks(pixelBytes);
+
+    recordResult(group, 'Repeated blocks in the pixels', 'some', duplicateBlocks > 0 ? 'some' : 'none');
+
+    Object.keys(CIPHER_MODES).forEach(mode => {
+        const { cipherBytes, cipherBlocks } = encryptPixels(pixelBytes, key, { keySize: 256, mode });
+
+        recordResult(group, `${mode}: one cipher byte per pixel byte`, String(pixelBytes.length), String(cipherBytes.length));
+        recordResult(group, `${mode}: repeated cipher blocks`, mode === 'ECB' ? String(duplicateBlocks) : '0', String(cipherBlocks.duplicateBlocks));
+    });
+
+    // Opaque pixels come back unchanged through RGBA and back
+    recordResult(group, 'RGB to RGBA and back', bytesToHex(pixelBytes), bytesToHex(rgbaToRgb(rgbToRgba(pixelBytes))));
+
+    return group;
+}
+
+// ====================================================================================
+// ECB ATTACKS
+// ====================================================================================
+
+/**
+ * Run byte-at-a-time decryption against an ECB oracle with a secret suffix, and forge
+ * an admin profile by cut-and-paste
+ *
+ * @returns {Promise<Object>} Test group (see file header)
+ */
+export async function runEcbAttackTests() {
+    const group = createGroup('ECB attacks', 'Byte-at-a-time decryption recovers a secret suffix, and cut-and-paste forges an admin profile');
+    const key = hexToBytes(FIPS197_EXAMPLES[128].key);
+    const secret = textToBytes('The suffix spans more than one block');
+
+    const decryption = await runByteAtATimeAttack(createSuffixOracle(key, secret, { keySize: 128 }));
+    recordResult(group, 'Byte-at-a-time: block size', String(BLOCK_SIZE), String(decryption.blockSize));
+    recordResult(group, 'Byte-at-a-time: secret suffix', bytesToHex(secret), bytesToHex(decryption.recoveredBytes));
+
+    const forgery = runCutAndPasteAttack(createProfileOracle(key, { keySize: 128 }));
+    recordResult(group, 'Cut-and-paste: forged role', 'admin', forgery.forged.profile.role);
+
+    return group;
+}
+
+// ====================================================================================
+// NONCE REUSE
+// ====================================================================================
+
+/**
+ * Encrypt two messages under one CTR or OFB nonce, then drag a crib of the first message
+ * across C1 ⊕ C2: at the crib's offset the second message must come out
+ *
+ * @returns {Object} Test group (see file header)
+ */
+export function runNonceReuseTests() {
+    const group = createGroup('Nonce reuse', 'Under one CTR or OFB nonce C1 ⊕ C2 = P1 ⊕ P2, and crib dragging reveals the other message');
+    const key = hexToBytes(FIPS197_EXAMPLES[256].key);
+    const firstText = 'Meet me at the old bridge at noon';
+    const secondText = 'The password is swordfish, tell no one';
+    const [first, second] = [firstText, secondText].map(textToBytes);
+    const crib = textToBytes('the old bridge');
+    const offset = firstText.indexOf('the old bridge');
+
+    NONCE_REUSE_MODES.forEach(mode => {
+        const { ciphertexts } = encryptWithReusedNonce([first, second], key, { keySize: 256, mode });
+        const xoredBytes = xorCiphertexts(ciphertexts[0].cipherBytes, ciphertexts[1].cipherBytes);
+        const dragged = dragCrib(xoredBytes, crib)[offset];
+
+        recordResult(group, `${mode}: C1 ⊕ C2`, bytesToHex(xorCiphertexts(first, second)), bytesToHex(xoredBytes));
+        recordResult(group, `${mode}: crib at offset ${offset}`, bytesToHex(second.slice(offset, offset + crib.length)), bytesToHex(dragged.fragment));
+        recordResult(group, `${mode}: fragment scored as text`, 'plausible', dragged.plausible ? 'plausible' : 'not plausible');
+    });
+
+    return group;
+}
+
+// ====================================================================================
+// FILE ENCRYPTION
+// ====================================================================================
+
+/**
+ * Whether a function throws
+ *
+ * @param {Function} run - Function to call
+ * @returns {string} 'rejected' if it threw, 'accepted' otherwise
+ */
+function rejects(run) {
+    try {
+        run();
+        return 'accepted';
+    } catch {
+        return 'rejected';
+    }
+}
+
+/**
+ * Encrypt a file with a non-ASCII name in every mode, save it in every format and read
+ * it back, the way the app does (runFileTask, without the worker). The name and bytes
+ * must come back exactly, and oversize or truncated files must be rejected
+ *
+ * @returns {Object} Test group (see file header)
+ */
+export function runFileEncryptionTests() {
+    const group = createGroup('File encryption', 'Every mode and format gives back the original file name and bytes, oversize and truncated files are rejected');
+    const key = hexToBytes(FIPS197_EXAMPLES[256].key);
+    const fileName = 'Résumé – 履歴書 🗂.txt';
+    const fileBytes = new Uint8Array(Array.from({ length: 100 }, (_, index) => (index * 37) & 0xff));
+
+    const encryptIn = mode => Array.from(runFileTask({
+        action: 'encrypt',
+        fileName,
+        fileBytes,
+        key,
+        options: { keySize: 256, mode }
+    }).cipherBytes);
+
+    Object.keys(CIPHER_MODES).forEach(mode => {
+        const cipherBytes = encryptIn(mode);
+
+        Object.keys(FILE_OUTPUT_FORMATS).forEach(format => {
+            const name = `${mode} ${format}`;
+
+            try {
+                const encoded = encodeFileOutput(cipherBytes, format);
+                const input = runFileTask({ action: 'decode', fileBytes: encoded, format: 'auto' });
+                const result = runFileTask({ action: 'decrypt', cipherBytes: input.bytes, key, options: { keySize: 256, mode } });
+
+                recordResult(group, `${name}: format detected`, format, input.format);
+                recordResult(group, `${name}: file name`, fileName, result.fileName);
+                recordResult(group, `${name}: file bytes`, bytesToHex(fileBytes), bytesToHex(result.fileBytes));
+            } catch (err) {
+                recordResult(group, name, 'no error', `error: ${err.message}`);
+            }
+        });
+    });
+
+    // Short text can be hex or Base64, the app tries both
+    recordResult(group, "Formats 'abcd' could be in", 'hex, base64, binary', detectFileFormats(textToBytes('abcd')).join(', '));
+
+    recordResult(group, 'File over MAX_FILE_SIZE', 'rejected', rejects(() => encryptFile(fileName, new Uint8Array(MAX_FILE_SIZE + 1), key)));
+    recordResult(group, 'Encrypted file over MAX_ENCRYPTED_FILE_SIZE', 'rejected', rejects(() => decodeFileInput(new Uint8Array(MAX_ENCRYPTED_FILE_SIZE + 1), 'binary')));
+    recordResult(group, 'Cipher text over MAX_ENCRYPTED_FILE_SIZE', 'rejected', rejects(() => decryptFile(new Array(MAX_ENCRYPTED_FILE_SIZE + 1).fill(0), key)));
+
+    // Block modes lose their padding and GCM its tag; the stream modes cannot tell a
+    // shorter file apart, so their check cuts into the file name instead
+    const cbcBytes = encryptIn('CBC');
+    const gcmBytes = encryptIn('GCM');
+    const ctrBytes = encryptIn('CTR');
+    recordResult(group, 'CBC file missing its last byte', 'rejected', rejects(() => decryptFile(cbcBytes.slice(0, -1), key, { mode: 'CBC' })));
+    recordResult(group, 'GCM file missing its last byte', 'rejected', rejects(() => decryptFile(gcmBytes.slice(0, -1), key, { mode: 'GCM' })));
+    recordResult(group, 'CTR file cut inside its name', 'rejected', rejects(() => decryptFile(ctrBytes.slice(0, BLOCK_SIZE + 10), key, { mode: 'CTR' })));
+
+    return group;
+}
+
+// ====================================================================================
+// FULL SUITE
+// ====================================================================================
+
+/**
+ * Run every conformance test group
+ *
+ * @param {Object} options - Optional settings:
+ *   - monteCarloIterations: Number of Monte Carlo COUNT values per chain, defaults to 100
+ *     (fewer runs faster but only checks the early checkpoints)
+ * @returns {Promise<Object>} Object containing:
+ *   - groups: Every test group (see file header)
+ *   - passed, failed: Totals across all groups
+ */
+export async function runConformanceSuite(options = {}) {
+    const { monteCarloIterations = MONTE_CARLO_OUTER_ITERATIONS } = options;
+
+    const groups = [
+        runFips197Examples(),
+        runKeyExpansionTests(),
+        runSboxDerivationTests(),
+        ...runSboxTests(),
+        ...runVariableTests(),
+        runMonteCarloTests(monteCarloIterations),
+        runModeTests(),
+        runGcmTests(),
+        runRandomIvTests(),
+        await runKeyDerivationTests(),
+        await runSquareAttackTests(),
+        runFaultAnalysisTests(),
+        await runPaddingOracleTests(),
+        runImageEncryptionTests(),
+        await runEcbAttackTests(),
+        runNonceReuseTests(),
+        runFileEncryptionTests()
+    ];
+
+    return {
+        groups,
+        passed: groups.reduce((total, group) => total + group.passed, 0),
+        failed: groups.reduce((total, group) => total + group.failed, 0)
+    };
+}
@@ -1,10 +1,11 @@
 /**
- * AES-256 Constants
+ * AES Constants
  * 
  * This file contains all the constant lookup tables used in the AES algorithm:
  * - S-Box (Substitution Box): Used in SubBytes transformation
  * - Inverse S-Box: Used in InvSubBytes transformation
  * - Round Constants (Rcon): Used in key expansion
+ * - Variant parameters for AES-128, AES-192 and AES-256
  */
 
 // ====================================================================================
@@ -63,8 +64,8 @@ export const INVERSE_S_BOX = [
 // ====================================================================================
 // Round constants used in the key expansion algorithm
 // These are powers of 2 in GF(2^8) (Galois Field)
-// For AES-256, we need 14 rounds, but only the first 7 Rcon values are used
-// because the key expansion for AES-256 uses them differently
+// One Rcon value is consumed every Nk words, so AES-128 uses Rcon[1..10],
+// AES-192 uses Rcon[1..8] and AES-256 only uses Rcon[1..7]
 
 export const ROUND_CONSTANTS = [
     0x00, // Rcon[0] is not used (placeholder)
@@ -86,8 +87,80 @@ export const ROUND_CONSTANTS = [
 // Block size is always 128 bits (16 bytes) for AES
 export const BLOCK_SIZE = 16;
 
-// Number of 32-bit words in the key (AES-256 uses 8 words = 256 bits)
-export const KEY_SIZE_WORDS = 8;
+// Parameters for each AES variant, keyed by key size in bits:
+// - keySizeWords (Nk): Number of 32-bit words in the key
+// - numberOfRounds (Nr): Number of rounds
+export const AES_VARIANTS = {
+    128: { keySizeWords: 4, numberOfRounds: 10 },
+    192: { keySizeWords: 6, numberOfRounds: 12 },
+    256: { keySizeWords: 8, numberOfRounds: 14 }
+};
 
-// Number of rounds for AES-256
-export const NUMBER_OF_ROUNDS = 14;
+// Key size (in bits) used when none is specified
+export const DEFAULT_KEY_SIZE = 256;
+
+// Fewest rounds that can be chosen for reduced-round AES (cryptanalysis labs). Any
+// count from here up to the variant's Nr is accepted, but only Nr rounds with no
+// MixColumns in the last round is real AES.
+export const MIN_NUMBER_OF_ROUNDS = 1;
+
+// ====================================================================================
+// FAULT INJECTION
+// ====================================================================================
+// encryptBlock can corrupt one state byte just before a chosen step of a chosen round
+// (fault attack labs). Round 0 only has AddRoundKey, and the final round only has
+// MixColumns when finalMixColumns is set.
+// - flip: XOR the byte with a mask (the lowest bit by default)
+// - random: Replace the byte with a random value different from the correct one
+
+export const FAULT_STEPS = ['SubBytes', 'ShiftRows', 'MixColumns', 'AddRoundKey'];
+export const FAULT_TYPES = ['flip', 'random'];
+export const DEFAULT_FAULT_MASK = 0x01;
+
+// ====================================================================================
+// KEY DERIVATION
+// ====================================================================================
+// Passphrases are turned into keys with PBKDF2-HMAC-SHA256. The random salt is
+// stored in front of the cipher text, the iteration count has to be entered again
+// to decrypt.
+
+export const PBKDF2_SALT_LENGTH = 16;
+export const DEFAULT_PBKDF2_ITERATIONS = 100000;
+
+// ====================================================================================
+// MODES OF OPERATION
+// ====================================================================================
+// Block cipher modes supported by encryptText/decryptText (implemented in modes.js)
+// - usesIv: Whether the mode needs an initialization vector (or initial counter
+//   block), which is placed in front of the cipher text
+// - ivLength: Length of that IV in bytes
+// - usesPadding: Whether the plain text is padded to a multiple of the block size
+// - authenticated: Whether an authentication tag is appended to the cipher text
+
+export const CIPHER_MODES = {
+    ECB: { name: 'Electronic Codebook', usesIv: false, ivLength: 0, usesPadding: true, authenticated: false },
+    CBC: { name: 'Cipher Block Chaining', usesIv: true, ivLength: 16, usesPadding: true, authenticated: false },
+    CFB: { name: 'Cipher Feedback', usesIv: true, ivLength: 16, usesPadding: false, authenticated: false },
+    OFB: { name: 'Output Feedback', usesIv: true, ivLength: 16, usesPadding: false, authenticated: false },
+    CTR: { name: 'Counter', usesIv: true, ivLength: 16, usesPadding: false, authenticated: false },
+    GCM: { name: 'Galois/Counter', usesIv: true, ivLength: 12, usesPadding: false, authenticated: true }
+};
+
+// Mode used when none is specified
+export const DEFAULT_CIPHER_MODE = 'ECB';
+
+// CTR mode: number of low-order bits of the counter block that hold the counter,
+// the remaining high-order bits hold the nonce
+export const CTR_COUNTER_SIZES = [32, 64, 128];
+export const DEFAULT_CTR_COUNTER_BITS = 32;
+
+// CFB mode: number of bits processed per block cipher call (CFB-1, CFB-8, CFB-128)
+export const CFB_SEGMENT_SIZES = [1, 8, 128];
+export const DEFAULT_CFB_SEGMENT_BITS = 128;
+
+// GCM mode: length of the authentication tag in bytes (128 bits)
+export const GCM_TAG_LENGTH = 16;
+
+// GCM mode: tag lengths in bytes that SP 800-38D allows a tag to be truncated to
+// (128, 120, 112, 104 and 96 bits, and 64 or 32 bits for some applications)
+export const GCM_TAG_LENGTHS = [16, 15, 14, 13, 12, 8, 4];
@@ -1,26 +1,37 @@
 /**
- * AES-256 Decryption
+ * AES Decryption
  * 
- * This file implements the decryption algorithm for AES-256.
+ * This file implements the decryption algorithm for AES-128, AES-192 and AES-256.
  * It reverses the encryption process by applying inverse transformations
  * in reverse order.
  */
 
-import { NUMBER_OF_ROUNDS } from './constants.js';
+import {
+    BLOCK_SIZE,
+    CIPHER_MODES,
+    DEFAULT_CIPHER_MODE,
+    DEFAULT_CFB_SEGMENT_BITS,
+    DEFAULT_CTR_COUNTER_BITS,
+    DEFAULT_KEY_SIZE,
+    GCM_TAG_LENGTH
+} from './constants.js';
 import {
     inverseSubstituteBytes,
     inverseShiftRows,
     inverseMixColumns,
-    addRoundKey
+    addRoundKey,
+    traceMixColumns
 } from './transformations.js';
 import {
     bytesToStateMatrix,
     stateMatrixToBytes,
     copyStateMatrix,
     formatStateMatrix,
+    getAesVariant,
     unpadData
 } from './utils.js';
 import { expandKey } from './keyExpansion.js';
+import { MODES_OF_OPERATION } from './modes.js';
 
 // ====================================================================================
 // BLOCK DECRYPTION
@@ -32,9 +43,11 @@ import { expandKey } from './keyExpansion.js';
  * @param {number[]} block - 16-byte block to decrypt
  * @param {number[][]} roundKeys - Array of round keys from key expansion
  * @param {boolean} trackRounds - Whether to track round-by-round details
+ * @param {number} numberOfRounds - Number of rounds (10, 12 or 14, fewer for reduced-round AES), defaults to one less than the number of round keys
+ * @param {boolean} finalMixColumns - Whether the last encryption round kept its MixColumns (not AES, used by reduced-round labs)
  * @returns {Object} Object containing decrypted bytes and round details
  */
-export function decryptBlock(block, roundKeys, trackRounds = false) {
+export function decryptBlock(block, roundKeys, trackRounds = false, numberOfRounds = roundKeys.length - 1, finalMixColumns = false) {
     // Convert block to state matrix (4x4)
     let state = bytesToStateMatrix(block);
 
@@ -43,7 +56,7 @@ export function decryptBlock(block, roundKeys, trackRounds = false) {
 
     if (trackRounds) {
         roundDetails.push({
-            round: NUMBER_OF_ROUNDS,
+            round: numberOfRounds,
             step: 'Initial State (Cipher)',
             state: formatStateMatrix(state),
             stateMatrix: copyStateMatrix(state)
@@ -51,20 +64,35 @@ export function decryptBlock(block, roundKeys, trackRounds = false) {
     }
 
     // Initial round: AddRoundKey with the LAST round key
-    state = addRoundKey(state, roundKeys[NUMBER_OF_ROUNDS]);
+    state = addRoundKey(state, roundKeys[numberOfRounds]);
 
     if (trackRounds) {
         roundDetails.push({
-            round: NUMBER_OF_ROUNDS,
+            round: numberOfRounds,
             step: 'After AddRoundKey',
             state: formatStateMatrix(state),
             stateMatrix: copyStateMatrix(state),
-            roundKey: formatStateMatrix(roundKeys[NUMBER_OF_ROUNDS])
+            roundKey: formatStateMatrix(roundKeys[numberOfRounds])
         });
     }
 
-    // Main rounds (rounds NUMBER_OF_ROUNDS - 1 down to 1)
-    for (let round = NUMBER_OF_ROUNDS - 1; round >= 1; round--) {
+    // InverseMixColumns undoing a kept final MixColumns (reduced-round variants only)
+    if (finalMixColumns) {
+        const beforeMixColumns = state;
+        state = inverseMixColumns(state);
+        if (trackRounds) {
+            roundDetails.push({
+                round: numberOfRounds,
+                step: 'After InverseMixColumns',
+                state: formatStateMatrix(state),
+                stateMatrix: copyStateMatrix(state),
+                mixColumnsTrace: traceMixColumns(beforeMixColumns, true)
+            });
+        }
+    }
+
+    // Main rounds (rounds numberOfRounds - 1 down to 1)
+    for (let round = numberOfRounds - 1; round >= 1; round--) {
         if (trackRounds) {
             roundDetails.push({
                 round,
@@ -109,13 +137,15 @@ export function decryptBlock(block, roundKeys, trackRounds = false) {
         }
 
         // InverseMixColumns (not in final round)
+        const beforeMixColumns = state;
         state = inverseMixColumns(state);
         if (trackRounds) {
             roundDetails.push({
                 round,
                 step: 'After InverseMixColumns',
                 state: formatStateMatrix(state),
-                stateMatrix: copyStateMatrix(state)
+                stateMatrix: copyStateMatrix(state),
+                mixColumnsTrace: traceMixColumns(beforeMixColumns, true)
             });
         }
     }
@@ -175,107 +205,143 @@ export function decryptBlock(block, roundKeys, trackRounds = false) {
     };
 }
 
+/**
+ * Decrypt a single block and record the whole block after every round
+ * Used to build the complete plain text after each round across all blocks
+ * 
+ * @param {number[]} block - 16-byte block to decrypt
+ * @param {number[][]} roundKeys - Array of round keys from key expansion
+ * @param {number} numberOfRounds - Number of rounds (10, 12 or 14, fewer for reduced-round AES)
+ * @param {boolean} finalMixColumns - Whether the last encryption round kept its MixColumns
+ * @returns {number[][]} Block bytes after each round, indexed by round number
+ */
+export function decryptBlockPerRound(block, roundKeys, numberOfRounds, finalMixColumns = false) {
+    const blockPerRound = [];
+
+    // Round Nr: initial AddRoundKey with the last round key (and InverseMixColumns if it was kept)
+    let state = addRoundKey(bytesToStateMatrix(block), roundKeys[numberOfRounds]);
+    if (finalMixColumns) {
+        state = inverseMixColumns(state);
+    }
+    blockPerRound[numberOfRounds] = stateMatrixToBytes(state);
+
+    // Main rounds (Nr - 1 down to 1)
+    for (let round = numberOfRounds - 1; round >= 1; round--) {
+        state = inverseShiftRows(state);
+        state = inverseSubstituteBytes(state);
+        state = addRoundKey(state, roundKeys[round]);
+        state = inverseMixColumns(state);
+        blockPerRound[round] = stateMatrixToBytes(state);
+    }
+
+    // Final round (0): No InverseMixColumns
+    state = inverseShiftRows(state);
+    state = inverseSubstituteBytes(state);
+    state = addRoundKey(state, roundKeys[0]);
+    blockPerRound[0] = stateMatrixToBytes(state);
+
+    return blockPerRound;
+}
+
 // ====================================================================================
 // TEXT DECRYPTION
 // ====================================================================================
 
 /**
- * Decrypt cipher text using AES-256
+ * Decrypt cipher text using AES
+ * 
+ * The IV (if the mode uses one) is read from the front of the cipher text and the rest
+ * is handed to the chosen mode of operation (see modes.js). Padding is removed only for
+ * the block modes (ECB, CBC). In GCM mode the 16-byte tag at the end is verified before
+ * anything is decrypted.
  * 
- * @param {number[]} cipherBytes - Cipher text as byte array
- * @param {number[]} key - 32-byte decryption key
+ * @param {number[]} cipherBytes - Cipher text as byte array (prefixed with the IV in every
+ *   mode but ECB, followed by the tag in GCM mode)
+ * @param {number[]} key - 16, 24 or 32-byte decryption key
  * @param {boolean} trackRounds - Whether to track round-by-round details
+ * @param {Object} options - Optional settings:
+ *   - keySize: Key size in bits (128, 192 or 256), defaults to 256
+ *   - mode: Cipher mode ('ECB', 'CBC', 'CFB', 'OFB', 'CTR' or 'GCM'), defaults to 'ECB'
+ *   - counterBits: CTR mode counter size in bits, defaults to 32
+ *   - segmentBits: CFB mode segment size in bits (1, 8 or 128), defaults to 128
+ *   - aad: GCM mode additional authenticated data as byte array, defaults to none
+ *   - numberOfRounds: Rounds for reduced-round AES (1 to Nr), defaults to Nr
+ *   - finalMixColumns: Whether the last round kept its MixColumns, defaults to false
  * @returns {Object} Object containing:
  *   - plainBytes: Decrypted data as byte array
- *   - roundDetails: Details of each round (if trackRounds is true)
+ *   - iv: The IV or initial counter block read from the cipher text (null in ECB mode)
+ *   - tag: The verified GCM authentication tag (null in other modes)
+ *   - roundDetails: Details of each round of the first block (if trackRounds is true)
+ *   - traceBlock: traceBlock(index) returns the round details of any block, traced on first
+ *     use (if trackRounds is true, null otherwise)
+ *   - blockCount: Number of blocks traceBlock can trace (block cipher calls, so one per
+ *     segment or bit in CFB-8 and CFB-1)
  *   - keyExpansion: Details of key expansion
- *   - completeCipherPerRound: Complete plain text after each round (if trackRounds is true)
+ *   - completeCipherPerRound: Complete block cipher output after each round (if trackRounds
+ *     is true), plus the XORed output blocks under `chained` in CBC mode
+ *   - modeDetails: Per-block intermediate values of the mode (if trackRounds is true, null for ECB)
+ *   - authenticationDetails: GHASH steps behind the tag (if trackRounds is true, GCM only)
  */
-export function decryptText(cipherBytes, key, trackRounds = false) {
-    // Expand the key
-    const { roundKeys, expansionDetails } = expandKey(key);
+export function decryptText(cipherBytes, key, trackRounds = false, options = {}) {
+    const {
+        keySize = DEFAULT_KEY_SIZE,
+        mode = DEFAULT_CIPHER_MODE,
+        counterBits = DEFAULT_CTR_COUNTER_BITS,
+        segmentBits = DEFAULT_CFB_SEGMENT_BITS,
+        aad = [],
+        numberOfRounds = getAesVariant(keySize).numberOfRounds,
+        finalMixColumns = false
+    } = options;
+
+    if (!CIPHER_MODES[mode]) {
+        throw new Error(`Unsupported cipher mode: ${mode}`);
+    }
 
-    // Array to hold all decrypted blocks
-    let plainBytes = [];
+    const { usesIv, ivLength, usesPadding, authenticated } = CIPHER_MODES[mode];
+    const tagLength = authenticated ? GCM_TAG_LENGTH : 0;
 
-    // Array to hold round details for first block
-    let allRoundDetails = [];
+    if (cipherBytes.length < ivLength + tagLength) {
+        throw new Error(`Cipher text is too short to contain ${authenticated ? 'an IV and tag' : 'an IV'}`);
+    }
 
-    // Array to track complete plain text after each round (for all blocks)
-    const completeCipherPerRound = trackRounds ? {} : null;
+    if (usesPadding && (cipherBytes.length - ivLength) % BLOCK_SIZE !== 0) {
+        throw new Error(`${mode} cipher text must be a multiple of ${BLOCK_SIZE} bytes`);
+    }
 
-    if (trackRounds) {
-        // Process all blocks round by round to track complete plain text
-        const numBlocks = cipherBytes.length / 16;
-        const blockStates = [];
-
-        // Initialize block states
-        for (let i = 0; i < numBlocks; i++) {
-            const block = cipherBytes.slice(i * 16, (i + 1) * 16);
-            blockStates.push(bytesToStateMatrix(block));
-        }
+    // The IV or initial counter block (if the mode uses one) is stored in front of the cipher text
+    const iv = usesIv ? cipherBytes.slice(0, ivLength) : null;
+    const bodyBytes = cipherBytes.slice(ivLength);
 
-        // Track complete plain text after round 14 (initial AddRoundKey)
-        for (let i = 0; i < numBlocks; i++) {
-            blockStates[i] = addRoundKey(blockStates[i], roundKeys[NUMBER_OF_ROUNDS]);
-        }
-        let fullPlain = [];
-        blockStates.forEach(state => fullPlain.push(...stateMatrixToBytes(state)));
-        completeCipherPerRound[NUMBER_OF_ROUNDS] = fullPlain;
-
-        // Process all main rounds (13 down to 1)
-        for (let round = NUMBER_OF_ROUNDS - 1; round >= 1; round--) {
-            for (let i = 0; i < numBlocks; i++) {
-                blockStates[i] = inverseShiftRows(blockStates[i]);
-                blockStates[i] = inverseSubstituteBytes(blockStates[i]);
-                blockStates[i] = addRoundKey(blockStates[i], roundKeys[round]);
-                blockStates[i] = inverseMixColumns(blockStates[i]);
-            }
-            // Collect complete plain text after this round
-            fullPlain = [];
-            blockStates.forEach(state => fullPlain.push(...stateMatrixToBytes(state)));
-            completeCipherPerRound[round] = fullPlain;
-        }
+    // Expand the key
+    const { roundKeys, expansionDetails } = expandKey(key, keySize, numberOfRounds);
 
-        // Final round (0)
-        const finalRound = 0;
-        for (let i = 0; i < numBlocks; i++) {
-            blockStates[i] = inverseShiftRows(blockStates[i]);
-            blockStates[i] = inverseSubstituteBytes(blockStates[i]);
-            blockStates[i] = addRoundKey(blockStates[i], roundKeys[finalRound]);
-        }
-        // Collect complete plain text after final round
-        fullPlain = [];
-        blockStates.forEach(state => fullPlain.push(...stateMatrixToBytes(state)));
-        completeCipherPerRound[finalRound] = fullPlain;
-
-        // Set final plain bytes (with padding removed)
-        plainBytes = unpadData(fullPlain);
-    } else {
-        // Normal processing without tracking
-        const tempPlainBytes = [];
-        for (let i = 0; i < cipherBytes.length; i += 16) {
-            const block = cipherBytes.slice(i, i + 16);
-            const { decryptedBlock } = decryptBlock(block, roundKeys, false);
-            tempPlainBytes.push(...decryptedBlock);
-        }
-        plainBytes = unpadData(tempPlainBytes);
-    }
+    const keyExpansion = {
+        roundKeys: roundKeys.map(rk => formatStateMatrix(rk)),
+        expansionDetails
+    };
 
-    // Get round details for first block only (for state matrix visualization)
-    if (trackRounds) {
-        const firstBlock = cipherBytes.slice(0, 16);
-        const { roundDetails } = decryptBlock(firstBlock, roundKeys, true);
-        allRoundDetails = roundDetails;
-    }
+    const result = MODES_OF_OPERATION[mode].decrypt(bodyBytes, {
+        roundKeys,
+        numberOfRounds,
+        finalMixColumns,
+        iv,
+        trackRounds,
+        counterBits,
+        segmentBits,
+        aad
+    });
 
     return {
-        plainBytes,
-        roundDetails: allRoundDetails,
-        completeCipherPerRound,
-        keyExpansion: {
-            roundKeys: roundKeys.map(rk => formatStateMatrix(rk)),
-            expansionDetails
-        }
+        // Remove padding for the block modes only
+        plainBytes: usesPadding ? unpadData(result.outputBytes) : result.outputBytes,
+        iv,
+        tag: result.tag ?? null,
+        roundDetails: result.roundDetails,
+        traceBlock: result.traceBlock,
+        blockCount: result.blockCount,
+        completeCipherPerRound: result.completeCipherPerRound,
+        modeDetails: result.modeDetails,
+        authenticationDetails: result.authenticationDetails ?? null,
+        keyExpansion
     };
 }
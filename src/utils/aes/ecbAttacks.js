@@ -0,0 +1,371 @@
+/**
+ * ECB Attacks
+ *
+ * This file implements the two classic attacks on ECB mode, both against local oracles
+ * built on encryptText:
+ * 1. Byte-at-a-time decryption: the oracle encrypts the attacker's input followed by a
+ *    secret suffix. Sending one byte less than a block puts the first unknown suffix byte
+ *    at the end of a block the attacker otherwise knows, so trying all 256 values for it
+ *    and comparing cipher text blocks reveals it. Shifting the input one byte at a time
+ *    recovers the whole suffix, in at most 256 queries per byte
+ * 2. Cut-and-paste: the oracle encrypts a profile string email=...&uid=10&role=user.
+ *    Every block is encrypted on its own, so blocks from different cipher texts can be
+ *    spliced together. One query puts "admin" plus padding in a block of its own, another
+ *    ends a block with "role=", and gluing them gives a valid admin profile
+ *
+ * The attacker only sees cipher texts (and, for the profile, what the server makes of a
+ * cipher text), the key is passed in so the oracles can be built.
+ */
+
+import { BLOCK_SIZE, DEFAULT_KEY_SIZE } from './constants.js';
+import { decryptText } from './decryption.js';
+import { encryptText } from './encryption.js';
+import { bytesToHex, bytesToText, nextTask, padData, textToBytes } from './utils.js';
+
+// Byte the attacker fills its input with
+export const ECB_FILLER_BYTE = 0x41;
+
+// Longest input tried while looking for the block size
+const MAX_BLOCK_SIZE_PROBE = 64;
+
+// uid the profile server gives every new account
+export const PROFILE_UID = 10;
+
+// ====================================================================================
+// BLOCK HELPERS
+// ====================================================================================
+
+/**
+ * Take one block out of a byte array
+ *
+ * @param {number[]} bytes - Data to take the block from
+ * @param {number} blockIndex - Block to take (0 is the first)
+ * @param {number} blockSize - Block size in bytes, defaults to 16
+ * @returns {number[]} The block (shorter or empty past the end of the data)
+ */
+export function getBlock(bytes, blockIndex, blockSize = BLOCK_SIZE) {
+    return bytes.slice(blockIndex * blockSize, (blockIndex + 1) * blockSize);
+}
+
+/**
+ * Split a byte array into blocks
+ *
+ * @param {number[]} bytes - Data to split
+ * @param {number} blockSize - Block size in bytes, defaults to 16
+ * @returns {number[][]} The blocks (the last one may be shorter)
+ */
+export function splitBlocks(bytes, blockSize = BLOCK_SIZE) {
+    return Array.from({ length: Math.ceil(bytes.length / blockSize) }, (_, index) =>
+        getBlock(bytes, index, blockSize)
+    );
+}
+
+// ====================================================================================
+// BYTE-AT-A-TIME DECRYPTION
+// ====================================================================================
+
+/**
+ * Build an ECB encryption oracle that appends a secret suffix to every input
+ *
+ * @param {number[]} key - The oracle's 16, 24 or 32-byte key
+ * @param {number[]} secretSuffix - Bytes appended to every input before encrypting
+ * @param {Object} options - Optional settings:
+ *   - keySize: Key size in bits (128, 192 or 256), defaults to 256
+ * @returns {Function} oracle(inputBytes) returning the ECB cipher text of input ‖ suffix
+ */
+export function createSuffixOracle(key, secretSuffix, options = {}) {
+    const { keySize = DEFAULT_KEY_SIZE } = options;
+
+    return inputBytes => encryptText([...inputBytes, ...secretSuffix], key, false, { keySize, mode: 'ECB' }).cipherBytes;
+}
+
+/**
+ * Find the block size and suffix length from how the cipher text grows
+ *
+ * The cipher text is the suffix padded to whole blocks. Adding input bytes one at a time,
+ * the length jumps by a block as soon as input and suffix fill whole blocks, so the
+ * length of that jump is the block size and the input that caused it gives the suffix length.
+ *
+ * @param {Function} oracle - The suffix oracle
+ * @returns {Object} Object containing:
+ *   - blockSize: Block size in bytes
+ *   - suffixLength: Length of the secret suffix
+ *   - queries: { input, cipherBytes } for every query made
+ */
+function findBlockSize(oracle) {
+    const queries = [];
+    const ask = input => {
+        const cipherBytes = oracle(input);
+        queries.push({ input, cipherBytes });
+        return cipherBytes.length;
+    };
+
+    const emptyLength = ask([]);
+
+    for (let inputLength = 1; inputLength <= MAX_BLOCK_SIZE_PROBE; inputLength++) {
+        const length = ask(Array(inputLength).fill(ECB_FILLER_BYTE));
+
+        if (length > emptyLength) {
+            return { blockSize: length - emptyLength, suffixLength: emptyLength - inputLength, queries };
+        }
+    }
+
+    throw new Error(`Cipher text length did not change for inputs up to ${MAX_BLOCK_SIZE_PROBE} bytes`);
+}
+
+/**
+ * Recover an oracle's secret suffix one byte at a time
+ *
+ * For suffix byte i the input is blockSize - 1 - (i mod blockSize) filler bytes, so block
+ * floor(i / blockSize) of the cipher text ends with byte i and is otherwise filler and
+ * bytes already recovered. That block is the reference. Each guess sends the same input
+ * followed by the known bytes and the guess, and the guess whose block matches the
+ * reference is byte i. Throws if the block size cannot be found or the oracle is not ECB.
+ *
+ * @param {Function} oracle - The suffix oracle (see createSuffixOracle)
+ * @param {Object} options - Optional settings:
+ *   - onProgress: Called with { blockSize, recovered, suffixLength, queries, bytes } after
+ *     every byte
+ * @returns {Promise<Object>} Object containing:
+ *   - blockSize: Block size found from the cipher text lengths
+ *   - suffixLength: Length of the secret suffix
+ *   - detection: { input, cipherBytes } for the queries that found the block size and mode
+ *   - bytes: One entry per suffix byte with index, blockIndex, padding (the filler input),
+ *     reference (the block to match), queries ({ guess, input, block, matches } for every
+ *     guess tried) and value (null if no guess matched)
+ *   - queries: Total oracle queries
+ *   - recoveredBytes: The suffix bytes recovered
+ *   - success: Whether every byte of the suffix was recovered
+ */
+export async function runByteAtATimeAttack(oracle, options = {}) {
+    const { onProgress = () => {} } = options;
+    const { blockSize, suffixLength, queries: detection } = findBlockSize(oracle);
+
+    // Two identical blocks of input only encrypt to identical blocks in ECB
+    const probe = Array(blockSize * 2).fill(ECB_FILLER_BYTE);
+    const probeCipher = oracle(probe);
+    detection.push({ input: probe, cipherBytes: probeCipher });
+
+    if (bytesToHex(getBlock(probeCipher, 0, blockSize)) !== bytesToHex(getBlock(probeCipher, 1, blockSize))) {
+        throw new Error('Identical input blocks gave different cipher text blocks, the oracle is not using ECB');
+    }
+
+    const bytes = [];
+    const recoveredBytes = [];
+    let queries = detection.length;
+
+    for (let index = 0; index < suffixLength; index++) {
+        const blockIndex = Math.floor(index / blockSize);
+        const padding = Array(blockSize - 1 - (index % blockSize)).fill(ECB_FILLER_BYTE);
+        const reference = getBlock(oracle(padding), blockIndex, blockSize);
+        const referenceHex = bytesToHex(reference);
+        const byte = { index, blockIndex, padding, reference, queries: [], value: null };
+        bytes.push(byte);
+        queries++;
+
+        for (let guess = 0; guess < 256; guess++) {
+            const input = [...padding, ...recoveredBytes, guess];
+            const block = getBlock(oracle(input), blockIndex, blockSize);
+            const matches = bytesToHex(block) === referenceHex;
+            byte.queries.push({ guess, input, block, matches });
+            queries++;
+
+            if (matches) {
+                byte.value = guess;
+                break;
+            }
+        }
+
+        if (byte.value === null) {
+            break;
+        }
+
+        recoveredBytes.push(byte.value);
+        onProgress({ blockSize, recovered: recoveredBytes.length, suffixLength, queries, bytes });
+        await nextTask();
+    }
+
+    return {
+        blockSize,
+        suffixLength,
+        detection,
+        bytes,
+        queries,
+        recoveredBytes,
+        success: recoveredBytes.length === suffixLength
+    };
+}
+
+// ====================================================================================
+// CUT-AND-PASTE PROFILES
+// ====================================================================================
+
+/**
+ * Encode a new user profile the way the profile server does
+ * & and = are removed from the email so it cannot add fields of its own
+ *
+ * @param {string} email - The user's email address
+ * @returns {string} email=...&uid=10&role=user
+ */
+export function encodeProfile(email) {
+    return `email=${email.replace(/[&=]/g, '')}&uid=${PROFILE_UID}&role=user`;
+}
+
+/**
+ * Parse a key=value&key=value profile string
+ *
+ * @param {string} text - Encoded profile
+ * @returns {Object} The fields (a later field with the same name wins)
+ */
+export function parseProfile(text) {
+    return Object.fromEntries(text.split('&').map(field => {
+        const separator = field.indexOf('=');
+        return separator === -1 ? [field, ''] : [field.slice(0, separator), field.slice(separator + 1)];
+    }));
+}
+
+/**
+ * Build the profile server: it encrypts profiles for new users and reads them back
+ *
+ * @param {number[]} key - The server's 16, 24 or 32-byte key
+ * @param {Object} options - Optional settings:
+ *   - keySize: Key size in bits (128, 192 or 256), defaults to 256
+ * @returns {Object} Object containing:
+ *   - encrypt: encrypt(email) returning the ECB cipher text of encodeProfile(email)
+ *   - decrypt: decrypt(cipherBytes) returning { text, profile } as the server reads it
+ *     (throws like decryptText if the padding is invalid)
+ */
+export function createProfileOracle(key, options = {}) {
+    const { keySize = DEFAULT_KEY_SIZE } = options;
+
+    return {
+        encrypt: email => encryptText(textToBytes(encodeProfile(email)), key, false, { keySize, mode: 'ECB' }).cipherBytes,
+        decrypt: cipherBytes => {
+            const text = bytesToText(decryptText(cipherBytes, key, false, { keySize, mode: 'ECB' }).plainBytes);
+            return { text, profile: parseProfile(text) };
+        }
+    };
+}
+
+/**
+ * Build an email address of an exact length
+ *
+ * @param {number} length - Length wanted
+ * @param {string} domain - Domain after the @
+ * @returns {string} Filler characters, @ and the domain (one block longer if the domain
+ *   does not fit)
+ */
+function makeEmail(length, domain) {
+    let localLength = length - domain.length - 1;
+
+    while (localLength < 1) {
+        localLength += BLOCK_SIZE;
+    }
+
+    return `${'a'.repeat(localLength)}@${domain}`;
+}
+
+/**
+ * Describe one profile server query block by block
+ *
+ * @param {Object} oracle - The profile server
+ * @param {string} email - Email to register
+ * @returns {Object} The email, the encoded profile, its plain text blocks and the cipher
+ *   text with its blocks
+ */
+function queryProfile(oracle, email) {
+    const profileText = encodeProfile(email);
+    const cipherBytes = oracle.encrypt(email);
+
+    return {
+        email,
+        profileText,
+        plainBlocks: splitBlocks(padData(textToBytes(profileText))),
+        cipherBytes,
+        cipherBlocks: splitBlocks(cipherBytes)
+    };
+}
+
+/**
+ * Forge an encrypted profile with a chosen role by splicing ECB blocks
+ *
+ * 1. The role query pads "email=" to a block boundary with filler, then puts the role and
+ *    its PKCS#7 padding in the email, so block 1 encrypts exactly role + padding
+ * 2. The prefix query picks an email length that makes "email=...&uid=10&role=" end on a
+ *    block boundary
+ * 3. The blocks of the prefix query up to that boundary, followed by block 1 of the role
+ *    query, decrypt to a profile ending role=<role> with valid padding
+ *
+ * Throws if the role does not fit in one block or contains & or =.
+ *
+ * @param {Object} oracle - The profile server (see createProfileOracle)
+ * @param {Object} options - Optional settings:
+ *   - targetRole: Role to forge, defaults to 'admin'
+ *   - domain: Domain of the emails registered, defaults to 'evil.com'
+ * @returns {Object} Object containing:
+ *   - roleQuery: The query that isolates the role block (see queryProfile)
+ *   - prefixQuery: The query that ends a block with role=
+ *   - roleBlockIndex: Block of roleQuery holding the role
+ *   - prefixBlockCount: Blocks taken from prefixQuery
+ *   - splice: { source ('prefix' or 'role'), blockIndex, plainBlock, cipherBlock } per
+ *     block of the forged cipher text
+ *   - forgedBytes: The forged cipher text
+ *   - forged: What the server reads from it ({ text, profile })
+ *   - success: Whether the server reads the target role
+ */
+export function runCutAndPasteAttack(oracle, options = {}) {
+    const { targetRole = 'admin', domain = 'evil.com' } = options;
+    const roleBytes = textToBytes(targetRole);
+
+    if (roleBytes.length === 0 || roleBytes.length >= BLOCK_SIZE) {
+        throw new Error(`Role must be 1 to ${BLOCK_SIZE - 1} bytes to fit in one block with its padding`);
+    }
+    if (/[&=]/.test(targetRole)) {
+        throw new Error('Role cannot contain & or =, the server removes them from the email');
+    }
+
+    const [prefixText, afterEmail] = encodeProfile('\0').split('\0');
+    const beforeRole = afterEmail.slice(0, afterEmail.length - 'user'.length);
+
+    // Block 1 of this query is the role and its padding
+    const fillerLength = (BLOCK_SIZE - (prefixText.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    const roleBlockIndex = (prefixText.length + fillerLength) / BLOCK_SIZE;
+    const roleQuery = queryProfile(
+        oracle,
+        String.fromCharCode(ECB_FILLER_BYTE).repeat(fillerLength) + bytesToText(padData(roleBytes))
+    );
+
+    // "email=...&uid=10&role=" ends on a block boundary in this query
+    const fixedLength = prefixText.length + beforeRole.length;
+    const email = makeEmail((BLOCK_SIZE - (fixedLength % BLOCK_SIZE)) % BLOCK_SIZE, domain);
+    const prefixBlockCount = (fixedLength + email.length) / BLOCK_SIZE;
+    const prefixQuery = queryProfile(oracle, email);
+
+    const splice = [
+        ...prefixQuery.cipherBlocks.slice(0, prefixBlockCount).map((cipherBlock, blockIndex) => ({
+            source: 'prefix',
+            blockIndex,
+            plainBlock: prefixQuery.plainBlocks[blockIndex],
+            cipherBlock
+        })),
+        {
+            source: 'role',
+            blockIndex: roleBlockIndex,
+            plainBlock: roleQuery.plainBlocks[roleBlockIndex],
+            cipherBlock: roleQuery.cipherBlocks[roleBlockIndex]
+        }
+    ];
+    const forgedBytes = splice.flatMap(block => block.cipherBlock);
+    const forged = oracle.decrypt(forgedBytes);
+
+    return {
+        roleQuery,
+        prefixQuery,
+        roleBlockIndex,
+        prefixBlockCount,
+        splice,
+        forgedBytes,
+        forged,
+        success: forged.profile.role === targetRole
+    };
+}
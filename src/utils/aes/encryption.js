@@ -1,25 +1,114 @@
 /**
- * AES-256 Encryption
+ * AES Encryption
  * 
- * This file implements the main encryption algorithm for AES-256.
- * It processes data in 128-bit (16-byte) blocks and applies 14 rounds of transformations.
+ * This file implements the main encryption algorithm for AES-128, AES-192 and AES-256.
+ * It processes data in 128-bit (16-byte) blocks and applies 10, 12 or 14 rounds of transformations.
  */
 
-import { NUMBER_OF_ROUNDS } from './constants.js';
+import {
+    BLOCK_SIZE,
+    CIPHER_MODES,
+    DEFAULT_CIPHER_MODE,
+    DEFAULT_CFB_SEGMENT_BITS,
+    DEFAULT_CTR_COUNTER_BITS,
+    DEFAULT_KEY_SIZE,
+    DEFAULT_FAULT_MASK,
+    FAULT_STEPS,
+    FAULT_TYPES
+} from './constants.js';
 import {
     substituteBytes,
     shiftRows,
     mixColumns,
-    addRoundKey
+    addRoundKey,
+    traceMixColumns
 } from './transformations.js';
 import {
     bytesToStateMatrix,
     stateMatrixToBytes,
     copyStateMatrix,
     formatStateMatrix,
+    getAesVariant,
+    generateRandomBytes,
     padData
 } from './utils.js';
 import { expandKey } from './keyExpansion.js';
+import { MODES_OF_OPERATION } from './modes.js';
+
+// ====================================================================================
+// FAULT INJECTION
+// ====================================================================================
+
+/**
+ * List the steps of a round a fault can be injected before
+ * 
+ * @param {number} round - Round number (0 to numberOfRounds)
+ * @param {number} numberOfRounds - Number of rounds
+ * @param {boolean} finalMixColumns - Whether the last round keeps its MixColumns
+ * @returns {string[]} Steps in the order they run (see FAULT_STEPS)
+ */
+export function getFaultSteps(round, numberOfRounds, finalMixColumns = false) {
+    if (round === 0) {
+        return ['AddRoundKey'];
+    }
+
+    if (round === numberOfRounds && !finalMixColumns) {
+        return FAULT_STEPS.filter(step => step !== 'MixColumns');
+    }
+
+    return FAULT_STEPS;
+}
+
+/**
+ * Check that a fault targets a step that exists and a byte of the state
+ * Throws with a message naming the first problem found
+ * 
+ * @param {Object} fault - Fault to inject (see encryptBlock)
+ * @param {number} numberOfRounds - Number of rounds
+ * @param {boolean} finalMixColumns - Whether the last round keeps its MixColumns
+ */
+function validateFault(fault, numberOfRounds, finalMixColumns) {
+    const { round, step, byteIndex, type = 'flip', mask = DEFAULT_FAULT_MASK } = fault;
+
+    if (!Number.isInteger(round) || round < 0 || round > numberOfRounds) {
+        throw new Error(`Fault round must be 0 to ${numberOfRounds}, got ${round}`);
+    }
+
+    if (!getFaultSteps(round, numberOfRounds, finalMixColumns).includes(step)) {
+        throw new Error(`Round ${round} has no ${step} step to inject a fault before`);
+    }
+
+    if (!Number.isInteger(byteIndex) || byteIndex < 0 || byteIndex >= BLOCK_SIZE) {
+        throw new Error(`Fault byte index must be 0 to ${BLOCK_SIZE - 1}, got ${byteIndex}`);
+    }
+
+    if (!FAULT_TYPES.includes(type)) {
+        throw new Error(`Unsupported fault type: ${type}`);
+    }
+
+    if (type === 'flip' && (!Number.isInteger(mask) || mask < 1 || mask > 0xff)) {
+        throw new Error(`Fault mask must be 01 to ff, got ${mask}`);
+    }
+}
+
+/**
+ * Compute the faulty value of a state byte
+ * 
+ * @param {number} value - The correct byte
+ * @param {Object} fault - Fault to inject (see encryptBlock)
+ * @returns {number} The byte XORed with the mask, or a random different byte
+ */
+function corruptByte(value, fault) {
+    if (fault.type === 'random') {
+        let corrupted;
+        do {
+            [corrupted] = generateRandomBytes(1);
+        } while (corrupted === value);
+        return corrupted;
+    }
+
+    return value ^ (fault.mask ?? DEFAULT_FAULT_MASK);
+}
 
 // ====================================================================================
 // BLOCK ENCRYPTION
@@ -31,15 +120,63 @@ import { expandKey } from './keyExpansion.js';
  * @param {number[]} block - 16-byte block to encrypt
  * @param {number[][]} roundKeys - Array of round keys from key expansion
  * @param {boolean} trackRounds - Whether to track round-by-round details
- * @returns {Object} Object containing encrypted bytes and round details
+ * @param {number} numberOfRounds - Number of rounds (10, 12 or 14, fewer for reduced-round AES), defaults to one less than the number of round keys
+ * @param {boolean} finalMixColumns - Whether the last round keeps its MixColumns (not AES, used by reduced-round labs)
+ * @param {Object} [fault] - Corrupt one state byte just before a step (fault attack labs):
+ *   - round: Round of the step (0 to numberOfRounds)
+ *   - step: 'SubBytes', 'ShiftRows', 'MixColumns' or 'AddRoundKey' (see getFaultSteps)
+ *   - byteIndex: State byte to corrupt (0-15, column-major like the block bytes)
+ *   - type: 'flip' to XOR the byte with mask, or 'random' for a random different value
+ *   - mask: Bits to flip, defaults to 01
+ * @returns {Object} Object containing encrypted bytes, round details and the injected
+ *   fault (round, step, byteIndex, type, before, after and difference, null without a fault)
  */
-export function encryptBlock(block, roundKeys, trackRounds = false) {
+export function encryptBlock(block, roundKeys, trackRounds = false, numberOfRounds = roundKeys.length - 1, finalMixColumns = false, fault = null) {
+    if (fault) {
+        validateFault(fault, numberOfRounds, finalMixColumns);
+    }
+
     // Convert block to state matrix (4x4)
     let state = bytesToStateMatrix(block);
 
     // Array to store round details for visualization
     const roundDetails = [];
 
+    let injectedFault = null;
+
+    // Corrupt the fault's byte if it targets the step about to run
+    const injectFault = (round, step) => {
+        if (!fault || fault.round !== round || fault.step !== step) {
+            return;
+        }
+
+        const row = fault.byteIndex % 4;
+        const col = Math.floor(fault.byteIndex / 4);
+        const before = state[row][col];
+        const after = corruptByte(before, fault);
+
+        state = copyStateMatrix(state);
+        state[row][col] = after;
+        injectedFault = {
+            round,
+            step,
+            byteIndex: fault.byteIndex,
+            type: fault.type ?? 'flip',
+            before,
+            after,
+            difference: before ^ after
+        };
+
+        if (trackRounds) {
+            roundDetails.push({
+                round,
+                step: `Fault Injected (before ${step})`,
+                state: formatStateMatrix(state),
+                stateMatrix: copyStateMatrix(state)
+            });
+        }
+    };
+
     if (trackRounds) {
         roundDetails.push({
             round: 0,
@@ -50,6 +187,7 @@ export function encryptBlock(block, roundKeys, trackRounds = false) {
     }
 
     // Initial round: AddRoundKey only
+    injectFault(0, 'AddRoundKey');
     state = addRoundKey(state, roundKeys[0]);
 
     if (trackRounds) {
@@ -62,8 +200,8 @@ export function encryptBlock(block, roundKeys, trackRounds = false) {
         });
     }
 
-    // Main rounds (rounds 1 to NUMBER_OF_ROUNDS - 1)
-    for (let round = 1; round < NUMBER_OF_ROUNDS; round++) {
+    // Main rounds (rounds 1 to numberOfRounds - 1)
+    for (let round = 1; round < numberOfRounds; round++) {
         if (trackRounds) {
             roundDetails.push({
                 round,
@@ -74,6 +212,7 @@ export function encryptBlock(block, roundKeys, trackRounds = false) {
         }
 
         // SubBytes
+        injectFault(round, 'SubBytes');
         state = substituteBytes(state);
         if (trackRounds) {
             roundDetails.push({
@@ -85,6 +224,7 @@ export function encryptBlock(block, roundKeys, trackRounds = false) {
         }
 
         // ShiftRows
+        injectFault(round, 'ShiftRows');
         state = shiftRows(state);
         if (trackRounds) {
             roundDetails.push({
@@ -96,17 +236,21 @@ export function encryptBlock(block, roundKeys, trackRounds = false) {
         }
 
         // MixColumns
+        injectFault(round, 'MixColumns');
+        const beforeMixColumns = state;
         state = mixColumns(state);
         if (trackRounds) {
             roundDetails.push({
                 round,
                 step: 'After MixColumns',
                 state: formatStateMatrix(state),
-                stateMatrix: copyStateMatrix(state)
+                stateMatrix: copyStateMatrix(state),
+                mixColumnsTrace: traceMixColumns(beforeMixColumns)
             });
         }
 
         // AddRoundKey
+        injectFault(round, 'AddRoundKey');
         state = addRoundKey(state, roundKeys[round]);
         if (trackRounds) {
             roundDetails.push({
@@ -119,8 +263,8 @@ export function encryptBlock(block, roundKeys, trackRounds = false) {
         }
     }
 
-    // Final round (round NUMBER_OF_ROUNDS): No MixColumns
-    const finalRound = NUMBER_OF_ROUNDS;
+    // Final round (round numberOfRounds): No MixColumns unless finalMixColumns is set
+    const finalRound = numberOfRounds;
 
     if (trackRounds) {
         roundDetails.push({
@@ -132,6 +276,7 @@ export function encryptBlock(block, roundKeys, trackRounds = false) {
     }
 
     // SubBytes
+    injectFault(finalRound, 'SubBytes');
     state = substituteBytes(state);
     if (trackRounds) {
         roundDetails.push({
@@ -143,6 +288,7 @@ export function encryptBlock(block, roundKeys, trackRounds = false) {
     }
 
     // ShiftRows
+    injectFault(finalRound, 'ShiftRows');
     state = shiftRows(state);
     if (trackRounds) {
         roundDetails.push({
@@ -153,7 +299,24 @@ export function encryptBlock(block, roundKeys, trackRounds = false) {
         });
     }
 
+    // MixColumns (reduced-round variants only)
+    if (finalMixColumns) {
+        injectFault(finalRound, 'MixColumns');
+        const beforeMixColumns = state;
+        state = mixColumns(state);
+        if (trackRounds) {
+            roundDetails.push({
+                round: finalRound,
+                step: 'After MixColumns',
+                state: formatStateMatrix(state),
+                stateMatrix: copyStateMatrix(state),
+                mixColumnsTrace: traceMixColumns(beforeMixColumns)
+            });
+        }
+    }
+
     // AddRoundKey (final)
+    injectFault(finalRound, 'AddRoundKey');
     state = addRoundKey(state, roundKeys[finalRound]);
     if (trackRounds) {
         roundDetails.push({
@@ -170,112 +333,185 @@ export function encryptBlock(block, roundKeys, trackRounds = false) {
 
     return {
         encryptedBlock,
-        roundDetails
+        roundDetails,
+        injectedFault
     };
 }
 
+/**
+ * Encrypt a single block and record the whole block after every round
+ * Used to build the complete cipher text after each round across all blocks
+ * 
+ * @param {number[]} block - 16-byte block to encrypt
+ * @param {number[][]} roundKeys - Array of round keys from key expansion
+ * @param {number} numberOfRounds - Number of rounds (10, 12 or 14, fewer for reduced-round AES)
+ * @param {boolean} finalMixColumns - Whether the last round keeps its MixColumns
+ * @returns {number[][]} Block bytes after each round, indexed by round number
+ */
+export function encryptBlockPerRound(block, roundKeys, numberOfRounds, finalMixColumns = false) {
+    // Round 0: initial AddRoundKey
+    let state = addRoundKey(bytesToStateMatrix(block), roundKeys[0]);
+    const blockPerRound = [stateMatrixToBytes(state)];
+
+    // Main rounds (1 to Nr - 1)
+    for (let round = 1; round < numberOfRounds; round++) {
+        state = substituteBytes(state);
+        state = shiftRows(state);
+        state = mixColumns(state);
+        state = addRoundKey(state, roundKeys[round]);
+        blockPerRound.push(stateMatrixToBytes(state));
+    }
+
+    // Final round (Nr): No MixColumns unless finalMixColumns is set
+    state = substituteBytes(state);
+    state = shiftRows(state);
+    if (finalMixColumns) {
+        state = mixColumns(state);
+    }
+    state = addRoundKey(state, roundKeys[numberOfRounds]);
+    blockPerRound.push(stateMatrixToBytes(state));
+
+    return blockPerRound;
+}
+
+/**
+ * Pick the IV for a mode: none for ECB, otherwise the supplied IV or a random one
+ * 
+ * In CTR mode the IV is the initial counter block. A random one has a random nonce
+ * and a counter of zero, and a nonce on its own can be supplied instead of a full block.
+ * A 128-bit counter leaves no room for a nonce, so the whole random block is the counter.
+ * 
+ * @param {string} mode - Cipher mode (see CIPHER_MODES)
+ * @param {number[]} [iv] - Optional user-supplied IV (or nonce in CTR mode)
+ * @param {number} counterBits - CTR mode counter size in bits
+ * @returns {number[]|null} IV of the mode's IV length, or null if the mode does not use one
+ */
+function resolveInitializationVector(mode, iv, counterBits) {
+    if (!CIPHER_MODES[mode].usesIv) {
+        return null;
+    }
+
+    if (mode === 'CTR') {
+        const counterBytes = counterBits / 8;
+        const nonceBytes = BLOCK_SIZE - counterBytes;
+        const initialCounter = Array(counterBytes).fill(0);
+
+        // Without a nonce a zero counter would give every message the same keystream
+        if (!iv) {
+            return nonceBytes === 0
+                ? generateRandomBytes(BLOCK_SIZE)
+                : [...generateRandomBytes(nonceBytes), ...initialCounter];
+        }
+
+        if (nonceBytes > 0 && iv.length === nonceBytes) {
+            return [...iv, ...initialCounter];
+        }
+    }
+
+    const { ivLength } = CIPHER_MODES[mode];
+
+    if (!iv) {
+        return generateRandomBytes(ivLength);
+    }
+
+    if (iv.length !== ivLength) {
+        throw new Error(`${mode} mode requires a ${ivLength}-byte IV, got ${iv.length} bytes`);
+    }
+
+    return [...iv];
+}
+
 // ====================================================================================
 // TEXT ENCRYPTION
 // ====================================================================================
 
 /**
- * Encrypt plain text using AES-256
+ * Encrypt plain text using AES
+ * 
+ * The data is handed to the chosen mode of operation (see modes.js). Modes that work on
+ * whole blocks (ECB, CBC) pad the plain text first, while the stream modes (CFB, OFB,
+ * CTR, GCM) produce cipher text of the same length. The IV, if the mode uses one, is
+ * placed in front of the cipher text, and GCM appends a 16-byte authentication tag.
  * 
  * @param {number[]} plainBytes - Plain text as byte array
- * @param {number[]} key - 32-byte encryption key
+ * @param {number[]} key - 16, 24 or 32-byte encryption key
  * @param {boolean} trackRounds - Whether to track round-by-round details
+ * @param {Object} options - Optional settings:
+ *   - keySize: Key size in bits (128, 192 or 256), defaults to 256
+ *   - mode: Cipher mode ('ECB', 'CBC', 'CFB', 'OFB', 'CTR' or 'GCM'), defaults to 'ECB'
+ *   - iv: 16-byte IV for CBC, CFB and OFB modes, initial counter block for CTR mode
+ *     (a nonce alone is also accepted in CTR mode) or 12-byte IV for GCM mode, a random
+ *     one is generated if omitted
+ *   - counterBits: CTR mode counter size in bits, defaults to 32
+ *   - segmentBits: CFB mode segment size in bits (1, 8 or 128), defaults to 128
+ *   - aad: GCM mode additional authenticated data as byte array, defaults to none
+ *   - numberOfRounds: Rounds for reduced-round AES (1 to Nr), defaults to Nr
+ *   - finalMixColumns: Whether the last round keeps its MixColumns, defaults to false
  * @returns {Object} Object containing:
- *   - cipherBytes: Encrypted data as byte array
- *   - roundDetails: Details of each round (if trackRounds is true)
+ *   - cipherBytes: Encrypted data as byte array (prefixed with the IV in every mode but
+ *     ECB, followed by the tag in GCM mode)
+ *   - iv: The IV or initial counter block used (null in ECB mode)
+ *   - tag: The GCM authentication tag (null in other modes)
+ *   - roundDetails: Details of each round of the first block (if trackRounds is true)
+ *   - traceBlock: traceBlock(index) returns the round details of any block, traced on first
+ *     use (if trackRounds is true, null otherwise)
+ *   - blockCount: Number of blocks traceBlock can trace (block cipher calls, so one per
+ *     segment or bit in CFB-8 and CFB-1)
  *   - keyExpansion: Details of key expansion
- *   - completeCipherPerRound: Complete cipher text after each round (if trackRounds is true)
+ *   - completeCipherPerRound: Complete block cipher output after each round (if trackRounds
+ *     is true), plus the XORed input blocks under `chained` in CBC mode
+ *   - modeDetails: Per-block intermediate values of the mode (if trackRounds is true, null for ECB)
+ *   - authenticationDetails: GHASH steps behind the tag (if trackRounds is true, GCM only)
  */
-export function encryptText(plainBytes, key, trackRounds = false) {
-    // Pad the data to a multiple of 16 bytes
-    const paddedData = padData(plainBytes);
-
-    // Expand the key
-    const { roundKeys, expansionDetails } = expandKey(key);
-
-    // Array to hold all cipher blocks
-    const cipherBytes = [];
-
-    // Array to hold round details for first block
-    let allRoundDetails = [];
+export function encryptText(plainBytes, key, trackRounds = false, options = {}) {
+    const {
+        keySize = DEFAULT_KEY_SIZE,
+        mode = DEFAULT_CIPHER_MODE,
+        counterBits = DEFAULT_CTR_COUNTER_BITS,
+        segmentBits = DEFAULT_CFB_SEGMENT_BITS,
+        aad = [],
+        numberOfRounds = getAesVariant(keySize).numberOfRounds,
+        finalMixColumns = false
+    } = options;
+
+    if (!CIPHER_MODES[mode]) {
+        throw new Error(`Unsupported cipher mode: ${mode}`);
+    }
 
-    // Array to track complete cipher text after each round (for all blocks)
-    const completeCipherPerRound = trackRounds ? {} : null;
+    const iv = resolveInitializationVector(mode, options.iv, counterBits);
 
-    if (trackRounds) {
-        // Process all blocks round by round to track complete cipher text
-        const numBlocks = paddedData.length / 16;
-        const blockStates = [];
-
-        // Initialize block states
-        for (let i = 0; i < numBlocks; i++) {
-            const block = paddedData.slice(i * 16, (i + 1) * 16);
-            blockStates.push(bytesToStateMatrix(block));
-        }
+    // Expand the key
+    const { roundKeys, expansionDetails } = expandKey(key, keySize, numberOfRounds);
 
-        // Track complete cipher text after round 0 (initial AddRoundKey)
-        for (let i = 0; i < numBlocks; i++) {
-            blockStates[i] = addRoundKey(blockStates[i], roundKeys[0]);
-        }
-        let fullCipher = [];
-        blockStates.forEach(state => fullCipher.push(...stateMatrixToBytes(state)));
-        completeCipherPerRound[0] = fullCipher;
-
-        // Process all main rounds (1 to 13)
-        for (let round = 1; round < NUMBER_OF_ROUNDS; round++) {
-            for (let i = 0; i < numBlocks; i++) {
-                blockStates[i] = substituteBytes(blockStates[i]);
-                blockStates[i] = shiftRows(blockStates[i]);
-                blockStates[i] = mixColumns(blockStates[i]);
-                blockStates[i] = addRoundKey(blockStates[i], roundKeys[round]);
-            }
-            // Collect complete cipher text after this round
-            fullCipher = [];
-            blockStates.forEach(state => fullCipher.push(...stateMatrixToBytes(state)));
-            completeCipherPerRound[round] = fullCipher;
-        }
+    const keyExpansion = {
+        roundKeys: roundKeys.map(rk => formatStateMatrix(rk)),
+        expansionDetails
+    };
 
-        // Final round (14)
-        const finalRound = NUMBER_OF_ROUNDS;
-        for (let i = 0; i < numBlocks; i++) {
-            blockStates[i] = substituteBytes(blockStates[i]);
-            blockStates[i] = shiftRows(blockStates[i]);
-            blockStates[i] = addRoundKey(blockStates[i], roundKeys[finalRound]);
-        }
-        // Collect complete cipher text after final round
-        fullCipher = [];
-        blockStates.forEach(state => fullCipher.push(...stateMatrixToBytes(state)));
-        completeCipherPerRound[finalRound] = fullCipher;
-
-        // Set final cipher bytes
-        cipherBytes.push(...fullCipher);
-    } else {
-        // Normal processing without tracking
-        for (let i = 0; i < paddedData.length; i += 16) {
-            const block = paddedData.slice(i, i + 16);
-            const { encryptedBlock } = encryptBlock(block, roundKeys, false);
-            cipherBytes.push(...encryptedBlock);
-        }
-    }
+    // Pad the data to a multiple of 16 bytes for the block modes only
+    const dataBytes = CIPHER_MODES[mode].usesPadding ? padData(plainBytes) : plainBytes;
 
-    // Get round details for first block only (for state matrix visualization)
-    if (trackRounds) {
-        const firstBlock = paddedData.slice(0, 16);
-        const { roundDetails } = encryptBlock(firstBlock, roundKeys, true);
-        allRoundDetails = roundDetails;
-    }
+    const result = MODES_OF_OPERATION[mode].encrypt(dataBytes, {
+        roundKeys,
+        numberOfRounds,
+        finalMixColumns,
+        iv,
+        trackRounds,
+        counterBits,
+        segmentBits,
+        aad
+    });
 
     return {
-        cipherBytes,
-        roundDetails: allRoundDetails,
-        completeCipherPerRound,
-        keyExpansion: {
-            roundKeys: roundKeys.map(rk => formatStateMatrix(rk)),
-            expansionDetails
-        }
+        cipherBytes: iv ? [...iv, ...result.outputBytes] : result.outputBytes,
+        iv,
+        tag: result.tag ?? null,
+        roundDetails: result.roundDetails,
+        traceBlock: result.traceBlock,
+        blockCount: result.blockCount,
+        completeCipherPerRound: result.completeCipherPerRound,
+        modeDetails: result.modeDetails,
+        authenticationDetails: result.authenticationDetails ?? null,
+        keyExpansion
     };
 }
@@ -0,0 +1,266 @@
+/**
+ * Differential Fault Analysis (Piret–Quisquater)
+ *
+ * This file implements the Piret–Quisquater fault attack on the last round key:
+ * 1. The same plain text is encrypted twice, the second time with one state byte
+ *    corrupted just before the MixColumns of round Nr - 1 (see encryptBlock)
+ * 2. MixColumns spreads the unknown byte difference e over one column as (2e, e, e, 3e)
+ *    in an order that depends on the faulty row, and the last round (SubBytes,
+ *    ShiftRows, AddRoundKey) moves that column onto 4 cipher text bytes
+ * 3. For those 4 bytes, a guess k of the last round key byte is kept only if
+ *    InvSubBytes(C ⊕ k) ⊕ InvSubBytes(C' ⊕ k) is the expected multiple of e, for some
+ *    e and some faulty row. One pair leaves about 2^10 candidates for the 4 key bytes,
+ *    a second pair on the same column almost always leaves one
+ * 4. With all 4 columns solved the last round key is known. For AES-128 that is Nk
+ *    words, so the key schedule runs backwards to the key itself
+ *
+ * The attacker only sees the correct and faulty cipher texts, the key is passed in so the
+ * faults can be simulated and the result checked.
+ */
+
+import { BLOCK_SIZE, INVERSE_S_BOX } from './constants.js';
+import { encryptBlock } from './encryption.js';
+import { galoisMultiply } from './galoisField.js';
+import { expandKey, recoverKeyFromRoundKeys } from './keyExpansion.js';
+import { bytesToStateMatrix, getAesVariant } from './utils.js';
+
+// The step the attack expects the fault before (in round Nr - 1)
+export const DFA_FAULT_STEP = 'MixColumns';
+
+// Fault pairs added by the automatic run before giving up
+export const MAX_FAULT_PAIRS = 16;
+
+// Column r of the MixColumns matrix: the difference a fault in row r turns into
+const MIX_COLUMNS_MATRIX_COLUMNS = [
+    [2, 1, 1, 3],
+    [3, 2, 1, 1],
+    [1, 3, 2, 1],
+    [1, 1, 3, 2]
+];
+
+// ====================================================================================
+// FAULTY ENCRYPTION
+// ====================================================================================
+
+/**
+ * Encrypt a block with and without a fault
+ *
+ * @param {number[]} plainBytes - 16-byte plain text block
+ * @param {number[]} key - 16, 24 or 32-byte key
+ * @param {number} keySize - Key size in bits (128, 192 or 256)
+ * @param {Object} fault - Fault to inject (see encryptBlock)
+ * @returns {Object} Object containing:
+ *   - plaintext: The plain text block
+ *   - correct: Cipher text without the fault
+ *   - faulty: Cipher text with the fault
+ *   - injectedFault: The injected fault as reported by encryptBlock
+ */
+export function injectFaultPair(plainBytes, key, keySize, fault) {
+    const { roundKeys } = expandKey(key, keySize);
+    const { encryptedBlock: faulty, injectedFault } = encryptBlock(plainBytes, roundKeys, false, undefined, false, fault);
+
+    return {
+        plaintext: [...plainBytes],
+        correct: encryptBlock(plainBytes, roundKeys).encryptedBlock,
+        faulty,
+        injectedFault
+    };
+}
+
+// ====================================================================================
+// CANDIDATE KEY BYTES
+// ====================================================================================
+
+/**
+ * Cipher text byte positions a faulty column of round Nr - 1 ends up in
+ * Byte (row, column) moves to column (column - row) mod 4 in the last ShiftRows
+ *
+ * @param {number} column - Column (0-3) of the state before the round Nr - 1 MixColumns
+ * @returns {number[]} The 4 byte indices (0-15), row 0 first
+ */
+export function getFaultDiagonal(column) {
+    return [0, 1, 2, 3].map(row => ((column - row + 4) % 4) * 4 + row);
+}
+
+/**
+ * Find which column a single-byte fault before the round Nr - 1 MixColumns hit
+ *
+ * @param {number[]} correct - Correct cipher text
+ * @param {number[]} faulty - Faulty cipher text
+ * @returns {number} The column (0-3), or -1 if the differing bytes are not exactly one diagonal
+ */
+export function findFaultyColumn(correct, faulty) {
+    const differing = correct.map((byte, index) => byte !== faulty[index]);
+
+    return [0, 1, 2, 3].find(column => {
+        const diagonal = getFaultDiagonal(column);
+        return differing.every((differs, index) => differs === diagonal.includes(index));
+    }) ?? -1;
+}
+
+/**
+ * Find every value of the 4 last round key bytes a fault pair allows
+ *
+ * Candidates are packed as 32-bit numbers, the key byte for row 0 in the top byte.
+ *
+ * @param {number[]} correct - Correct cipher text
+ * @param {number[]} faulty - Faulty cipher text
+ * @param {number} column - The faulty column (see findFaultyColumn)
+ * @returns {number[]} Candidates for the 4 key bytes at getFaultDiagonal(column)
+ */
+function solveFaultPair(correct, faulty, column) {
+    // For each key byte: the guesses that give each InvSubBytes difference
+    const guessesByDifference = getFaultDiagonal(column).map(position => {
+        const guesses = new Map();
+
+        for (let guess = 0; guess < 256; guess++) {
+            const difference = INVERSE_S_BOX[correct[position] ^ guess] ^ INVERSE_S_BOX[faulty[position] ^ guess];
+            guesses.set(difference, [...(guesses.get(difference) ?? []), guess]);
+        }
+
+        return guesses;
+    });
+
+    const candidates = new Set();
+
+    // The faulty row and the fault value are unknown, so try them all
+    for (const coefficients of MIX_COLUMNS_MATRIX_COLUMNS) {
+        for (let faultValue = 1; faultValue < 256; faultValue++) {
+            const guessLists = coefficients.map((coefficient, row) =>
+                guessesByDifference[row].get(galoisMultiply(coefficient, faultValue)) ?? []
+            );
+
+            for (const k0 of guessLists[0]) {
+                for (const k1 of guessLists[1]) {
+                    for (const k2 of guessLists[2]) {
+                        for (const k3 of guessLists[3]) {
+                            candidates.add(((k0 << 24) | (k1 << 16) | (k2 << 8) | k3) >>> 0);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    return [...candidates];
+}
+
+// ====================================================================================
+// ATTACK STATE
+// ====================================================================================
+
+/**
+ * Start a fault analysis with no pairs
+ *
+ * @returns {Object} Object containing:
+ *   - candidates: Per column, the packed key byte candidates (null until a pair hits it)
+ *   - pairs: The analyzed pairs (see addFaultPair)
+ */
+export function createFaultAnalysis() {
+    return {
+        candidates: [null, null, null, null],
+        pairs: []
+    };
+}
+
+/**
+ * Number of candidates left per column (256^4 for a column no pair has hit)
+ *
+ * @param {Object} analysis - Fault analysis state
+ * @returns {number[]} Candidate count per column
+ */
+export function getCandidateCounts(analysis) {
+    return analysis.candidates.map(list => (list ? list.length : 2 ** 32));
+}
+
+/**
+ * Narrow the last round key candidates with one more correct/faulty pair
+ *
+ * The analysis is not modified, a new one is returned.
+ *
+ * @param {Object} analysis - Fault analysis state (see createFaultAnalysis)
+ * @param {Object} pair - { correct, faulty } cipher texts, plus anything else to keep
+ *   with the pair (plain text, injected fault)
+ * @returns {Object} The new analysis, the pair is added to pairs with:
+ *   - column: The faulty column, or -1 if the pair was rejected
+ *   - newCandidates: Candidates this pair allows on its own (0 if rejected)
+ *   - candidateCounts: Candidates left per column after this pair
+ *   - keySpaceBits: log2 of the remaining last round key space
+ */
+export function addFaultPair(analysis, pair) {
+    const column = findFaultyColumn(pair.correct, pair.faulty);
+    const candidates = [...analysis.candidates];
+    let newCandidates = 0;
+
+    if (column !== -1) {
+        const allowed = solveFaultPair(pair.correct, pair.faulty, column);
+        newCandidates = allowed.length;
+
+        if (candidates[column]) {
+            const allowedSet = new Set(allowed);
+            candidates[column] = candidates[column].filter(candidate => allowedSet.has(candidate));
+        } else {
+            candidates[column] = allowed;
+        }
+    }
+
+    const candidateCounts = getCandidateCounts({ candidates });
+
+    return {
+        candidates,
+        pairs: [
+            ...analysis.pairs,
+            {
+                ...pair,
+                column,
+                newCandidates,
+                candidateCounts,
+                keySpaceBits: candidateCounts.reduce((bits, count) => bits + Math.log2(Math.max(count, 1)), 0)
+            }
+        ]
+    };
+}
+
+// ====================================================================================
+// KEY RECOVERY
+// ====================================================================================
+
+/**
+ * Read the last round key and the key out of a finished fault analysis
+ *
+ * @param {Object} analysis - Fault analysis state
+ * @param {number} keySize - Key size in bits (128, 192 or 256)
+ * @returns {Object} Object containing:
+ *   - lastRoundKey: The round Nr key as bytes (null until every column has one candidate)
+ *   - recoveredKey: The key from running the key schedule backwards (AES-128 only, a
+ *     single round key is not enough words for AES-192 and AES-256, which also need the
+ *     round Nr - 1 key, null otherwise)
+ *   - keyScheduleSteps: The backward key schedule steps (see recoverKeyFromRoundKeys)
+ */
+export function recoverFaultAnalysisKey(analysis, keySize) {
+    const { keySizeWords, numberOfRounds } = getAesVariant(keySize);
+
+    if (!analysis.candidates.every(list => list && list.length === 1)) {
+        return { lastRoundKey: null, recoveredKey: null, keyScheduleSteps: [] };
+    }
+
+    const lastRoundKey = Array(BLOCK_SIZE).fill(0);
+
+    analysis.candidates.forEach(([candidate], column) => {
+        getFaultDiagonal(column).forEach((position, row) => {
+            lastRoundKey[position] = (candidate >>> (24 - row * 8)) & 0xff;
+        });
+    });
+
+    if (keySizeWords !== 4) {
+        return { lastRoundKey, recoveredKey: null, keyScheduleSteps: [] };
+    }
+
+    const recovery = recoverKeyFromRoundKeys([bytesToStateMatrix(lastRoundKey)], numberOfRounds, keySize);
+
+    return {
+        lastRoundKey,
+        recoveredKey: recovery.key,
+        keyScheduleSteps: recovery.steps
+    };
+}
@@ -0,0 +1,326 @@
+/**
+ * File Encryption
+ *
+ * This file encrypts whole files with encryptText and decrypts them back to the original
+ * name and bytes. Before encrypting, the file is packed as:
+ *
+ *   "AESF" | name length (2 bytes, big-endian) | UTF-8 file name | file bytes
+ *
+ * so the name travels inside the cipher text and is only readable with the key. The
+ * "AESF" marker also tells a wrong key, mode or setting apart from a real file in the
+ * stream modes, where decryption never fails on its own.
+ *
+ * The encrypted file can be written as raw bytes, hex or Base64. Its layout is the same
+ * as the cipher text in the text panels (IV first, GCM tag last), so the salt of a
+ * passphrase key can be put in front the same way.
+ *
+ * The cipher works on plain arrays, so the app runs these steps in a Web Worker
+ * (fileWorker.js, through runFileTaskInBackground) to keep the page responsive.
+ */
+
+import { BLOCK_SIZE, DEFAULT_KEY_SIZE, GCM_TAG_LENGTH, PBKDF2_SALT_LENGTH } from './constants.js';
+import { decryptText } from './decryption.js';
+import { encryptText } from './encryption.js';
+import { base64ToBytes, bytesToBase64, bytesToHex, bytesToText, hexToBytes, textToBytes } from './utils.js';
+
+// Marks the start of a packed file ("AESF")
+export const FILE_MAGIC = [0x41, 0x45, 0x53, 0x46];
+
+// Largest file accepted, the cipher works on plain arrays so bigger files get slow
+export const MAX_FILE_SIZE = 4 * 1024 * 1024;
+
+// Ways an encrypted file can be written
+export const FILE_OUTPUT_FORMATS = {
+    binary: { name: 'Binary', extension: '.aes' },
+    hex: { name: 'Hex', extension: '.aes.hex' },
+    base64: { name: 'Base64', extension: '.aes.b64' }
+};
+
+// Longest file name the 2-byte length field can hold
+const MAX_FILE_NAME_LENGTH = 0xffff;
+
+// Largest encrypted file accepted: a MAX_FILE_SIZE file with the longest name, packed,
+// plus a salt, the IV, a block of padding and a GCM tag
+export const MAX_ENCRYPTED_FILE_SIZE = MAX_FILE_SIZE + FILE_MAGIC.length + 2 + MAX_FILE_NAME_LENGTH +
+    PBKDF2_SALT_LENGTH + 2 * BLOCK_SIZE + GCM_TAG_LENGTH;
+
+// Largest hex or Base64 file read, hex doubles the size and line breaks add a little more
+const MAX_ENCODED_FILE_SIZE = 3 * MAX_ENCRYPTED_FILE_SIZE;
+
+// Characters allowed in hex and Base64 files, as bytes
+const WHITESPACE_BYTES = new Set(textToBytes(' \t\r\n'));
+const HEX_BYTES = new Set(textToBytes('0123456789abcdefABCDEF'));
+const BASE64_BYTES = new Set(textToBytes('ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/='));
+
+// ====================================================================================
+// PACKING
+// ====================================================================================
+
+/**
+ * Pack a file name and its bytes into one byte array
+ * Throws if the file name is longer than 65535 bytes
+ *
+ * @param {string} fileName - Original file name
+ * @param {number[]|Uint8Array} fileBytes - File contents
+ * @returns {number[]} FILE_MAGIC, name length, name and contents
+ */
+export function packFile(fileName, fileBytes) {
+    const nameBytes = textToBytes(fileName);
+
+    if (nameBytes.length > MAX_FILE_NAME_LENGTH) {
+        throw new Error(`File name is too long (${nameBytes.length} bytes, at most ${MAX_FILE_NAME_LENGTH})`);
+    }
+
+    return [...FILE_MAGIC, nameBytes.length >> 8, nameBytes.length & 0xff, ...nameBytes, ...fileBytes];
+}
+
+/**
+ * Unpack a byte array made by packFile
+ * Throws if it does not start with FILE_MAGIC or is too short for its file name
+ *
+ * @param {number[]} packedBytes - Packed file
+ * @returns {Object} Object containing:
+ *   - fileName: Original file name
+ *   - fileBytes: Original contents
+ */
+export function unpackFile(packedBytes) {
+    const headerLength = FILE_MAGIC.length + 2;
+
+    if (packedBytes.length < headerLength || FILE_MAGIC.some((byte, index) => packedBytes[index] !== byte)) {
+        throw new Error('Not an encrypted file, or the key, mode or settings are not the ones it was encrypted with');
+    }
+
+    const nameLength = (packedBytes[FILE_MAGIC.length] << 8) | packedBytes[FILE_MAGIC.length + 1];
+
+    if (packedBytes.length < headerLength + nameLength) {
+        throw new Error('Encrypted file is cut short, its file name is incomplete');
+    }
+
+    return {
+        fileName: bytesToText(packedBytes.slice(headerLength, headerLength + nameLength)),
+        fileBytes: packedBytes.slice(headerLength + nameLength)
+    };
+}
+
+// ====================================================================================
+// ENCRYPTION AND DECRYPTION
+// ====================================================================================
+
+/**
+ * Encrypt a file, name included
+ * Throws if the file is larger than MAX_FILE_SIZE
+ *
+ * @param {string} fileName - Original file name
+ * @param {number[]|Uint8Array} fileBytes - File contents
+ * @param {number[]} key - 16, 24 or 32-byte key
+ * @param {Object} options - Any encryptText option (keySize, mode, iv, counterBits,
+ *   segmentBits, aad, numberOfRounds, finalMixColumns), keySize defaults to 256
+ * @returns {Object} Object containing:
+ *   - cipherBytes: IV, cipher text and GCM tag, as encryptText writes them
+ *   - iv: The IV or initial counter block used (null in ECB mode)
+ */
+export function encryptFile(fileName, fileBytes, key, options = {}) {
+    if (fileBytes.length > MAX_FILE_SIZE) {
+        throw new Error(`${fileName} is too large (${fileBytes.length} bytes, at most ${MAX_FILE_SIZE})`);
+    }
+
+    const { cipherBytes, iv } = encryptText(packFile(fileName, fileBytes), key, false, {
+        keySize: DEFAULT_KEY_SIZE,
+        ...options
+    });
+
+    return { cipherBytes, iv };
+}
+
+/**
+ * Decrypt a file made by encryptFile back to its name and bytes
+ * Throws if the cipher text is larger than MAX_ENCRYPTED_FILE_SIZE, and like
+ * decryptText (invalid padding, failed GCM tag) or unpackFile (wrong key)
+ *
+ * @param {number[]} cipherBytes - IV, cipher text and GCM tag
+ * @param {number[]} key - 16, 24 or 32-byte key
+ * @param {Object} options - Any decryptText option, keySize defaults to 256
+ * @returns {Object} Object containing:
+ *   - fileName: Original file name
+ *   - fileBytes: Original contents
+ */
+export function decryptFile(cipherBytes, key, options = {}) {
+    if (cipherBytes.length > MAX_ENCRYPTED_FILE_SIZE) {
+        throw new Error(`Encrypted file is too large (${cipherBytes.length} bytes, at most ${MAX_ENCRYPTED_FILE_SIZE})`);
+    }
+
+    const { plainBytes } = decryptText(cipherBytes, key, false, { keySize: DEFAULT_KEY_SIZE, ...options });
+    return unpackFile(plainBytes);
+}
+
+// ====================================================================================
+// FILE FORMATS
+// ====================================================================================
+
+/**
+ * Write encrypted bytes in one of FILE_OUTPUT_FORMATS
+ *
+ * @param {number[]} bytes - Encrypted file
+ * @param {string} format - 'binary', 'hex' or 'base64'
+ * @returns {Uint8Array} Contents of the file to save (hex and Base64 as ASCII text)
+ */
+export function encodeFileOutput(bytes, format) {
+    if (format === 'hex') {
+        return new Uint8Array(textToBytes(bytesToHex(bytes)));
+    }
+    if (format === 'base64') {
+        return new Uint8Array(textToBytes(bytesToBase64(bytes)));
+    }
+    if (format === 'binary') {
+        return new Uint8Array(bytes);
+    }
+
+    throw new Error(`Unsupported file format: ${format}`);
+}
+
+/**
+ * Find out which formats a dropped file could be in, most likely first
+ * Text made only of hex digits (and whitespace) can be hex, text in the Base64 alphabet
+ * with a multiple of 4 characters can be Base64, and anything can be binary. Short text
+ * is often both ("abcd" is 2 bytes of hex or 3 of Base64), so the caller tries each
+ * format until the file decrypts to the AESF marker (see unpackFile)
+ *
+ * @param {number[]|Uint8Array} fileBytes - File contents
+ * @returns {string[]} Possible formats: 'hex' and 'base64' where they apply, then 'binary'
+ */
+export function detectFileFormats(fileBytes) {
+    let isHex = true;
+    let isBase64 = true;
+    let characterCount = 0;
+
+    for (const byte of fileBytes) {
+        if (WHITESPACE_BYTES.has(byte)) {
+            continue;
+        }
+
+        characterCount++;
+        isHex = isHex && HEX_BYTES.has(byte);
+        isBase64 = isBase64 && BASE64_BYTES.has(byte);
+
+        if (!isHex && !isBase64) {
+            return ['binary'];
+        }
+    }
+
+    const formats = [];
+    if (characterCount > 0 && isHex && characterCount % 2 === 0) {
+        formats.push('hex');
+    }
+    if (characterCount > 0 && isBase64 && characterCount % 4 === 0) {
+        formats.push('base64');
+    }
+
+    return [...formats, 'binary'];
+}
+
+/**
+ * Read the encrypted bytes out of a file in any of FILE_OUTPUT_FORMATS
+ * Throws if the file is too large to be an encrypted file, or a hex or Base64 file is
+ * malformed
+ *
+ * @param {number[]|Uint8Array} fileBytes - File contents
+ * @param {string} format - 'binary', 'hex', 'base64' or 'auto' for the most likely
+ *   format from detectFileFormats
+ * @returns {Object} Object containing:
+ *   - format: The format read
+ *   - bytes: The encrypted bytes
+ */
+export function decodeFileInput(fileBytes, format = 'auto') {
+    const resolvedFormat = format === 'auto' ? detectFileFormats(fileBytes)[0] : format;
+    const maxSize = resolvedFormat === 'binary' ? MAX_ENCRYPTED_FILE_SIZE : MAX_ENCODED_FILE_SIZE;
+
+    if (fileBytes.length > maxSize) {
+        throw new Error(`File is too large to be an encrypted file (${fileBytes.length} bytes, at most ${maxSize} as ${resolvedFormat})`);
+    }
+
+    if (resolvedFormat === 'binary') {
+        return { format: resolvedFormat, bytes: Array.from(fileBytes) };
+    }
+
+    const text = bytesToText(Array.from(fileBytes));
+    return {
+        format: resolvedFormat,
+        bytes: resolvedFormat === 'hex' ? hexToBytes(text) : base64ToBytes(text)
+    };
+}
+
+/**
+ * Name to save an encrypted file under
+ *
+ * @param {string} fileName - Original file name
+ * @param {string} format - 'binary', 'hex' or 'base64'
+ * @returns {string} The name with the format's extension added
+ */
+export function getEncryptedFileName(fileName, format) {
+    return `${fileName}${FILE_OUTPUT_FORMATS[format].extension}`;
+}
+
+// ====================================================================================
+// BACKGROUND PROCESSING
+// ====================================================================================
+
+/**
+ * Run one step of encrypting or decrypting a file
+ * Byte arrays go in and come out as Uint8Array, so they copy quickly to and from a worker
+ *
+ * @param {Object} task - One of:
+ *   - { action: 'encrypt', fileName, fileBytes, key, options }: encryptFile, returns { cipherBytes }
+ *   - { action: 'decode', fileBytes, format }: decodeFileInput, returns { format, bytes }
+ *   - { action: 'decrypt', cipherBytes, key, options }: decryptFile, returns { fileName, fileBytes }
+ * @returns {Object} Result of the step
+ */
+export function runFileTask(task) {
+    if (task.action === 'encrypt') {
+        const { cipherBytes } = encryptFile(task.fileName, task.fileBytes, task.key, task.options);
+        return { cipherBytes: new Uint8Array(cipherBytes) };
+    }
+    if (task.action === 'decode') {
+        const { format, bytes } = decodeFileInput(task.fileBytes, task.format);
+        return { format, bytes: new Uint8Array(bytes) };
+    }
+    if (task.action === 'decrypt') {
+        const { fileName, fileBytes } = decryptFile(Array.from(task.cipherBytes), task.key, task.options);
+        return { fileName, fileBytes: new Uint8Array(fileBytes) };
+    }
+
+    throw new Error(`Unsupported file task: ${task.action}`);
+}
+
+/**
+ * Run a file step in a Web Worker (fileWorker.js), so the page keeps responding while a
+ * file of up to MAX_FILE_SIZE is processed
+ * Where workers are not available (Node) the step runs on the calling thread instead
+ *
+ * @param {Object} task - See runFileTask
+ * @returns {Promise<Object>} Result of the step, rejects with the step's error
+ */
+export function runFileTaskInBackground(task) {
+    if (typeof Worker === 'undefined') {
+        return Promise.resolve(task).then(runFileTask);
+    }
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./fileWorker.js', import.meta.url), { type: 'module' });
+
+        worker.onmessage = ({ data }) => {
+            worker.terminate();
+
+            if (data.error) {
+                reject(new Error(data.error));
+            } else {
+                resolve(data.result);
+            }
+        };
+        worker.onerror = (event) => {
+            worker.terminate();
+            reject(new Error(event.message || 'The file worker stopped unexpectedly'));
+        };
+
+        worker.postMessage(task);
+    });
+}
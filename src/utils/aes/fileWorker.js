@@ -0,0 +1,17 @@
+/**
+ * File Encryption Worker
+ *
+ * Runs the steps of fileEncryption.js (runFileTask) off the main thread. Each message
+ * is one task, answered with { result } or { error } (the error message), see
+ * runFileTaskInBackground.
+ */
+
+import { runFileTask } from './fileEncryption.js';
+
+self.onmessage = (event) => {
+    try {
+        self.postMessage({ result: runFileTask(event.data) });
+    } catch (err) {
+        self.postMessage({ error: err.message });
+    }
+};
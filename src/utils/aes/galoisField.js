@@ -4,6 +4,9 @@
  * This file implements Galois Field GF(2^8) operations used in the MixColumns transformation.
  * In GF(2^8), we work with polynomials with coefficients in {0,1} modulo the irreducible
  * polynomial m(x) = x^8 + x^4 + x^3 + x + 1 (0x11b in hex).
+ * 
+ * It also implements GF(2^128) multiplication used by GHASH in GCM mode, modulo the
+ * polynomial x^128 + x^7 + x^2 + x + 1.
  */
 
 // ====================================================================================
@@ -140,3 +143,122 @@ export function multiplyByFourteen(byte) {
     const times8 = multiplyByTwo(times4);
     return times8 ^ times4 ^ times2;
 }
+
+/**
+ * Multiply a byte by a small constant in GF(2^8), recording every step
+ * The byte is doubled with xtime (multiplyByTwo) once per bit of the constant, and the
+ * doublings selected by the constant's bits are XORed together
+ * For example 0x0b * b = (b * 8) XOR (b * 2) XOR b
+ * 
+ * @param {number} coefficient - Constant multiplier (1, 2, 3, 9, 11, 13 or 14 in AES)
+ * @param {number} byte - The byte to multiply
+ * @returns {Object} Object containing:
+ *   - coefficient: The constant multiplier
+ *   - input: The byte that was multiplied
+ *   - xtimeSteps: One entry per doubling with power (byte * 2^power), input, shifted
+ *     (input << 1, truncated to 8 bits), reduced (whether the high bit was set, so
+ *     0x1b was XORed in) and output
+ *   - terms: Powers of two whose multiples are XORed together, highest first
+ *   - product: Result of coefficient * byte in GF(2^8)
+ */
+export function traceGaloisMultiply(coefficient, byte) {
+    const multiples = [byte];
+    const xtimeSteps = [];
+
+    // Double the byte once for every bit above the lowest in the coefficient
+    for (let power = 1; (coefficient >> power) > 0; power++) {
+        const input = multiples[power - 1];
+        const output = multiplyByTwo(input);
+
+        xtimeSteps.push({
+            power,
+            input,
+            shifted: (input << 1) & 0xff,
+            reduced: (input & 0x80) !== 0,
+            output
+        });
+        multiples.push(output);
+    }
+
+    // XOR the multiples selected by the coefficient's bits
+    const terms = [];
+    let product = 0;
+    for (let power = multiples.length - 1; power >= 0; power--) {
+        if ((coefficient >> power) & 1) {
+            terms.push(power);
+            product ^= multiples[power];
+        }
+    }
+
+    return {
+        coefficient,
+        input: byte,
+        xtimeSteps,
+        terms,
+        product
+    };
+}
+
+// ====================================================================================
+// GF(2^128) MULTIPLICATION (GCM)
+// ====================================================================================
+// GCM represents a 128-bit block as a polynomial with the bits in "reflected" order:
+// the most significant bit of the first byte is the coefficient of x^0, and the least
+// significant bit of the last byte is the coefficient of x^127.
+// Multiplying by x is therefore a RIGHT shift, and the reduction constant
+// R = 11100001 || 0^120 (0xe1 followed by 15 zero bytes) stands for x^7 + x^2 + x + 1.
+
+/**
+ * Multiply a 16-byte block by x in GF(2^128)
+ * This is the GCM counterpart of multiplyByTwo: shift by one bit, and if a bit
+ * fell off the end (x^127 overflowed to x^128), XOR with the reduction constant
+ * 
+ * @param {number[]} block - 16-byte block to multiply
+ * @returns {number[]} Result of block * x in GF(2^128)
+ */
+export function multiplyByX128(block) {
+    // If the lowest bit of the last byte is set, shifting would overflow
+    const overflow = block[15] & 1;
+
+    // Shift the whole 128-bit block right by 1, carrying bits between bytes
+    const result = [];
+    for (let i = 0; i < 16; i++) {
+        const carryIn = i > 0 ? (block[i - 1] & 1) << 7 : 0;
+        result.push((block[i] >> 1) | carryIn);
+    }
+
+    // Reduce modulo x^128 + x^7 + x^2 + x + 1
+    if (overflow) {
+        result[0] ^= 0xe1;
+    }
+
+    return result;
+}
+
+/**
+ * Multiply two 16-byte blocks in GF(2^128)
+ * Uses the same shift-and-add algorithm as galoisMultiply, over 128 bits instead of 8
+ * 
+ * @param {number[]} x - First 16-byte block
+ * @param {number[]} y - Second 16-byte block
+ * @returns {number[]} Result of x * y in GF(2^128)
+ */
+export function galoisMultiply128(x, y) {
+    let product = Array(16).fill(0);
+    let tempY = [...y];
+
+    // Process the bits of x from the first byte's high bit (x^0) to the last byte's low bit (x^127)
+    for (let i = 0; i < 128; i++) {
+        const bitSet = (x[i >> 3] >> (7 - (i & 7))) & 1;
+
+        // If this bit of x is set, XOR the current value of y into the product
+        if (bitSet) {
+            product = product.map((byte, index) => byte ^ tempY[index]);
+        }
+
+        // Multiply y by x for the next bit
+        tempY = multiplyByX128(tempY);
+    }
+
+    return product;
+}
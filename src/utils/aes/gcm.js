@@ -0,0 +1,280 @@
+/**
+ * AES-GCM (Galois/Counter Mode)
+ * 
+ * This file implements authenticated encryption with GCM (NIST SP 800-38D).
+ * The data is encrypted in CTR mode, and a 128-bit authentication tag is computed
+ * over the additional authenticated data (AAD) and the cipher text with GHASH,
+ * a polynomial hash that multiplies in GF(2^128).
+ * 
+ * Decryption checks the tag before any plain text is produced, so a tampered
+ * cipher text, AAD or tag is rejected instead of decrypting to garbage.
+ */
+
+import { BLOCK_SIZE, GCM_TAG_LENGTHS } from './constants.js';
+import { galoisMultiply128 } from './galoisField.js';
+import { encryptBlock } from './encryption.js';
+import { counterModeTransform } from './modes.js';
+import { xorBytes, constantTimeEqual } from './utils.js';
+
+// ====================================================================================
+// GCM HELPER FUNCTIONS
+// ====================================================================================
+
+/**
+ * Zero-pad data to a multiple of the block size
+ * Unlike PKCS#7, nothing is added if the data is already a whole number of blocks
+ * 
+ * @param {number[]} bytes - Data to pad
+ * @returns {number[]} Zero-padded data
+ */
+function zeroPad(bytes) {
+    const remainder = bytes.length % BLOCK_SIZE;
+    return remainder === 0 ? [...bytes] : [...bytes, ...Array(BLOCK_SIZE - remainder).fill(0)];
+}
+
+/**
+ * Encode a length in bits as a 64-bit big-endian number
+ * 
+ * @param {number} byteLength - Length in bytes
+ * @returns {number[]} 8-byte big-endian bit length
+ */
+function encodeBitLength(byteLength) {
+    const bytes = Array(8).fill(0);
+    let bits = byteLength * 8;
+
+    for (let i = 7; i >= 0; i--) {
+        bytes[i] = bits % 256;
+        bits = Math.floor(bits / 256);
+    }
+
+    return bytes;
+}
+
+/**
+ * Increment the last 32 bits of a counter block (inc32), wrapping modulo 2^32
+ * 
+ * @param {number[]} counterBlock - 16-byte counter block
+ * @returns {number[]} Next counter block
+ */
+function incrementCounter32(counterBlock) {
+    const nextBlock = [...counterBlock];
+
+    for (let i = BLOCK_SIZE - 1; i >= BLOCK_SIZE - 4; i--) {
+        nextBlock[i] = (nextBlock[i] + 1) & 0xff;
+        if (nextBlock[i] !== 0) {
+            break;
+        }
+    }
+
+    return nextBlock;
+}
+
+// ====================================================================================
+// GHASH
+// ====================================================================================
+
+/**
+ * GHASH: a polynomial hash over GF(2^128)
+ * Each segment is zero-padded to whole blocks, then for every block X:
+ *   Y = (Y XOR X) * H
+ * starting from Y = 0
+ * 
+ * @param {number[]} hashSubkey - 16-byte hash subkey H = E(K, 0^128)
+ * @param {Object[]} segments - Data to hash, as { label, bytes } objects
+ * @returns {Object} Object containing:
+ *   - hash: The final 16-byte value of Y
+ *   - steps: Each block's label, value, Y XOR X and the product with H
+ */
+export function ghash(hashSubkey, segments) {
+    let y = Array(BLOCK_SIZE).fill(0);
+    const steps = [];
+
+    segments.forEach(({ label, bytes }) => {
+        const paddedBytes = zeroPad(bytes);
+
+        for (let i = 0; i < paddedBytes.length; i += BLOCK_SIZE) {
+            const block = paddedBytes.slice(i, i + BLOCK_SIZE);
+            const afterXor = xorBytes(y, block);
+            y = galoisMultiply128(afterXor, hashSubkey);
+
+            steps.push({
+                label: `${label} ${i / BLOCK_SIZE}`,
+                block,
+                afterXor,
+                product: y
+            });
+        }
+    });
+
+    return {
+        hash: y,
+        steps
+    };
+}
+
+/**
+ * Derive the pre-counter block J0 from the IV
+ * A 96-bit IV is used directly as IV || 0^31 || 1, any other length is hashed with GHASH
+ * 
+ * @param {number[]} hashSubkey - 16-byte hash subkey H
+ * @param {number[]} iv - IV of any non-zero length
+ * @returns {number[]} 16-byte pre-counter block J0
+ */
+function derivePreCounterBlock(hashSubkey, iv) {
+    if (iv.length === 12) {
+        return [...iv, 0, 0, 0, 1];
+    }
+
+    return ghash(hashSubkey, [
+        { label: 'IV', bytes: iv },
+        { label: 'IV Length', bytes: [...Array(8).fill(0), ...encodeBitLength(iv.length)] }
+    ]).hash;
+}
+
+/**
+ * Compute the authentication tag: T = E(K, J0) XOR GHASH(H, A || C || len(A) || len(C))
+ * 
+ * @param {number[][]} roundKeys - Array of round keys from key expansion
+ * @param {number} numberOfRounds - Number of rounds
+ * @param {boolean} finalMixColumns - Whether the last round keeps its MixColumns
+ * @param {number[]} hashSubkey - 16-byte hash subkey H
+ * @param {number[]} preCounterBlock - 16-byte pre-counter block J0
+ * @param {number[]} aad - Additional authenticated data
+ * @param {number[]} cipherBytes - Cipher text
+ * @returns {Object} Object containing the tag and the intermediate values behind it
+ */
+function computeTag(roundKeys, numberOfRounds, finalMixColumns, hashSubkey, preCounterBlock, aad, cipherBytes) {
+    const { hash, steps } = ghash(hashSubkey, [
+        { label: 'AAD', bytes: aad },
+        { label: 'Cipher', bytes: cipherBytes },
+        { label: 'Lengths', bytes: [...encodeBitLength(aad.length), ...encodeBitLength(cipherBytes.length)] }
+    ]);
+
+    const { encryptedBlock: encryptedPreCounter } = encryptBlock(preCounterBlock, roundKeys, false, numberOfRounds, finalMixColumns);
+
+    return {
+        tag: xorBytes(encryptedPreCounter, hash),
+        ghashSteps: steps,
+        ghashResult: hash,
+        encryptedPreCounter
+    };
+}
+
+// ====================================================================================
+// GCM ENCRYPTION AND DECRYPTION
+// ====================================================================================
+
+/**
+ * Encrypt and authenticate data with AES-GCM
+ * 
+ * @param {number[]} plainBytes - Plain text as byte array
+ * @param {number[][]} roundKeys - Array of round keys from key expansion
+ * @param {number[]} iv - IV (12 bytes recommended, any non-zero length accepted)
+ * @param {number[]} aad - Additional authenticated data (authenticated but not encrypted)
+ * @param {Object} options - Optional settings:
+ *   - numberOfRounds: Number of rounds, defaults to one less than the number of round keys
+ *   - finalMixColumns: Whether the last round keeps its MixColumns (reduced-round labs)
+ *   - trackRounds: Whether to track round-by-round details
+ * @returns {Object} Object containing:
+ *   - cipherBytes: Encrypted data (same length as the plain text)
+ *   - tag: 16-byte authentication tag
+ *   - roundDetails, traceBlock, blockCount, completeCipherPerRound, modeDetails: CTR details
+ *     (if trackRounds is true)
+ *   - authenticationDetails: H, J0 and the GHASH steps behind the tag (if trackRounds is true)
+ */
+export function gcmEncrypt(plainBytes, roundKeys, iv, aad = [], options = {}) {
+    const { numberOfRounds = roundKeys.length - 1, finalMixColumns = false, trackRounds = false } = options;
+
+    if (iv.length === 0) {
+        throw new Error('GCM requires a non-empty IV');
+    }
+
+    // Hash subkey H is the encryption of the all-zero block
+    const { encryptedBlock: hashSubkey } = encryptBlock(Array(BLOCK_SIZE).fill(0), roundKeys, false, numberOfRounds, finalMixColumns);
+    const preCounterBlock = derivePreCounterBlock(hashSubkey, iv);
+
+    // Encrypt in CTR mode starting from inc32(J0), J0 itself is kept for the tag
+    const ctr = counterModeTransform(plainBytes, roundKeys, incrementCounter32(preCounterBlock), {
+        numberOfRounds,
+        finalMixColumns,
+        counterBits: 32,
+        wrapCounter: true,
+        trackRounds
+    });
+
+    const authentication = computeTag(roundKeys, numberOfRounds, finalMixColumns, hashSubkey, preCounterBlock, aad, ctr.outputBytes);
+
+    return {
+        cipherBytes: ctr.outputBytes,
+        tag: authentication.tag,
+        roundDetails: ctr.roundDetails,
+        traceBlock: ctr.traceBlock,
+        blockCount: ctr.blockCount,
+        completeCipherPerRound: ctr.completeCipherPerRound,
+        modeDetails: ctr.modeDetails,
+        authenticationDetails: trackRounds ? { hashSubkey, preCounterBlock, ...authentication } : null
+    };
+}
+
+/**
+ * Verify and decrypt data with AES-GCM
+ * The tag is checked (in constant time) before the cipher text is decrypted,
+ * so no plain text is ever released for a forged message. A truncated tag is
+ * compared with the same number of leading bytes of the computed tag.
+ * 
+ * @param {number[]} cipherBytes - Cipher text as byte array
+ * @param {number[]} tag - Authentication tag, 16 bytes or truncated (see GCM_TAG_LENGTHS)
+ * @param {number[][]} roundKeys - Array of round keys from key expansion
+ * @param {number[]} iv - IV used for encryption
+ * @param {number[]} aad - Additional authenticated data used for encryption
+ * @param {Object} options - Optional settings:
+ *   - numberOfRounds: Number of rounds, defaults to one less than the number of round keys
+ *   - finalMixColumns: Whether the last round keeps its MixColumns (reduced-round labs)
+ *   - trackRounds: Whether to track round-by-round details
+ * @returns {Object} Object containing:
+ *   - plainBytes: Decrypted data
+ *   - tag: The full 16-byte authentication tag the given one was checked against
+ *   - roundDetails, traceBlock, blockCount, completeCipherPerRound, modeDetails: CTR details
+ *     (if trackRounds is true)
+ *   - authenticationDetails: H, J0 and the GHASH steps behind the tag (if trackRounds is true)
+ */
+export function gcmDecrypt(cipherBytes, tag, roundKeys, iv, aad = [], options = {}) {
+    const { numberOfRounds = roundKeys.length - 1, finalMixColumns = false, trackRounds = false } = options;
+
+    if (iv.length === 0) {
+        throw new Error('GCM requires a non-empty IV');
+    }
+
+    if (!GCM_TAG_LENGTHS.includes(tag.length)) {
+        throw new Error(`GCM tags must be ${GCM_TAG_LENGTHS.join(', ')} bytes long, got ${tag.length} bytes`);
+    }
+
+    const { encryptedBlock: hashSubkey } = encryptBlock(Array(BLOCK_SIZE).fill(0), roundKeys, false, numberOfRounds, finalMixColumns);
+    const preCounterBlock = derivePreCounterBlock(hashSubkey, iv);
+
+    // Check the tag before decrypting anything
+    const authentication = computeTag(roundKeys, numberOfRounds, finalMixColumns, hashSubkey, preCounterBlock, aad, cipherBytes);
+
+    if (!constantTimeEqual(authentication.tag.slice(0, tag.length), tag)) {
+        throw new Error('Authentication failed: the tag does not match the cipher text and AAD');
+    }
+
+    const ctr = counterModeTransform(cipherBytes, roundKeys, incrementCounter32(preCounterBlock), {
+        numberOfRounds,
+        finalMixColumns,
+        counterBits: 32,
+        wrapCounter: true,
+        trackRounds
+    });
+
+    return {
+        plainBytes: ctr.outputBytes,
+        tag: authentication.tag,
+        roundDetails: ctr.roundDetails,
+        traceBlock: ctr.traceBlock,
+        blockCount: ctr.blockCount,
+        completeCipherPerRound: ctr.completeCipherPerRound,
+        modeDetails: ctr.modeDetails,
+        authenticationDetails: trackRounds ? { hashSubkey, preCounterBlock, ...authentication } : null
+    };
+}
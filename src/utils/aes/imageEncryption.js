@@ -0,0 +1,132 @@
+/**
+ * Image Encryption (ECB Penguin)
+ *
+ * This file encrypts the raw pixels of an image so the cipher text can be shown as an
+ * image of the same size. The pixels are taken as 24-bit RGB, 3 bytes per pixel like an
+ * uncompressed BMP, so a 16-byte block covers 5⅓ pixels.
+ *
+ * In ECB mode every block is encrypted on its own with encryptBlock, so identical plain
+ * text blocks (flat areas of the image) give identical cipher text blocks and the outline
+ * of the picture survives encryption. The other modes make every block look random.
+ */
+
+import { BLOCK_SIZE, CIPHER_MODES, DEFAULT_KEY_SIZE } from './constants.js';
+import { encryptText } from './encryption.js';
+import { bytesToHex } from './utils.js';
+
+// Images are scaled down to fit this many pixels across and down before encrypting
+export const MAX_IMAGE_DIMENSION = 256;
+
+// ====================================================================================
+// PIXEL CONVERSION
+// ====================================================================================
+
+/**
+ * Take the RGB bytes of RGBA pixel data (as read from a canvas)
+ * Transparent pixels are blended onto white first, so the alpha channel is not lost
+ *
+ * @param {Uint8ClampedArray|number[]} rgbaBytes - 4 bytes per pixel
+ * @returns {number[]} 3 bytes per pixel
+ */
+export function rgbaToRgb(rgbaBytes) {
+    const rgbBytes = [];
+
+    for (let i = 0; i < rgbaBytes.length; i += 4) {
+        const alpha = rgbaBytes[i + 3] / 255;
+
+        for (let channel = 0; channel < 3; channel++) {
+            rgbBytes.push(Math.round(rgbaBytes[i + channel] * alpha + 255 * (1 - alpha)));
+        }
+    }
+
+    return rgbBytes;
+}
+
+/**
+ * Turn RGB bytes back into opaque RGBA pixel data (to draw on a canvas)
+ *
+ * @param {number[]} rgbBytes - 3 bytes per pixel
+ * @returns {Uint8ClampedArray} 4 bytes per pixel, alpha always ff
+ */
+export function rgbToRgba(rgbBytes) {
+    const pixelCount = Math.floor(rgbBytes.length / 3);
+    const rgbaBytes = new Uint8ClampedArray(pixelCount * 4);
+
+    for (let pixel = 0; pixel < pixelCount; pixel++) {
+        rgbaBytes[pixel * 4] = rgbBytes[pixel * 3];
+        rgbaBytes[pixel * 4 + 1] = rgbBytes[pixel * 3 + 1];
+        rgbaBytes[pixel * 4 + 2] = rgbBytes[pixel * 3 + 2];
+        rgbaBytes[pixel * 4 + 3] = 255;
+    }
+
+    return rgbaBytes;
+}
+
+// ====================================================================================
+// ENCRYPTION AND REPEATED BLOCKS
+// ====================================================================================
+
+/**
+ * Find the 16-byte blocks that occur more than once
+ * A partial block at the end is not counted
+ *
+ * @param {number[]} bytes - Data to split into blocks
+ * @returns {Object} Object containing:
+ *   - blockCount: Number of whole blocks
+ *   - uniqueBlocks: Number of different block values
+ *   - duplicateBlocks: Blocks equal to an earlier block (blockCount - uniqueBlocks)
+ *   - repeated: Per block, whether its value occurs more than once
+ */
+export function countDuplicateBlocks(bytes) {
+    const blockCount = Math.floor(bytes.length / BLOCK_SIZE);
+    const blockValues = Array.from({ length: blockCount }, (_, index) =>
+        bytesToHex(bytes.slice(index * BLOCK_SIZE, (index + 1) * BLOCK_SIZE))
+    );
+
+    const occurrences = new Map();
+    blockValues.forEach(value => occurrences.set(value, (occurrences.get(value) ?? 0) + 1));
+
+    return {
+        blockCount,
+        uniqueBlocks: occurrences.size,
+        duplicateBlocks: blockCount - occurrences.size,
+        repeated: blockValues.map(value => occurrences.get(value) > 1)
+    };
+}
+
+/**
+ * Encrypt raw pixel bytes and keep the cipher text the same length as the pixels
+ *
+ * encryptText does the work (so ECB runs every block through encryptBlock). The IV in
+ * front of the cipher text, the padding block at the end and the GCM tag are left out,
+ * so the result can be drawn with the same width and height as the original.
+ *
+ * @param {number[]} pixelBytes - RGB bytes
+ * @param {number[]} key - 16, 24 or 32-byte key
+ * @param {Object} options - Optional settings:
+ *   - keySize: Key size in bits (128, 192 or 256), defaults to 256
+ *   - mode: Any mode in CIPHER_MODES, defaults to 'ECB'
+ * @returns {Object} Object containing:
+ *   - cipherBytes: One cipher text byte per pixel byte
+ *   - iv: The IV used (null in ECB mode)
+ *   - plainBlocks: Repeated blocks in the pixels (see countDuplicateBlocks)
+ *   - cipherBlocks: Repeated blocks in the cipher text (see countDuplicateBlocks)
+ */
+export function encryptPixels(pixelBytes, key, options = {}) {
+    const { keySize = DEFAULT_KEY_SIZE, mode = 'ECB' } = options;
+
+    if (!CIPHER_MODES[mode]) {
+        throw new Error(`Unsupported cipher mode: ${mode}`);
+    }
+
+    const result = encryptText(pixelBytes, key, false, { keySize, mode });
+    const ivLength = result.iv ? result.iv.length : 0;
+    const cipherBytes = result.cipherBytes.slice(ivLength, ivLength + pixelBytes.length);
+
+    return {
+        cipherBytes,
+        iv: result.iv,
+        plainBlocks: countDuplicateBlocks(pixelBytes),
+        cipherBlocks: countDuplicateBlocks(cipherBytes)
+    };
+}
@@ -1,12 +1,13 @@
 /**
  * AES Key Expansion Algorithm
  * 
- * This file implements the key expansion algorithm for AES-256.
- * It takes a 256-bit (32 byte) key and expands it into 15 round keys
- * (one for the initial round and 14 for each of the 14 rounds).
+ * This file implements the key expansion algorithm for AES-128, AES-192 and AES-256.
+ * It takes a 128, 192 or 256-bit key and expands it into Nr + 1 round keys
+ * (one for the initial round and one for each of the 10, 12 or 14 rounds).
  */
 
-import { S_BOX, ROUND_CONSTANTS, KEY_SIZE_WORDS, NUMBER_OF_ROUNDS } from './constants.js';
+import { S_BOX, ROUND_CONSTANTS, DEFAULT_KEY_SIZE } from './constants.js';
+import { getAesVariant, validateNumberOfRounds } from './utils.js';
 
 // ====================================================================================
 // KEY EXPANSION HELPER FUNCTIONS
@@ -49,22 +50,37 @@ function xorWords(word1, word2) {
 // ====================================================================================
 
 /**
- * Expand a 256-bit key into round keys for all rounds
+ * Expand a key into round keys for all rounds
  * 
- * AES-256 uses:
- * - 8 words (32 bytes) for the initial key
- * - 4 words per round key
- * - 15 round keys total (initial + 14 rounds)
- * - Total: 60 words (240 bytes)
+ * Each variant uses Nk words for the initial key and 4 words per round key:
+ * - AES-128: Nk = 4, 11 round keys (initial + 10 rounds), 44 words
+ * - AES-192: Nk = 6, 13 round keys (initial + 12 rounds), 52 words
+ * - AES-256: Nk = 8, 15 round keys (initial + 14 rounds), 60 words
  * 
- * @param {number[]} key - 32-byte key array
+ * Reduced-round AES stops after numberOfRounds + 1 round keys. They are the first
+ * round keys of the full schedule, which is what the reduced-round attacks assume.
+ * 
+ * @param {number[]} key - 16, 24 or 32-byte key array
+ * @param {number} keySize - Key size in bits (128, 192 or 256)
+ * @param {number} [numberOfRounds] - Number of rounds (1 to Nr), defaults to Nr
  * @returns {Object} Object containing:
- *   - roundKeys: Array of 15 round key matrices (4x4)
- *   - expansionDetails: Details of each step for visualization
+ *   - roundKeys: Array of Nr + 1 round key matrices (4x4)
+ *   - expansionDetails: One entry per word w[Nk]..w[4 * (Nr + 1) - 1] for visualization:
+ *     wordIndex, operation, previousWord (w[i-1]), beforeXor (w[i-1] after RotWord/SubWord/Rcon),
+ *     xorWordIndex and xorWord (w[i-Nk]), result (w[i]), plus beforeRotate, afterRotate,
+ *     afterSubstitute and rconValue for the RotWord steps, or before and afterSubstitute
+ *     for the AES-256 SubWord-only steps
  */
-export function expandKey(key) {
-    // Total number of words needed: 4 words per round key * 15 round keys
-    const totalWords = 4 * (NUMBER_OF_ROUNDS + 1); // 60 words
+export function expandKey(key, keySize = DEFAULT_KEY_SIZE, numberOfRounds = getAesVariant(keySize).numberOfRounds) {
+    const { keySizeWords, keySizeBytes } = getAesVariant(keySize);
+    validateNumberOfRounds(keySize, numberOfRounds);
+
+    if (key.length !== keySizeBytes) {
+        throw new Error(`AES-${keySize} requires a ${keySizeBytes}-byte key, got ${key.length} bytes`);
+    }
+
+    // Total number of words needed: 4 words per round key * (Nr + 1) round keys
+    const totalWords = 4 * (numberOfRounds + 1);
 
     // Array to hold all words
     const words = [];
@@ -72,8 +88,8 @@ export function expandKey(key) {
     // Array to hold expansion details for visualization
     const expansionDetails = [];
 
-    // First 8 words come directly from the key
-    for (let i = 0; i < KEY_SIZE_WORDS; i++) {
+    // First Nk words come directly from the key
+    for (let i = 0; i < keySizeWords; i++) {
         words[i] = [
             key[4 * i],
             key[4 * i + 1],
@@ -83,12 +99,12 @@ export function expandKey(key) {
     }
 
     // Generate remaining words
-    for (let i = KEY_SIZE_WORDS; i < totalWords; i++) {
+    for (let i = keySizeWords; i < totalWords; i++) {
         let temp = [...words[i - 1]];
-        const stepDetails = { wordIndex: i };
+        const stepDetails = { wordIndex: i, previousWord: [...temp] };
 
-        // Every 8th word (for AES-256)
-        if (i % KEY_SIZE_WORDS === 0) {
+        // Every Nk-th word
+        if (i % keySizeWords === 0) {
             // Apply RotWord, SubWord, and XOR with Rcon
             const beforeRotate = [...temp];
             temp = rotateWord(temp);
@@ -97,7 +113,7 @@ export function expandKey(key) {
             temp = substituteWord(temp);
             const afterSubstitute = [...temp];
 
-            const rconValue = ROUND_CONSTANTS[i / KEY_SIZE_WORDS];
+            const rconValue = ROUND_CONSTANTS[i / keySizeWords];
             temp[0] ^= rconValue;
 
             stepDetails.operation = 'RotWord → SubWord → Rcon';
@@ -106,19 +122,23 @@ export function expandKey(key) {
             stepDetails.afterSubstitute = afterSubstitute;
             stepDetails.rconValue = rconValue;
         }
-        // Every 4th word after the 4th word (but not every 8th)
-        else if (i % KEY_SIZE_WORDS === 4) {
+        // Every 4th word after the 4th word (but not every 8th), only when Nk > 6
+        else if (keySizeWords > 6 && i % keySizeWords === 4) {
             // Apply SubWord only (specific to AES-256)
             stepDetails.operation = 'SubWord only';
             stepDetails.before = [...temp];
             temp = substituteWord(temp);
+            stepDetails.afterSubstitute = [...temp];
         }
         else {
             stepDetails.operation = 'XOR only';
         }
 
-        // XOR with word from 8 positions back
-        words[i] = xorWords(temp, words[i - KEY_SIZE_WORDS]);
+        // XOR with word from Nk positions back
+        stepDetails.beforeXor = [...temp];
+        stepDetails.xorWordIndex = i - keySizeWords;
+        stepDetails.xorWord = [...words[i - keySizeWords]];
+        words[i] = xorWords(temp, words[i - keySizeWords]);
         stepDetails.result = [...words[i]];
 
         expansionDetails.push(stepDetails);
@@ -127,7 +147,7 @@ export function expandKey(key) {
     // Convert words into round key matrices (4x4)
     const roundKeys = [];
 
-    for (let round = 0; round <= NUMBER_OF_ROUNDS; round++) {
+    for (let round = 0; round <= numberOfRounds; round++) {
         const roundKey = Array(4).fill(null).map(() => Array(4).fill(0));
 
         // Each round key consists of 4 words
@@ -149,6 +169,138 @@ export function expandKey(key) {
     };
 }
 
+// ====================================================================================
+// KEY SCHEDULE INVERSION
+// ====================================================================================
+
+/**
+ * Split a round key matrix into its four words (one per column)
+ * 
+ * @param {number[][]} roundKey - 4x4 round key matrix
+ * @returns {number[][]} Four 4-byte words
+ */
+export function roundKeyToWords(roundKey) {
+    return [0, 1, 2, 3].map(col => [0, 1, 2, 3].map(row => roundKey[row][col]));
+}
+
+/**
+ * Run the key expansion backwards from Nk consecutive words to the original key
+ * 
+ * Every word satisfies w[i] = temp(w[i-1]) XOR w[i-Nk], where temp is RotWord/SubWord/Rcon
+ * for every Nk-th word, SubWord for the AES-256 i mod 8 = 4 words, and nothing otherwise.
+ * So w[i-Nk] = w[i] XOR temp(w[i-1]), and Nk known words give the word before them.
+ * Repeating that down to w[0] recovers the key (one round key is enough for AES-128).
+ * 
+ * @param {number[][]} knownWords - Nk (or more) consecutive words, w[firstWordIndex] first
+ * @param {number} firstWordIndex - Index of the first known word
+ * @param {number} keySize - Key size in bits (128, 192 or 256)
+ * @returns {Object} Object containing:
+ *   - key: The recovered 16, 24 or 32-byte key
+ *   - words: w[0] up to the last known word
+ *   - steps: One entry per recovered word, last recovered first, with wordIndex (i-Nk),
+ *     fromWordIndex (i), operation, previousWord (w[i-1]), transformed (temp(w[i-1])),
+ *     word (w[i]) and result (w[i-Nk])
+ */
+export function reverseKeyExpansion(knownWords, firstWordIndex, keySize = DEFAULT_KEY_SIZE) {
+    const { keySizeWords, keySizeBytes } = getAesVariant(keySize);
+
+    if (knownWords.length < keySizeWords) {
+        throw new Error(`AES-${keySize} needs ${keySizeWords} consecutive words to run the key schedule backwards, got ${knownWords.length}`);
+    }
+
+    if (!Number.isInteger(firstWordIndex) || firstWordIndex < 0) {
+        throw new Error(`Word index must be a non-negative integer, got ${firstWordIndex}`);
+    }
+
+    const words = [];
+    knownWords.forEach((word, offset) => {
+        words[firstWordIndex + offset] = [...word];
+    });
+
+    const steps = [];
+
+    // Walk down from the last of the first Nk known words, recovering w[i-Nk] each time
+    for (let i = firstWordIndex + keySizeWords - 1; i >= keySizeWords; i--) {
+        const previousWord = words[i - 1];
+        let transformed = [...previousWord];
+        let operation = 'XOR only';
+
+        if (i % keySizeWords === 0) {
+            transformed = substituteWord(rotateWord(transformed));
+            transformed[0] ^= ROUND_CONSTANTS[i / keySizeWords];
+            operation = 'RotWord → SubWord → Rcon';
+        } else if (keySizeWords > 6 && i % keySizeWords === 4) {
+            transformed = substituteWord(transformed);
+            operation = 'SubWord only';
+        }
+
+        words[i - keySizeWords] = xorWords(words[i], transformed);
+
+        steps.push({
+            wordIndex: i - keySizeWords,
+            fromWordIndex: i,
+            operation,
+            previousWord: [...previousWord],
+            transformed,
+            word: [...words[i]],
+            result: [...words[i - keySizeWords]]
+        });
+    }
+
+    return {
+        key: words.slice(0, keySizeWords).flat().slice(0, keySizeBytes),
+        words,
+        steps
+    };
+}
+
+/**
+ * Rebuild the whole key schedule from adjacent round keys
+ * 
+ * Two adjacent round keys are 8 consecutive words, which is Nk or more for every key
+ * size (AES-128 only needs one round key). The schedule is run backwards to the key,
+ * and the key is expanded again to fill in the words after the known ones. Known words
+ * the rebuilt schedule does not reproduce mean the round keys are not from one schedule.
+ * 
+ * @param {number[][][]} roundKeys - Adjacent 4x4 round key matrices, round roundIndex first
+ * @param {number} roundIndex - Round number of the first round key (0 to Nr)
+ * @param {number} keySize - Key size in bits (128, 192 or 256)
+ * @returns {Object} Object containing:
+ *   - key: The recovered 16, 24 or 32-byte key
+ *   - words: All 4 * (Nr + 1) words of the rebuilt schedule
+ *   - roundKeys: All Nr + 1 round key matrices
+ *   - steps: The backward steps (see reverseKeyExpansion), last recovered word first
+ *   - knownWordIndices: Indices of the words the round keys gave
+ *   - mismatchedWordIndices: Known words that differ in the rebuilt schedule (empty if consistent)
+ */
+export function recoverKeyFromRoundKeys(roundKeys, roundIndex, keySize = DEFAULT_KEY_SIZE) {
+    const { numberOfRounds } = getAesVariant(keySize);
+    const lastRoundIndex = roundIndex + roundKeys.length - 1;
+
+    if (!Number.isInteger(roundIndex) || roundIndex < 0 || lastRoundIndex > numberOfRounds) {
+        throw new Error(`AES-${keySize} has round keys 0 to ${numberOfRounds}, got ${roundIndex} to ${lastRoundIndex}`);
+    }
+
+    const knownWords = roundKeys.flatMap(roundKeyToWords);
+    const firstWordIndex = roundIndex * 4;
+    const { key, steps } = reverseKeyExpansion(knownWords, firstWordIndex, keySize);
+
+    const rebuilt = expandKey(key, keySize);
+    const words = rebuilt.roundKeys.flatMap(roundKeyToWords);
+    const knownWordIndices = knownWords.map((_, offset) => firstWordIndex + offset);
+
+    return {
+        key,
+        words,
+        roundKeys: rebuilt.roundKeys,
+        steps,
+        knownWordIndices,
+        mismatchedWordIndices: knownWordIndices.filter((wordIndex, offset) =>
+            words[wordIndex].some((byte, byteIndex) => byte !== knownWords[offset][byteIndex])
+        )
+    };
+}
+
 /**
  * Format round key as hex string for display
  * 
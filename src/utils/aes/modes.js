@@ -0,0 +1,735 @@
+/**
+ * AES Modes of Operation
+ *
+ * This file implements the block cipher modes of operation from NIST SP 800-38A
+ * (ECB, CBC, CFB, OFB, CTR) plus GCM from SP 800-38D, behind one interface.
+ *
+ * Every mode in MODES_OF_OPERATION has an encrypt(dataBytes, context) and a
+ * decrypt(dataBytes, context) function, where:
+ * - dataBytes is the data without the IV (already padded for ECB and CBC,
+ *   and followed by the tag for GCM decryption)
+ * - context holds roundKeys, numberOfRounds, iv, trackRounds and any mode
+ *   options (counterBits, segmentBits, aad, tagLength), plus finalMixColumns for
+ *   reduced-round variants that keep MixColumns in the last round
+ *
+ * Both functions return an object containing:
+ * - outputBytes: The processed data (followed by the tag for GCM encryption)
+ * - roundDetails: Details of each round of the first block cipher call (if trackRounds is true)
+ * - traceBlock: traceBlock(index) returns the round details of any block cipher call,
+ *   computed the first time it is asked for (if trackRounds is true, null otherwise)
+ * - blockCount: Number of block cipher calls that traceBlock can trace
+ * - completeCipherPerRound: All block cipher outputs after each round (if trackRounds is true)
+ * - modeDetails: Per-block intermediate values of the mode (if trackRounds is true, null for ECB),
+ *   as { title, blockLabel, blocks: [{ index, values: [{ name, bytes or text }] }] }
+ * - tag, authenticationDetails: The tag and how it was computed (GCM only)
+ */
+
+import {
+    BLOCK_SIZE,
+    CFB_SEGMENT_SIZES,
+    DEFAULT_CTR_COUNTER_BITS,
+    GCM_TAG_LENGTH
+} from './constants.js';
+import { encryptBlock, encryptBlockPerRound } from './encryption.js';
+import { decryptBlock, decryptBlockPerRound } from './decryption.js';
+import { gcmEncrypt, gcmDecrypt } from './gcm.js';
+import {
+    bytesToStateMatrix,
+    formatStateMatrix,
+    bytesToHex,
+    xorBytes
+} from './utils.js';
+
+// ====================================================================================
+// SHARED HELPERS
+// ====================================================================================
+
+/**
+ * Append one block's bytes after each round to the complete text after each round
+ *
+ * @param {Object} completeCipherPerRound - Complete text so far, keyed by round number
+ * @param {number[][]} blockPerRound - Block bytes after each round, indexed by round number
+ */
+function appendBlockPerRound(completeCipherPerRound, blockPerRound) {
+    blockPerRound.forEach((bytes, round) => {
+        if (!completeCipherPerRound[round]) {
+            completeCipherPerRound[round] = [];
+        }
+        completeCipherPerRound[round].push(...bytes);
+    });
+}
+
+/**
+ * Run the forward cipher on one block, adding it to the per-round tracking if enabled
+ * Used by every mode that only needs the forward cipher (CTR, OFB, CFB)
+ *
+ * @param {number[]} block - 16-byte block to encrypt
+ * @param {Object} context - Mode context (roundKeys, numberOfRounds, finalMixColumns, trackRounds)
+ * @param {Object} completeCipherPerRound - Per-round tracking to add to (null if not tracking)
+ * @param {Object[]} cipherCalls - Block cipher calls to record the input in (if tracking)
+ * @returns {number[]} Encrypted block
+ */
+function forwardCipher(block, context, completeCipherPerRound, cipherCalls) {
+    const { roundKeys, numberOfRounds, finalMixColumns, trackRounds } = context;
+
+    if (trackRounds) {
+        const blockPerRound = encryptBlockPerRound(block, roundKeys, numberOfRounds, finalMixColumns);
+        appendBlockPerRound(completeCipherPerRound, blockPerRound);
+        cipherCalls.push({ input: block, decrypting: false });
+        return blockPerRound[numberOfRounds];
+    }
+
+    return encryptBlock(block, roundKeys, false, numberOfRounds, finalMixColumns).encryptedBlock;
+}
+
+/**
+ * Build a CBC chaining step (the XOR with the IV or previous cipher block) in the
+ * same shape as the round details
+ *
+ * @param {number} round - Round the step is shown in
+ * @param {number} blockIndex - Index of the block (0 is chained to the IV)
+ * @param {number[]} resultBlock - Block after the XOR
+ * @param {number[]} chainBlock - IV or previous cipher block
+ * @returns {Object} Round detail for the chaining step
+ */
+function createChainStep(round, blockIndex, resultBlock, chainBlock) {
+    return {
+        round,
+        step: blockIndex === 0 ? 'After XOR with IV' : `After XOR with C${blockIndex - 1}`,
+        state: formatStateMatrix(bytesToStateMatrix(resultBlock)),
+        stateMatrix: bytesToStateMatrix(resultBlock),
+        chainBlock: formatStateMatrix(bytesToStateMatrix(chainBlock))
+    };
+}
+
+/**
+ * Create a lazy tracer over the block cipher calls of a mode
+ * Only the input of every call is kept; the full round details of a call are computed
+ * the first time it is asked for and then cached, so tracing block N never re-traces
+ * the other blocks
+ *
+ * @param {Object[]} cipherCalls - One { input, decrypting, before, after } entry per call,
+ *   where before/after are optional extra steps around the rounds (CBC chaining)
+ * @param {Object} context - Mode context (roundKeys, numberOfRounds, finalMixColumns)
+ * @returns {Function} traceBlock(index), returning the round details of call `index`
+ *   (an empty array if there is no such call)
+ */
+function createBlockTracer(cipherCalls, context) {
+    const { roundKeys, numberOfRounds, finalMixColumns } = context;
+    const cache = new Map();
+
+    return (index) => {
+        const call = cipherCalls[index];
+
+        if (!call) {
+            return [];
+        }
+
+        if (!cache.has(index)) {
+            const { roundDetails } = call.decrypting
+                ? decryptBlock(call.input, roundKeys, true, numberOfRounds, finalMixColumns)
+                : encryptBlock(call.input, roundKeys, true, numberOfRounds, finalMixColumns);
+
+            cache.set(index, [
+                ...(call.before ? [call.before] : []),
+                ...roundDetails,
+                ...(call.after ? [call.after] : [])
+            ]);
+        }
+
+        return cache.get(index);
+    };
+}
+
+/**
+ * Package the tracing results every mode returns
+ *
+ * @param {Object[]} cipherCalls - Recorded block cipher calls
+ * @param {Object} context - Mode context (roundKeys, numberOfRounds, trackRounds)
+ * @returns {Object} Object containing:
+ *   - roundDetails: Round details of the first call (empty if not tracking)
+ *   - traceBlock: Lazy tracer over every call (null if not tracking)
+ *   - blockCount: Number of recorded calls
+ */
+function createTraceResult(cipherCalls, context) {
+    if (!context.trackRounds) {
+        return { roundDetails: [], traceBlock: null, blockCount: 0 };
+    }
+
+    const traceBlock = createBlockTracer(cipherCalls, context);
+
+    return {
+        roundDetails: traceBlock(0),
+        traceBlock,
+        blockCount: cipherCalls.length
+    };
+}
+
+// ====================================================================================
+// ECB MODE
+// ====================================================================================
+
+/**
+ * Electronic Codebook: every block is processed on its own
+ *
+ * @param {number[]} dataBytes - Data (a multiple of 16 bytes)
+ * @param {Object} context - Mode context
+ * @param {boolean} decrypting - Whether to run the inverse cipher
+ * @returns {Object} Mode result (see file header)
+ */
+function ecbTransform(dataBytes, context, decrypting) {
+    const { roundKeys, numberOfRounds, finalMixColumns, trackRounds } = context;
+    const blockPerRound = decrypting ? decryptBlockPerRound : encryptBlockPerRound;
+    const finalRound = decrypting ? 0 : numberOfRounds;
+
+    const outputBytes = [];
+    const completeCipherPerRound = trackRounds ? {} : null;
+    const cipherCalls = [];
+
+    for (let i = 0; i < dataBytes.length; i += BLOCK_SIZE) {
+        const block = dataBytes.slice(i, i + BLOCK_SIZE);
+
+        if (trackRounds) {
+            const rounds = blockPerRound(block, roundKeys, numberOfRounds, finalMixColumns);
+            appendBlockPerRound(completeCipherPerRound, rounds);
+            cipherCalls.push({ input: block, decrypting });
+            outputBytes.push(...rounds[finalRound]);
+        } else if (decrypting) {
+            outputBytes.push(...decryptBlock(block, roundKeys, false, numberOfRounds, finalMixColumns).decryptedBlock);
+        } else {
+            outputBytes.push(...encryptBlock(block, roundKeys, false, numberOfRounds, finalMixColumns).encryptedBlock);
+        }
+    }
+
+    return {
+        outputBytes,
+        ...createTraceResult(cipherCalls, context),
+        completeCipherPerRound,
+        modeDetails: null
+    };
+}
+
+// ====================================================================================
+// CBC MODE
+// ====================================================================================
+
+/**
+ * Cipher Block Chaining encryption: each plain block is XORed with the previous
+ * cipher block (the IV for the first block) before it is encrypted
+ *
+ * @param {number[]} dataBytes - Padded plain text (a multiple of 16 bytes)
+ * @param {Object} context - Mode context
+ * @returns {Object} Mode result (see file header)
+ */
+function cbcEncrypt(dataBytes, context) {
+    const { iv, trackRounds } = context;
+
+    const outputBytes = [];
+    const completeCipherPerRound = trackRounds ? {} : null;
+    const blocks = [];
+    const chainedBytes = [];
+    const cipherCalls = [];
+
+    // The first block is chained to the IV
+    let previousBlock = iv;
+
+    for (let i = 0; i < dataBytes.length; i += BLOCK_SIZE) {
+        const plainBlock = dataBytes.slice(i, i + BLOCK_SIZE);
+
+        // XOR with the previous cipher block before encrypting
+        const inputBlock = xorBytes(plainBlock, previousBlock);
+        const encryptedBlock = forwardCipher(inputBlock, context, completeCipherPerRound, cipherCalls);
+
+        if (trackRounds) {
+            const blockIndex = i / BLOCK_SIZE;
+
+            // Show the XOR with the previous block ahead of this block's rounds
+            cipherCalls[blockIndex].before = createChainStep(0, blockIndex, inputBlock, previousBlock);
+
+            blocks.push({
+                index: blockIndex,
+                values: [
+                    { name: 'Plain Block', bytes: plainBlock },
+                    { name: blockIndex === 0 ? '⊕ IV' : `⊕ C${blockIndex - 1}`, bytes: previousBlock },
+                    { name: '= Cipher Input', bytes: inputBlock },
+                    { name: 'Cipher Block', bytes: encryptedBlock }
+                ]
+            });
+            chainedBytes.push(...inputBlock);
+        }
+
+        outputBytes.push(...encryptedBlock);
+        previousBlock = encryptedBlock;
+    }
+
+    if (trackRounds) {
+        completeCipherPerRound.chained = chainedBytes;
+    }
+
+    return {
+        outputBytes,
+        ...createTraceResult(cipherCalls, context),
+        completeCipherPerRound,
+        modeDetails: trackRounds ? { title: 'CBC Chaining (Plain Block ⊕ Previous Cipher Block)', blockLabel: 'Block', blocks } : null
+    };
+}
+
+/**
+ * Cipher Block Chaining decryption: each decrypted block is XORed with the previous
+ * cipher block (the IV for the first block)
+ *
+ * @param {number[]} dataBytes - Cipher text without the IV (a multiple of 16 bytes)
+ * @param {Object} context - Mode context
+ * @returns {Object} Mode result (see file header)
+ */
+function cbcDecrypt(dataBytes, context) {
+    const { roundKeys, numberOfRounds, finalMixColumns, iv, trackRounds } = context;
+
+    const outputBytes = [];
+    const completeCipherPerRound = trackRounds ? {} : null;
+    const blocks = [];
+    const cipherCalls = [];
+
+    // The first block is chained to the IV
+    let previousBlock = iv;
+
+    for (let i = 0; i < dataBytes.length; i += BLOCK_SIZE) {
+        const cipherBlock = dataBytes.slice(i, i + BLOCK_SIZE);
+
+        let decryptedBlock;
+        if (trackRounds) {
+            const blockPerRound = decryptBlockPerRound(cipherBlock, roundKeys, numberOfRounds, finalMixColumns);
+            appendBlockPerRound(completeCipherPerRound, blockPerRound);
+            decryptedBlock = blockPerRound[0];
+        } else {
+            decryptedBlock = decryptBlock(cipherBlock, roundKeys, false, numberOfRounds, finalMixColumns).decryptedBlock;
+        }
+
+        // XOR with the previous cipher block after decrypting
+        const plainBlock = xorBytes(decryptedBlock, previousBlock);
+
+        if (trackRounds) {
+            const blockIndex = i / BLOCK_SIZE;
+
+            // Show the XOR with the previous block after this block's rounds
+            cipherCalls.push({
+                input: cipherBlock,
+                decrypting: true,
+                after: createChainStep(0, blockIndex, plainBlock, previousBlock)
+            });
+            blocks.push({
+                index: blockIndex,
+                values: [
+                    { name: 'Cipher Block', bytes: cipherBlock },
+                    { name: 'Decrypted Block', bytes: decryptedBlock },
+                    { name: blockIndex === 0 ? '⊕ IV' : `⊕ C${blockIndex - 1}`, bytes: previousBlock },
+                    { name: '= Plain Block', bytes: plainBlock }
+                ]
+            });
+        }
+
+        outputBytes.push(...plainBlock);
+        previousBlock = cipherBlock;
+    }
+
+    if (trackRounds) {
+        completeCipherPerRound.chained = [...outputBytes];
+    }
+
+    return {
+        outputBytes,
+        ...createTraceResult(cipherCalls, context),
+        completeCipherPerRound,
+        modeDetails: trackRounds ? { title: 'CBC Chaining (Decrypted Block ⊕ Previous Cipher Block)', blockLabel: 'Block', blocks } : null
+    };
+}
+
+// ====================================================================================
+// CTR MODE
+// ====================================================================================
+
+/**
+ * Check that a CTR counter size is a whole number of bytes that fits in a block
+ *
+ * @param {number} counterBits - Counter size in bits
+ */
+function validateCounterBits(counterBits) {
+    if (!Number.isInteger(counterBits) || counterBits % 8 !== 0 || counterBits < 8 || counterBits > 128) {
+        throw new Error(`CTR counter size must be a multiple of 8 between 8 and 128 bits, got ${counterBits}`);
+    }
+}
+
+/**
+ * Increment the counter part of a counter block by one
+ * Only the low-order counter bytes change, the nonce bytes stay fixed
+ *
+ * @param {number[]} counterBlock - 16-byte counter block
+ * @param {number} counterBytes - Number of low-order bytes that hold the counter
+ * @param {boolean} wrapCounter - Whether the counter may wrap around to zero
+ * @returns {number[]} Next counter block
+ */
+function incrementCounterBlock(counterBlock, counterBytes, wrapCounter = false) {
+    const nextBlock = [...counterBlock];
+
+    for (let i = BLOCK_SIZE - 1; i >= BLOCK_SIZE - counterBytes; i--) {
+        nextBlock[i] = (nextBlock[i] + 1) & 0xff;
+
+        // No carry into the next byte, so we are done
+        if (nextBlock[i] !== 0) {
+            return nextBlock;
+        }
+    }
+
+    // GCM's inc32 is defined modulo 2^32, so wrapping around is allowed there
+    if (wrapCounter) {
+        return nextBlock;
+    }
+
+    // The counter wrapped around, so counter blocks (and the keystream) could repeat
+    throw new Error('CTR counter overflow: the message is too long for the counter size');
+}
+
+/**
+ * Apply CTR mode to data
+ *
+ * Encryption and decryption are the same operation: each counter block is encrypted
+ * with the forward cipher to produce a keystream block, which is XORed with the data.
+ * No padding is needed because the last keystream block is cut to the remaining length.
+ *
+ * @param {number[]} dataBytes - Plain text (to encrypt) or cipher text (to decrypt)
+ * @param {number[][]} roundKeys - Array of round keys from key expansion
+ * @param {number[]} initialCounterBlock - 16-byte counter block for the first data block
+ * @param {Object} options - Optional settings:
+ *   - numberOfRounds: Number of rounds, defaults to one less than the number of round keys
+ *   - finalMixColumns: Whether the last round keeps its MixColumns (reduced-round labs)
+ *   - counterBits: Number of low-order bits that hold the counter, defaults to 32
+ *   - wrapCounter: Whether the counter may wrap around instead of throwing (GCM)
+ *   - trackRounds: Whether to track round-by-round details
+ * @returns {Object} Mode result (see file header), with one block per counter value
+ */
+export function counterModeTransform(dataBytes, roundKeys, initialCounterBlock, options = {}) {
+    const {
+        numberOfRounds = roundKeys.length - 1,
+        finalMixColumns = false,
+        counterBits = DEFAULT_CTR_COUNTER_BITS,
+        wrapCounter = false,
+        trackRounds = false
+    } = options;
+    const context = { roundKeys, numberOfRounds, finalMixColumns, trackRounds };
+
+    validateCounterBits(counterBits);
+    const counterBytes = counterBits / 8;
+
+    const outputBytes = [];
+    const completeCipherPerRound = trackRounds ? {} : null;
+    const blocks = [];
+    const cipherCalls = [];
+
+    let counterBlock = [...initialCounterBlock];
+
+    for (let i = 0; i < dataBytes.length; i += BLOCK_SIZE) {
+        const dataBlock = dataBytes.slice(i, i + BLOCK_SIZE);
+
+        // Encrypt the counter block to get the next keystream block
+        const keystreamBlock = forwardCipher(counterBlock, context, completeCipherPerRound, cipherCalls);
+
+        // XOR only as many keystream bytes as there are data bytes left
+        const outputBlock = xorBytes(dataBlock, keystreamBlock);
+
+        if (trackRounds) {
+            const counterValue = bytesToHex(counterBlock.slice(BLOCK_SIZE - counterBytes));
+            blocks.push({
+                index: i / BLOCK_SIZE,
+                values: [
+                    { name: 'Counter', text: `0x${counterValue} (${BigInt(`0x${counterValue}`).toString()})` },
+                    { name: 'Counter Block', bytes: counterBlock },
+                    { name: 'Keystream', bytes: keystreamBlock },
+                    { name: 'Data', bytes: dataBlock },
+                    { name: '= Data ⊕ Keystream', bytes: outputBlock }
+                ]
+            });
+        }
+
+        outputBytes.push(...outputBlock);
+
+        // Move on to the next counter value only if more data follows
+        if (i + BLOCK_SIZE < dataBytes.length) {
+            counterBlock = incrementCounterBlock(counterBlock, counterBytes, wrapCounter);
+        }
+    }
+
+    return {
+        outputBytes,
+        ...createTraceResult(cipherCalls, context),
+        completeCipherPerRound,
+        modeDetails: trackRounds ? { title: 'CTR Keystream (E(Counter Block) ⊕ Data)', blockLabel: 'Block', blocks } : null
+    };
+}
+
+/**
+ * CTR mode adapter for the mode-of-operation interface
+ *
+ * @param {number[]} dataBytes - Plain text or cipher text
+ * @param {Object} context - Mode context
+ * @returns {Object} Mode result (see file header)
+ */
+function ctrTransform(dataBytes, context) {
+    const { roundKeys, numberOfRounds, finalMixColumns, iv, counterBits, trackRounds } = context;
+    return counterModeTransform(dataBytes, roundKeys, iv, { numberOfRounds, finalMixColumns, counterBits, trackRounds });
+}
+
+// ====================================================================================
+// OFB MODE
+// ====================================================================================
+
+/**
+ * Output Feedback: the IV is encrypted over and over, and each output block is both
+ * the next keystream block and the input to the next block cipher call
+ * Encryption and decryption are the same operation, and no padding is needed
+ *
+ * @param {number[]} dataBytes - Plain text or cipher text
+ * @param {Object} context - Mode context
+ * @returns {Object} Mode result (see file header)
+ */
+function ofbTransform(dataBytes, context) {
+    const { iv, trackRounds } = context;
+
+    const outputBytes = [];
+    const completeCipherPerRound = trackRounds ? {} : null;
+    const blocks = [];
+    const cipherCalls = [];
+
+    let inputBlock = [...iv];
+
+    for (let i = 0; i < dataBytes.length; i += BLOCK_SIZE) {
+        const dataBlock = dataBytes.slice(i, i + BLOCK_SIZE);
+
+        // The output block is fed back as the next input block
+        const keystreamBlock = forwardCipher(inputBlock, context, completeCipherPerRound, cipherCalls);
+        const outputBlock = xorBytes(dataBlock, keystreamBlock);
+
+        if (trackRounds) {
+            const blockIndex = i / BLOCK_SIZE;
+            blocks.push({
+                index: blockIndex,
+                values: [
+                    { name: blockIndex === 0 ? 'Input (IV)' : `Input (O${blockIndex - 1})`, bytes: inputBlock },
+                    { name: `Output O${blockIndex}`, bytes: keystreamBlock },
+                    { name: 'Data', bytes: dataBlock },
+                    { name: '= Data ⊕ Output', bytes: outputBlock }
+                ]
+            });
+        }
+
+        outputBytes.push(...outputBlock);
+        inputBlock = keystreamBlock;
+    }
+
+    return {
+        outputBytes,
+        ...createTraceResult(cipherCalls, context),
+        completeCipherPerRound,
+        modeDetails: trackRounds ? { title: 'OFB Feedback (Output Block Fed Back as Next Input)', blockLabel: 'Block', blocks } : null
+    };
+}
+
+// ====================================================================================
+// CFB MODE
+// ====================================================================================
+
+/**
+ * Shift a 16-byte register left by one bit and put a new bit in at the right
+ *
+ * @param {number[]} register - 16-byte shift register
+ * @param {number} bit - Bit (0 or 1) to shift in
+ * @returns {number[]} Shifted register
+ */
+function shiftInBit(register, bit) {
+    return register.map((byte, index) => {
+        const carryIn = index < BLOCK_SIZE - 1 ? register[index + 1] >> 7 : bit;
+        return ((byte << 1) | carryIn) & 0xff;
+    });
+}
+
+/**
+ * Cipher Feedback with 1, 8 or 128-bit segments
+ *
+ * The shift register starts as the IV and is encrypted to produce an output block.
+ * The leftmost s bits of the output are XORed with the next s-bit data segment, and the
+ * resulting cipher text segment is shifted into the register for the next segment.
+ * Only the forward cipher is used, and no padding is needed.
+ *
+ * @param {number[]} dataBytes - Plain text or cipher text
+ * @param {Object} context - Mode context (segmentBits is 1, 8 or 128)
+ * @param {boolean} decrypting - Whether the data is cipher text (it is the input that is fed back)
+ * @returns {Object} Mode result (see file header), with one block per segment
+ */
+function cfbTransform(dataBytes, context, decrypting) {
+    const { iv, segmentBits, trackRounds } = context;
+
+    if (!CFB_SEGMENT_SIZES.includes(segmentBits)) {
+        throw new Error(`CFB segment size must be one of ${CFB_SEGMENT_SIZES.join(', ')} bits, got ${segmentBits}`);
+    }
+
+    const outputBytes = [];
+    const completeCipherPerRound = trackRounds ? {} : null;
+    const blocks = [];
+    const cipherCalls = [];
+
+    let register = [...iv];
+
+    if (segmentBits === 1) {
+        // 1-bit segments: one block cipher call per bit, most significant bit first
+        for (let bitIndex = 0; bitIndex < dataBytes.length * 8; bitIndex++) {
+            const byteIndex = bitIndex >> 3;
+            const shift = 7 - (bitIndex & 7);
+
+            const outputBlock = forwardCipher(register, context, completeCipherPerRound, cipherCalls);
+            const dataBit = (dataBytes[byteIndex] >> shift) & 1;
+            const resultBit = dataBit ^ (outputBlock[0] >> 7);
+
+            if (shift === 7) {
+                outputBytes.push(0);
+            }
+            outputBytes[byteIndex] |= resultBit << shift;
+
+            if (trackRounds) {
+                blocks.push({
+                    index: bitIndex,
+                    values: [
+                        { name: 'Shift Register', bytes: register },
+                        { name: 'E(Register)', bytes: outputBlock },
+                        { name: 'Data Bit', text: String(dataBit) },
+                        { name: '⊕ MSB', text: String(outputBlock[0] >> 7) },
+                        { name: '= Result Bit', text: String(resultBit) }
+                    ]
+                });
+            }
+
+            // Feed back the cipher text bit
+            register = shiftInBit(register, decrypting ? dataBit : resultBit);
+        }
+    } else {
+        // 8 or 128-bit segments: whole bytes, the last segment may be shorter
+        const segmentBytes = segmentBits / 8;
+
+        for (let i = 0; i < dataBytes.length; i += segmentBytes) {
+            const dataSegment = dataBytes.slice(i, i + segmentBytes);
+
+            const outputBlock = forwardCipher(register, context, completeCipherPerRound, cipherCalls);
+            const resultSegment = xorBytes(dataSegment, outputBlock);
+
+            if (trackRounds) {
+                blocks.push({
+                    index: i / segmentBytes,
+                    values: [
+                        { name: 'Shift Register', bytes: register },
+                        { name: 'E(Register)', bytes: outputBlock },
+                        { name: 'Data Segment', bytes: dataSegment },
+                        { name: '= Segment ⊕ E(Register)', bytes: resultSegment }
+                    ]
+                });
+            }
+
+            // Feed back the cipher text segment
+            const cipherSegment = decrypting ? dataSegment : resultSegment;
+            register = [...register.slice(cipherSegment.length), ...cipherSegment];
+
+            outputBytes.push(...resultSegment);
+        }
+    }
+
+    return {
+        outputBytes,
+        ...createTraceResult(cipherCalls, context),
+        completeCipherPerRound,
+        modeDetails: trackRounds
+            ? {
+                title: `CFB-${segmentBits} Feedback (Cipher Segment Shifted into Register)`,
+                blockLabel: segmentBits === 1 ? 'Bit' : 'Segment',
+                blocks
+            }
+            : null
+    };
+}
+
+// ====================================================================================
+// GCM MODE
+// ====================================================================================
+
+/**
+ * GCM encryption adapter: the tag is appended to the cipher text
+ *
+ * @param {number[]} dataBytes - Plain text
+ * @param {Object} context - Mode context (aad is the additional authenticated data,
+ *   tagLength the number of tag bytes to keep, 16 unless truncated)
+ * @returns {Object} Mode result (see file header)
+ */
+function gcmEncryptTransform(dataBytes, context) {
+    const { roundKeys, numberOfRounds, finalMixColumns, iv, aad, trackRounds, tagLength = GCM_TAG_LENGTH } = context;
+    const result = gcmEncrypt(dataBytes, roundKeys, iv, aad, { numberOfRounds, finalMixColumns, trackRounds });
+
+    return {
+        ...result,
+        outputBytes: [...result.cipherBytes, ...result.tag.slice(0, tagLength)]
+    };
+}
+
+/**
+ * GCM decryption adapter: the tag is read from the end of the data and verified
+ * before anything is decrypted
+ *
+ * @param {number[]} dataBytes - Cipher text followed by the tag
+ * @param {Object} context - Mode context (aad is the additional authenticated data,
+ *   tagLength the number of tag bytes at the end, 16 unless truncated)
+ * @returns {Object} Mode result (see file header)
+ */
+function gcmDecryptTransform(dataBytes, context) {
+    const { roundKeys, numberOfRounds, finalMixColumns, iv, aad, trackRounds, tagLength = GCM_TAG_LENGTH } = context;
+
+    if (dataBytes.length < tagLength) {
+        throw new Error('Cipher text is too short to contain a tag');
+    }
+
+    const cipherBytes = dataBytes.slice(0, dataBytes.length - tagLength);
+    const tag = dataBytes.slice(dataBytes.length - tagLength);
+    const result = gcmDecrypt(cipherBytes, tag, roundKeys, iv, aad, { numberOfRounds, finalMixColumns, trackRounds });
+
+    return {
+        ...result,
+        outputBytes: result.plainBytes
+    };
+}
+
+// ====================================================================================
+// MODE REGISTRY
+// ====================================================================================
+
+// Every mode of operation behind the same encrypt/decrypt interface
+// (see CIPHER_MODES in constants.js for each mode's IV and padding requirements)
+export const MODES_OF_OPERATION = {
+    ECB: {
+        encrypt: (dataBytes, context) => ecbTransform(dataBytes, context, false),
+        decrypt: (dataBytes, context) => ecbTransform(dataBytes, context, true)
+    },
+    CBC: {
+        encrypt: cbcEncrypt,
+        decrypt: cbcDecrypt
+    },
+    CFB: {
+        encrypt: (dataBytes, context) => cfbTransform(dataBytes, context, false),
+        decrypt: (dataBytes, context) => cfbTransform(dataBytes, context, true)
+    },
+    OFB: {
+        encrypt: ofbTransform,
+        decrypt: ofbTransform
+    },
+    CTR: {
+        encrypt: ctrTransform,
+        decrypt: ctrTransform
+    },
+    GCM: {
+        encrypt: gcmEncryptTransform,
+        decrypt: gcmDecryptTransform
+    }
+};
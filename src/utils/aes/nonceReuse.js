@@ -0,0 +1,135 @@
+/**
+ * Nonce Reuse in the Stream Modes
+ *
+ * CTR and OFB turn AES into a stream cipher: the block cipher only produces a keystream
+ * from the key and the nonce/IV, and the plain text is XORed with it. Encrypting two
+ * messages with the same key and nonce therefore uses the same keystream twice:
+ *
+ *   C1 ⊕ C2 = (P1 ⊕ K) ⊕ (P2 ⊕ K) = P1 ⊕ P2
+ *
+ * The keystream cancels out without the key ever being involved. Crib dragging then reads
+ * both messages: XORing a guessed word (the crib) into P1 ⊕ P2 at some position gives
+ * the other message at that position, which looks like text when the guess was right.
+ */
+
+import { CIPHER_MODES, DEFAULT_KEY_SIZE } from './constants.js';
+import { encryptText } from './encryption.js';
+import { textToBytes, xorBytes } from './utils.js';
+
+// Modes whose cipher text is plain text XOR a keystream fixed by the key and the nonce
+export const NONCE_REUSE_MODES = ['CTR', 'OFB'];
+
+// Share of letters and spaces a fragment needs to count as plausible text
+const MIN_LETTER_SHARE = 0.75;
+
+// Punctuation that is common enough in English text not to rule a fragment out
+const TEXT_PUNCTUATION = new Set(textToBytes('.,\'!?-'));
+
+// ====================================================================================
+// ENCRYPTING WITH A REUSED NONCE
+// ====================================================================================
+
+/**
+ * Encrypt several messages with the same key and the same nonce/IV
+ *
+ * The first message is encrypted with the IV given (or a random one) and every other
+ * message reuses it, which is exactly the mistake the lab is about.
+ *
+ * @param {number[][]} messages - Plain text messages as byte arrays
+ * @param {number[]} key - 16, 24 or 32-byte key
+ * @param {Object} options - Optional settings:
+ *   - keySize: Key size in bits (128, 192 or 256), defaults to 256
+ *   - mode: 'CTR' or 'OFB', defaults to 'CTR'
+ *   - iv: Initial counter block (or nonce) for CTR, or IV for OFB, random if omitted
+ * @returns {Object} Object containing:
+ *   - iv: The IV or initial counter block every message was encrypted with
+ *   - ciphertexts: Per message the plainBytes, the cipherBytes (without the IV) and the
+ *     keystream (cipher text XOR plain text)
+ */
+export function encryptWithReusedNonce(messages, key, options = {}) {
+    const { keySize = DEFAULT_KEY_SIZE, mode = 'CTR' } = options;
+
+    if (!NONCE_REUSE_MODES.includes(mode)) {
+        throw new Error(`Nonce reuse is shown for ${NONCE_REUSE_MODES.join(' and ')} only, got ${mode}`);
+    }
+
+    let iv = options.iv;
+    const ciphertexts = messages.map(plainBytes => {
+        const result = encryptText(plainBytes, key, false, { keySize, mode, iv });
+        iv = result.iv;
+
+        const cipherBytes = result.cipherBytes.slice(CIPHER_MODES[mode].ivLength);
+        return { plainBytes, cipherBytes, keystream: xorBytes(cipherBytes, plainBytes) };
+    });
+
+    return { iv, ciphertexts };
+}
+
+/**
+ * XOR two cipher texts over the length of the shorter one
+ * Under a reused nonce this is the XOR of the two plain texts
+ *
+ * @param {number[]} bytes1 - First cipher text
+ * @param {number[]} bytes2 - Second cipher text
+ * @returns {number[]} The XOR, as long as the shorter input
+ */
+export function xorCiphertexts(bytes1, bytes2) {
+    const length = Math.min(bytes1.length, bytes2.length);
+    return xorBytes(bytes1.slice(0, length), bytes2.slice(0, length));
+}
+
+// ====================================================================================
+// CRIB DRAGGING
+// ====================================================================================
+
+/**
+ * Whether a byte is a letter or a space
+ *
+ * @param {number} byte - Byte to check
+ * @returns {boolean} True for A-Z, a-z and space
+ */
+function isLetterOrSpace(byte) {
+    return byte === 0x20 || (byte >= 0x41 && byte <= 0x5a) || (byte >= 0x61 && byte <= 0x7a);
+}
+
+/**
+ * Score how much a fragment looks like English text
+ *
+ * @param {number[]} bytes - Fragment to score
+ * @returns {Object} Object containing:
+ *   - printable: Whether every byte is printable ASCII
+ *   - letterShare: Share of bytes that are letters or spaces (0 to 1)
+ *   - plausible: Whether every byte is a letter, digit, space or common punctuation
+ *     (. , ' ! ? -) and at least 75% are letters and spaces
+ */
+export function scoreFragment(bytes) {
+    const printable = bytes.every(byte => byte >= 0x20 && byte < 0x7f);
+    const letterShare = bytes.length === 0 ? 0 : bytes.filter(isLetterOrSpace).length / bytes.length;
+    const textLike = bytes.every(byte =>
+        isLetterOrSpace(byte) || (byte >= 0x30 && byte <= 0x39) || TEXT_PUNCTUATION.has(byte)
+    );
+
+    return { printable, letterShare, plausible: textLike && letterShare >= MIN_LETTER_SHARE };
+}
+
+/**
+ * Slide a crib across P1 ⊕ P2 and XOR it in at every position
+ *
+ * If the crib is part of one message at some offset, the result at that offset is the
+ * other message there, so offsets where the result looks like text are worth a closer look.
+ *
+ * @param {number[]} xoredBytes - The two cipher texts XORed (see xorCiphertexts)
+ * @param {number[]} cribBytes - The guessed word
+ * @returns {Object[]} One entry per offset the crib fits at, with offset, fragment (the
+ *   crib XORed into the bytes there) and the scoreFragment fields
+ */
+export function dragCrib(xoredBytes, cribBytes) {
+    if (cribBytes.length === 0) {
+        return [];
+    }
+
+    return Array.from({ length: Math.max(0, xoredBytes.length - cribBytes.length + 1) }, (_, offset) => {
+        const fragment = xorBytes(cribBytes, xoredBytes.slice(offset, offset + cribBytes.length));
+        return { offset, fragment, ...scoreFragment(fragment) };
+    });
+}
@@ -0,0 +1,188 @@
+/**
+ * Padding Oracle Attack (Vaudenay)
+ *
+ * This file implements the CBC padding oracle attack against decryptText:
+ * 1. The oracle decrypts any cipher text it is sent and only says whether it was accepted.
+ *    In CBC mode the only way to be rejected is unpadData's "Invalid padding"
+ * 2. To attack block C[j], the attacker sends a forged previous block X followed by C[j].
+ *    The server computes P' = D(C[j]) ⊕ X, so when the padding of P' is valid the last
+ *    bytes of D(C[j]) ⊕ X are known (01, then 02 02, ...), which gives the intermediate
+ *    value D(C[j]) one byte at a time, last byte first, in at most 256 queries per byte
+ * 3. The plain text block is the intermediate value XOR the real previous block C[j-1]
+ *    (the IV for the first block)
+ *
+ * With authenticated encryption (GCM) every forged cipher text fails the tag check before
+ * the plain text is looked at, so the oracle rejects every query and the attack learns
+ * nothing.
+ */
+
+import { BLOCK_SIZE } from './constants.js';
+import { decryptText } from './decryption.js';
+import { nextTask, xorBytes } from './utils.js';
+
+// Modes the lab's server can use: CBC leaks padding errors, GCM authenticates first
+export const PADDING_ORACLE_MODES = ['CBC', 'GCM'];
+
+// ====================================================================================
+// THE ORACLE
+// ====================================================================================
+
+/**
+ * Build a padding oracle from a server that decrypts with decryptText
+ *
+ * @param {number[]} key - The server's 16, 24 or 32-byte key
+ * @param {Object} options - Optional settings:
+ *   - keySize: Key size in bits (128, 192 or 256), defaults to 256
+ *   - mode: 'CBC' (padding errors leak) or 'GCM' (authenticated), defaults to 'CBC'
+ * @returns {Function} oracle(cipherBytes) returning true if the server accepted the cipher
+ *   text and false if decryptText threw (Invalid padding, or Authentication failed in GCM)
+ */
+export function createPaddingOracle(key, options = {}) {
+    const { keySize, mode = 'CBC' } = options;
+
+    return cipherBytes => {
+        try {
+            decryptText(cipherBytes, key, false, { keySize, mode });
+            return true;
+        } catch {
+            return false;
+        }
+    };
+}
+
+// ====================================================================================
+// THE ATTACK
+// ====================================================================================
+
+/**
+ * Find one intermediate byte of a block
+ *
+ * The bytes after position are already known, so they are set to give the padding value
+ * 16 - position. Every value of the byte at position is then tried until the oracle
+ * accepts. For the last byte a hit could also be 02 02 (or longer) padding, so the byte
+ * before it is changed and the oracle asked again to make sure the padding was 01.
+ *
+ * @param {Function} oracle - The padding oracle
+ * @param {number[]} targetBlock - The cipher text block being attacked
+ * @param {number[]} intermediate - Intermediate bytes found so far (null if not yet known)
+ * @param {number} position - Byte to find (15 down to 0)
+ * @returns {Object} Object containing:
+ *   - guess: The forged byte the oracle accepted (null if none was accepted)
+ *   - intermediate: The intermediate byte, guess XOR the padding value (null if none)
+ *   - queries: Oracle queries used
+ */
+function findIntermediateByte(oracle, targetBlock, intermediate, position) {
+    const paddingValue = BLOCK_SIZE - position;
+    const forged = Array(BLOCK_SIZE).fill(0);
+    let queries = 0;
+
+    for (let later = position + 1; later < BLOCK_SIZE; later++) {
+        forged[later] = intermediate[later] ^ paddingValue;
+    }
+
+    for (let guess = 0; guess < 256; guess++) {
+        forged[position] = guess;
+        queries++;
+
+        if (!oracle([...forged, ...targetBlock])) {
+            continue;
+        }
+
+        if (position === BLOCK_SIZE - 1) {
+            const check = [...forged];
+            check[position - 1] ^= 0xff;
+            queries++;
+
+            if (!oracle([...check, ...targetBlock])) {
+                continue;
+            }
+        }
+
+        return { guess, intermediate: guess ^ paddingValue, queries };
+    }
+
+    return { guess: null, intermediate: null, queries };
+}
+
+/**
+ * Recover the plain text of a cipher text with a padding oracle
+ *
+ * The cipher text is read as 16-byte blocks, the first being the IV (as encryptText
+ * writes it in CBC mode). Every later whole block is attacked in turn.
+ *
+ * @param {number[]} cipherBytes - IV followed by the cipher text blocks
+ * @param {Function} oracle - The padding oracle (see createPaddingOracle)
+ * @param {Object} options - Optional settings:
+ *   - onProgress: Called with { blockIndex, position, queries, blocks } after every byte
+ *     (blocks as in the result, the current one partly filled in)
+ * @returns {Promise<Object>} Object containing:
+ *   - success: Whether every block was recovered
+ *   - queries: Total oracle queries
+ *   - blocks: One entry per attacked block with blockIndex (1 is the first after the IV),
+ *     cipherBlock, previousBlock, intermediate and plainBlock (null for bytes not found),
+ *     bytes (position, guess, intermediate, plain and queries per byte, last byte first)
+ *     and queries
+ *   - plainBytes: The recovered plain text with the padding removed (null unless success)
+ *   - failure: { blockIndex, position, queries } of the byte no guess worked for (null on success)
+ */
+export async function runPaddingOracleAttack(cipherBytes, oracle, options = {}) {
+    const { onProgress = () => {} } = options;
+    const blockCount = Math.floor(cipherBytes.length / BLOCK_SIZE);
+    const blocks = [];
+    let queries = 0;
+
+    for (let blockIndex = 1; blockIndex < blockCount; blockIndex++) {
+        const previousBlock = cipherBytes.slice((blockIndex - 1) * BLOCK_SIZE, blockIndex * BLOCK_SIZE);
+        const cipherBlock = cipherBytes.slice(blockIndex * BLOCK_SIZE, (blockIndex + 1) * BLOCK_SIZE);
+        const block = {
+            blockIndex,
+            cipherBlock,
+            previousBlock,
+            intermediate: Array(BLOCK_SIZE).fill(null),
+            plainBlock: Array(BLOCK_SIZE).fill(null),
+            bytes: [],
+            queries: 0
+        };
+        blocks.push(block);
+
+        for (let position = BLOCK_SIZE - 1; position >= 0; position--) {
+            const found = findIntermediateByte(oracle, cipherBlock, block.intermediate, position);
+            queries += found.queries;
+            block.queries += found.queries;
+
+            if (found.guess === null) {
+                return {
+                    success: false,
+                    queries,
+                    blocks,
+                    plainBytes: null,
+                    failure: { blockIndex, position, queries: found.queries }
+                };
+            }
+
+            block.intermediate[position] = found.intermediate;
+            block.plainBlock[position] = found.intermediate ^ previousBlock[position];
+            block.bytes.push({
+                position,
+                guess: found.guess,
+                intermediate: found.intermediate,
+                plain: block.plainBlock[position],
+                queries: found.queries
+            });
+
+            onProgress({ blockIndex, position, queries, blocks });
+            await nextTask();
+        }
+    }
+
+    const paddedBytes = blocks.flatMap(block => xorBytes(block.intermediate, block.previousBlock));
+    const paddingLength = paddedBytes[paddedBytes.length - 1];
+
+    return {
+        success: true,
+        queries,
+        blocks,
+        plainBytes: paddedBytes.slice(0, paddedBytes.length - paddingLength),
+        failure: null
+    };
+}
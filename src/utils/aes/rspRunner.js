@@ -0,0 +1,355 @@
+/**
+ * NIST CAVP .rsp Test Vector Files
+ *
+ * This file parses CAVP response files (ECBVarKey256.rsp, CBCMMT256.rsp,
+ * CFB8GFSbox128.rsp, gcmEncryptExtIV256.rsp, ...) into records and runs every
+ * record through the mode implementations in modes.js.
+ *
+ * The mode implementations are called directly rather than through encryptText and
+ * decryptText, because the vectors have no padding, no IV in front of the cipher text,
+ * and (for GCM) IVs of any length and truncated tags.
+ *
+ * Records that cannot be run one by one (Monte Carlo files, unknown modes, unsupported
+ * key or tag lengths) are kept in the report as skipped, with the reason.
+ *
+ * A file looks like:
+ *   # AESVS MMT test data for CBC        <- comments, the mode is read from here or the file name
+ *   [ENCRYPT]                            <- section (or [Keylen = 128] style parameters for GCM)
+ *
+ *   COUNT = 0                            <- each COUNT starts a new record
+ *   KEY = ...
+ *   IV = ...
+ *   PLAINTEXT = ...
+ *   CIPHERTEXT = ...
+ */
+
+import { AES_VARIANTS, BLOCK_SIZE, GCM_TAG_LENGTHS } from './constants.js';
+import { MODES_OF_OPERATION } from './modes.js';
+import { expandKey } from './keyExpansion.js';
+import { bytesToHex, hexToBytes } from './utils.js';
+
+// Modes that can appear in a CAVP file name or header, longest names first so that
+// CFB128 is not read as CFB1. The segment size only applies to CFB.
+const RSP_MODES = [
+    { pattern: 'CFB128', mode: 'CFB', segmentBits: 128 },
+    { pattern: 'CFB8', mode: 'CFB', segmentBits: 8 },
+    { pattern: 'CFB1', mode: 'CFB', segmentBits: 1 },
+    { pattern: 'ECB', mode: 'ECB' },
+    { pattern: 'CBC', mode: 'CBC' },
+    { pattern: 'OFB', mode: 'OFB' },
+    { pattern: 'CTR', mode: 'CTR' },
+    { pattern: 'GCM', mode: 'GCM' }
+];
+
+// Field names used by the different CAVP files, mapped to record properties
+const FIELD_NAMES = {
+    COUNT: 'count',
+    KEY: 'key',
+    IV: 'iv',
+    PLAINTEXT: 'plaintext',
+    PT: 'plaintext',
+    CIPHERTEXT: 'ciphertext',
+    CT: 'ciphertext',
+    AAD: 'aad',
+    TAG: 'tag'
+};
+
+// ====================================================================================
+// PARSING
+// ====================================================================================
+
+/**
+ * Work out the mode of operation of a file from its name and header comments
+ *
+ * @param {string} fileName - File name, e.g. 'CBCMMT256.rsp'
+ * @param {string[]} comments - Header comment lines
+ * @returns {Object|null} { mode, segmentBits } or null if no mode was recognized
+ */
+function detectMode(fileName, comments) {
+    const sources = [fileName, ...comments].map(text => text.toUpperCase());
+
+    for (const source of sources) {
+        const match = RSP_MODES.find(({ pattern }) => source.includes(pattern));
+
+        if (match) {
+            return { mode: match.mode, segmentBits: match.segmentBits ?? null };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Parse a CAVP .rsp file into records
+ *
+ * @param {string} text - Contents of the file
+ * @param {string} fileName - File name, used to recognize the mode and test type
+ * @returns {Object} Object containing:
+ *   - fileName: The file name
+ *   - mode: Mode of operation ('ECB', 'CBC', 'CFB', 'OFB', 'CTR' or 'GCM'), null if unknown
+ *   - segmentBits: CFB segment size (1, 8 or 128), null for other modes
+ *   - monteCarlo: Whether this is a Monte Carlo (MCT) file
+ *   - comments: Header comment lines
+ *   - records: One object per COUNT, with direction ('encrypt' or 'decrypt'), params
+ *     (bracketed [name = value] settings), lineNumber, fail (GCM decrypt records that
+ *     must be rejected) and the hex fields (count, key, iv, plaintext, ciphertext, aad, tag)
+ */
+export function parseRspFile(text, fileName = '') {
+    const comments = [];
+    const records = [];
+
+    // GCM files say whether they encrypt or decrypt in the name, others use sections
+    let direction = /decrypt/i.test(fileName) ? 'decrypt' : 'encrypt';
+    let params = {};
+    let record = null;
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+
+        if (line === '') {
+            return;
+        }
+
+        if (line.startsWith('#')) {
+            comments.push(line.slice(1).trim());
+            return;
+        }
+
+        // Section headers: [ENCRYPT], [DECRYPT] or [Keylen = 128] style parameters
+        const section = line.match(/^\[(.*)\]$/);
+        if (section) {
+            const [name, value] = section[1].split('=').map(part => part.trim());
+
+            if (value === undefined) {
+                direction = name.toLowerCase() === 'decrypt' ? 'decrypt' : 'encrypt';
+                params = {};
+            } else {
+                params = { ...params, [name]: value };
+            }
+            return;
+        }
+
+        // GCM decrypt records that must fail authentication have a bare FAIL line
+        if (line.toUpperCase() === 'FAIL') {
+            if (record) {
+                record.fail = true;
+            }
+            return;
+        }
+
+        const field = line.match(/^([A-Za-z]+)\s*=\s*(.*)$/);
+        if (!field) {
+            return;
+        }
+
+        const property = FIELD_NAMES[field[1].toUpperCase()];
+        if (!property) {
+            return;
+        }
+
+        // A COUNT line starts a new record
+        if (property === 'count') {
+            record = { direction, params, lineNumber: index + 1, fail: false, count: field[2] };
+            records.push(record);
+        } else if (record) {
+            record[property] = field[2].toLowerCase();
+        }
+    });
+
+    const detected = detectMode(fileName, comments);
+
+    return {
+        fileName,
+        mode: detected ? detected.mode : null,
+        segmentBits: detected ? detected.segmentBits : null,
+        monteCarlo: /MCT|monte carlo/i.test(`${fileName} ${comments.join(' ')}`),
+        comments,
+        records
+    };
+}
+
+// ====================================================================================
+// BIT STRINGS (CFB1)
+// ====================================================================================
+
+/**
+ * Convert a string of 0s and 1s to bytes, zero-filling the last byte
+ *
+ * @param {string} bits - Bit string, most significant bit first
+ * @returns {number[]} Array of bytes
+ */
+function bitsToBytes(bits) {
+    const bytes = Array(Math.ceil(bits.length / 8)).fill(0);
+
+    for (let i = 0; i < bits.length; i++) {
+        if (bits[i] === '1') {
+            bytes[i >> 3] |= 0x80 >> (i & 7);
+        }
+    }
+
+    return bytes;
+}
+
+/**
+ * Convert bytes to a string of 0s and 1s
+ *
+ * @param {number[]} bytes - Array of bytes
+ * @param {number} bitLength - Number of bits to keep
+ * @returns {string} Bit string, most significant bit first
+ */
+function bytesToBits(bytes, bitLength) {
+    return bytes
+        .map(byte => byte.toString(2).padStart(8, '0'))
+        .join('')
+        .slice(0, bitLength);
+}
+
+// ====================================================================================
+// RUNNING RECORDS
+// ====================================================================================
+
+/**
+ * Find where two values first differ
+ *
+ * @param {string} expected - Expected value (hex, a bit string or 'FAIL')
+ * @param {string} actual - Actual value in the same format
+ * @param {number} charsPerUnit - Characters per byte (2 for hex) or per bit (1)
+ * @returns {number} Index of the first differing byte or bit, -1 if they are equal
+ */
+function findMismatch(expected, actual, charsPerUnit) {
+    if (expected === actual) {
+        return -1;
+    }
+
+    for (let i = 0; i < Math.max(expected.length, actual.length); i += charsPerUnit) {
+        if (expected.slice(i, i + charsPerUnit) !== actual.slice(i, i + charsPerUnit)) {
+            return i / charsPerUnit;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Run one record through its mode of operation
+ *
+ * @param {Object} record - Parsed record (see parseRspFile)
+ * @param {Object} file - Parsed file (for the mode and CFB segment size)
+ * @returns {Object} Result of the record (see runRspFile)
+ */
+function runRecord(record, file) {
+    const { mode, segmentBits } = file;
+    const label = `COUNT ${record.count}`;
+    const result = { label, direction: record.direction, lineNumber: record.lineNumber, params: record.params };
+
+    if (file.monteCarlo) {
+        return { ...result, status: 'skip', reason: 'Monte Carlo records depend on 1000 chained iterations and are not run one by one' };
+    }
+
+    if (!mode) {
+        return { ...result, status: 'skip', reason: 'Unknown mode of operation (not found in the file name or header)' };
+    }
+
+    const key = hexToBytes(record.key ?? '');
+    const keySize = key.length * 8;
+
+    if (!AES_VARIANTS[keySize]) {
+        return { ...result, status: 'skip', reason: `Unsupported key length: ${key.length} bytes` };
+    }
+
+    // CFB1 vectors are bit strings, every other mode uses hex
+    const isBitString = mode === 'CFB' && segmentBits === 1;
+    const toBytes = value => (isBitString ? bitsToBytes(value ?? '') : hexToBytes(value ?? ''));
+
+    const encrypting = record.direction === 'encrypt';
+    const input = encrypting ? record.plaintext : record.ciphertext;
+    let expected = (encrypting ? record.ciphertext : record.plaintext) ?? '';
+    let dataBytes = toBytes(input);
+
+    const { roundKeys } = expandKey(key, keySize);
+    const context = {
+        roundKeys,
+        numberOfRounds: roundKeys.length - 1,
+        iv: record.iv ? hexToBytes(record.iv) : null,
+        trackRounds: false,
+        counterBits: BLOCK_SIZE * 8,
+        segmentBits,
+        aad: hexToBytes(record.aad ?? '')
+    };
+
+    // GCM: the tag is appended when encrypting, and checked (or rejected) when decrypting,
+    // truncated to as many bytes as the record has
+    if (mode === 'GCM') {
+        const tag = hexToBytes(record.tag ?? '');
+
+        if (!GCM_TAG_LENGTHS.includes(tag.length)) {
+            return { ...result, status: 'skip', reason: `Unsupported ${tag.length * 8}-bit tag` };
+        }
+
+        context.tagLength = tag.length;
+
+        if (encrypting) {
+            expected = `${expected}${record.tag}`;
+        } else {
+            dataBytes = [...dataBytes, ...tag];
+            expected = record.fail ? 'FAIL' : expected;
+        }
+    }
+
+    let actual;
+    try {
+        const { outputBytes } = MODES_OF_OPERATION[mode][record.direction](dataBytes, context);
+
+        if (isBitString) {
+            actual = bytesToBits(outputBytes, (input ?? '').length);
+        } else {
+            actual = bytesToHex(outputBytes);
+        }
+    } catch (err) {
+        if (mode === 'GCM' && err.message.startsWith('Authentication failed')) {
+            actual = 'FAIL';
+        } else {
+            return { ...result, status: 'fail', reason: err.message, expected, actual: '' };
+        }
+    }
+
+    const mismatch = findMismatch(expected, actual, isBitString ? 1 : 2);
+
+    return {
+        ...result,
+        status: mismatch === -1 ? 'pass' : 'fail',
+        expected,
+        actual,
+        unit: isBitString ? 'bit' : 'byte',
+        mismatchIndex: mismatch
+    };
+}
+
+/**
+ * Run every record of a parsed .rsp file
+ *
+ * @param {Object} file - Parsed file from parseRspFile
+ * @returns {Object} Object containing:
+ *   - fileName, mode, segmentBits: From the parsed file
+ *   - results: One entry per record with label, direction, lineNumber, params, status
+ *     ('pass', 'fail' or 'skip'), reason (for skips and errors), expected, actual,
+ *     unit ('byte', or 'bit' for CFB1) and mismatchIndex (first differing unit, -1 if none)
+ *   - passed, failed, skipped: Number of records with each status
+ *   - status: 'fail' if any record failed, 'skip' if none could be run, 'pass' otherwise
+ */
+export function runRspFile(file) {
+    const results = file.records.map(record => runRecord(record, file));
+    const countStatus = status => results.filter(result => result.status === status).length;
+    const [passed, failed, skipped] = ['pass', 'fail', 'skip'].map(countStatus);
+
+    return {
+        fileName: file.fileName,
+        mode: file.mode,
+        segmentBits: file.segmentBits,
+        results,
+        passed,
+        failed,
+        skipped,
+        status: failed > 0 ? 'fail' : passed === 0 && skipped > 0 ? 'skip' : 'pass'
+    };
+}
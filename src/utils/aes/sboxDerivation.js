@@ -0,0 +1,201 @@
+/**
+ * S-Box Derivation
+ *
+ * This file computes every S-Box entry the way FIPS-197 (Section 5.1.1) defines it,
+ * instead of looking it up in the S_BOX and INVERSE_S_BOX tables:
+ * 1. Take the multiplicative inverse in GF(2^8) (0x00 maps to itself)
+ * 2. Apply the affine transformation over GF(2):
+ *    b'[i] = b[i] ⊕ b[i+4] ⊕ b[i+5] ⊕ b[i+6] ⊕ b[i+7] ⊕ c[i], with c = 0x63
+ *    (bit indices mod 8, bit 0 is the least significant)
+ *
+ * The inverse S-Box undoes the two steps in reverse order, using the inverse affine
+ * transformation b[i] = b'[i+2] ⊕ b'[i+5] ⊕ b'[i+7] ⊕ d[i], with d = 0x05.
+ *
+ * The derived tables are checked against the hard-coded ones when the module loads.
+ */
+
+import { S_BOX, INVERSE_S_BOX } from './constants.js';
+import { galoisMultiply } from './galoisField.js';
+
+// Constant XORed in by the affine transformation and by its inverse
+export const AFFINE_CONSTANT = 0x63;
+export const INVERSE_AFFINE_CONSTANT = 0x05;
+
+// Input bit offsets (mod 8) XORed into output bit i
+const AFFINE_OFFSETS = [0, 4, 5, 6, 7];
+const INVERSE_AFFINE_OFFSETS = [2, 5, 7];
+
+// ====================================================================================
+// MULTIPLICATIVE INVERSE
+// ====================================================================================
+
+/**
+ * Multiplicative inverse of a byte in GF(2^8)
+ * Every non-zero byte b satisfies b^255 = 1, so b^-1 = b^254, computed by
+ * square-and-multiply with galoisMultiply (0x00 has no inverse and maps to 0x00)
+ *
+ * @param {number} byte - The byte to invert
+ * @returns {number} The inverse, or 0 for 0
+ */
+export function galoisInverse(byte) {
+    let result = 1;
+    let base = byte;
+    let exponent = 254;
+
+    while (exponent > 0) {
+        if (exponent & 1) {
+            result = galoisMultiply(result, base);
+        }
+        base = galoisMultiply(base, base);
+        exponent >>= 1;
+    }
+
+    return byte === 0 ? 0 : result;
+}
+
+// ====================================================================================
+// AFFINE TRANSFORMATION
+// ====================================================================================
+
+/**
+ * Apply an affine transformation bit by bit, recording every output bit
+ *
+ * @param {number} byte - Input byte
+ * @param {number[]} offsets - Input bit offsets XORed into each output bit
+ * @param {number} constant - Constant XORed in at the end
+ * @returns {Object} Object containing:
+ *   - input: The input byte
+ *   - constant: The constant
+ *   - rows: One entry per output bit (bit 0 first) with bit, sourceBits (input bit
+ *     indices), sourceValues (their values), constantBit and output
+ *   - output: The transformed byte
+ */
+function traceAffine(byte, offsets, constant) {
+    const rows = [];
+    let output = 0;
+
+    for (let bit = 0; bit < 8; bit++) {
+        const sourceBits = offsets.map(offset => (bit + offset) % 8);
+        const sourceValues = sourceBits.map(source => (byte >> source) & 1);
+        const constantBit = (constant >> bit) & 1;
+        const outputBit = sourceValues.reduce((acc, value) => acc ^ value, constantBit);
+
+        rows.push({ bit, sourceBits, sourceValues, constantBit, output: outputBit });
+        output |= outputBit << bit;
+    }
+
+    return { input: byte, constant, rows, output };
+}
+
+/**
+ * The S-Box affine transformation (constant 0x63)
+ *
+ * @param {number} byte - Input byte (the multiplicative inverse)
+ * @returns {Object} Trace of every output bit (see traceAffine)
+ */
+export function affineTransform(byte) {
+    return traceAffine(byte, AFFINE_OFFSETS, AFFINE_CONSTANT);
+}
+
+/**
+ * The inverse S-Box affine transformation (constant 0x05)
+ *
+ * @param {number} byte - Input byte (an S-Box output)
+ * @returns {Object} Trace of every output bit (see traceAffine)
+ */
+export function inverseAffineTransform(byte) {
+    return traceAffine(byte, INVERSE_AFFINE_OFFSETS, INVERSE_AFFINE_CONSTANT);
+}
+
+// ====================================================================================
+// S-BOX ENTRIES
+// ====================================================================================
+
+/**
+ * Derive S_BOX[byte]: multiplicative inverse, then the affine transformation
+ *
+ * @param {number} byte - Input byte
+ * @returns {Object} Object containing:
+ *   - input: The input byte
+ *   - inverse: Its multiplicative inverse in GF(2^8)
+ *   - inverseCheck: input · inverse (1 for every non-zero input)
+ *   - affine: Trace of the affine transformation of the inverse
+ *   - output: The derived S-Box value
+ *   - tableValue: S_BOX[byte], for comparison
+ */
+export function deriveSboxEntry(byte) {
+    const inverse = galoisInverse(byte);
+    const affine = affineTransform(inverse);
+
+    return {
+        input: byte,
+        inverse,
+        inverseCheck: galoisMultiply(byte, inverse),
+        affine,
+        output: affine.output,
+        tableValue: S_BOX[byte]
+    };
+}
+
+/**
+ * Derive INVERSE_S_BOX[byte]: inverse affine transformation, then multiplicative inverse
+ *
+ * @param {number} byte - Input byte
+ * @returns {Object} Object containing:
+ *   - input: The input byte
+ *   - affine: Trace of the inverse affine transformation of the input
+ *   - inverse: Multiplicative inverse of the affine output (the derived value)
+ *   - inverseCheck: affine output · inverse (1 unless the affine output is 0)
+ *   - output: The derived inverse S-Box value
+ *   - tableValue: INVERSE_S_BOX[byte], for comparison
+ */
+export function deriveInverseSboxEntry(byte) {
+    const affine = inverseAffineTransform(byte);
+    const inverse = galoisInverse(affine.output);
+
+    return {
+        input: byte,
+        affine,
+        inverse,
+        inverseCheck: galoisMultiply(affine.output, inverse),
+        output: inverse,
+        tableValue: INVERSE_S_BOX[byte]
+    };
+}
+
+// ====================================================================================
+// TABLE VERIFICATION
+// ====================================================================================
+
+/**
+ * Derive all 256 entries of both tables and compare them with S_BOX and INVERSE_S_BOX
+ *
+ * @returns {Object} Object containing:
+ *   - valid: Whether every derived entry matches its table
+ *   - sboxMismatches: Input bytes whose derived S-Box value differs from S_BOX
+ *   - inverseSboxMismatches: Input bytes whose derived value differs from INVERSE_S_BOX
+ */
+export function verifySboxTables() {
+    const sboxMismatches = [];
+    const inverseSboxMismatches = [];
+
+    for (let byte = 0; byte < 256; byte++) {
+        if (deriveSboxEntry(byte).output !== S_BOX[byte]) {
+            sboxMismatches.push(byte);
+        }
+        if (deriveInverseSboxEntry(byte).output !== INVERSE_S_BOX[byte]) {
+            inverseSboxMismatches.push(byte);
+        }
+    }
+
+    return {
+        valid: sboxMismatches.length === 0 && inverseSboxMismatches.length === 0,
+        sboxMismatches,
+        inverseSboxMismatches
+    };
+}
+
+// Checked once when the module loads, for the match/mismatch note in the S-Box derivation
+// panel. Nothing waits on it: encryption still uses the tables even if they do not match
+// (the conformance suite checks them again in runSboxDerivationTests)
+export const SBOX_VERIFICATION = verifySboxTables();
@@ -0,0 +1,219 @@
+/**
+ * Square (Integral) Attack on 4-Round AES-128
+ *
+ * This file implements the textbook Square attack on reduced-round AES:
+ * 1. Encrypt a Λ-set: 256 plain texts where one byte takes every value and the other
+ *    15 bytes are constant
+ * 2. After 3 rounds every state byte is balanced, the 256 values XOR to zero
+ * 3. The 4th (last) round has no MixColumns, so guessing one last round key byte and
+ *    undoing AddRoundKey, ShiftRows and SubBytes gives one byte of the round 3 state.
+ *    Only guesses that make it balanced survive (a wrong guess survives with
+ *    probability 1/256, so a second Λ-set removes the false positives)
+ * 4. Run the key schedule backwards from the last round key to the master key
+ *
+ * The attacker only sees plain text/cipher text pairs from an encryption oracle, the key
+ * is passed in so the oracle can be built and the result checked.
+ */
+
+import { BLOCK_SIZE } from './constants.js';
+import { encryptBlock, encryptBlockPerRound } from './encryption.js';
+import { expandKey, recoverKeyFromRoundKeys } from './keyExpansion.js';
+import { addRoundKey, inverseShiftRows, inverseSubstituteBytes } from './transformations.js';
+import { bytesToStateMatrix, generateRandomBytes, nextTask } from './utils.js';
+
+// The attack works on 4-round AES-128 (no MixColumns in the last round)
+export const SQUARE_ATTACK_KEY_SIZE = 128;
+export const SQUARE_ATTACK_ROUNDS = 4;
+
+// Λ-sets to try before giving up (two are almost always enough)
+export const MAX_LAMBDA_SETS = 8;
+
+// Key guesses tested between progress reports
+const GUESSES_PER_PROGRESS_REPORT = 16;
+
+// ====================================================================================
+// Λ-SETS AND THE BALANCED PROPERTY
+// ====================================================================================
+
+/**
+ * Build a Λ-set: 256 blocks where one byte takes every value and the rest are constant
+ *
+ * @param {number} activeByte - Index (0-15) of the byte that takes every value
+ * @param {number[]} constantBytes - 16 bytes for the other positions
+ * @returns {number[][]} 256 plain text blocks
+ */
+export function createLambdaSet(activeByte = 0, constantBytes = generateRandomBytes(BLOCK_SIZE)) {
+    return Array.from({ length: 256 }, (_, value) => {
+        const block = [...constantBytes];
+        block[activeByte] = value;
+        return block;
+    });
+}
+
+/**
+ * Classify one byte position across a Λ-set
+ *
+ * @param {number[]} values - The byte at this position in each of the 256 states
+ * @returns {Object} Object containing:
+ *   - property: 'all' (every value once), 'constant', 'balanced' (XOR is zero) or 'unknown'
+ *   - xorSum: XOR of all values
+ */
+function classifyByte(values) {
+    const xorSum = values.reduce((sum, value) => sum ^ value, 0);
+    const distinct = new Set(values).size;
+
+    if (distinct === 256) {
+        return { property: 'all', xorSum };
+    }
+
+    if (distinct === 1) {
+        return { property: 'constant', xorSum };
+    }
+
+    return { property: xorSum === 0 ? 'balanced' : 'unknown', xorSum };
+}
+
+/**
+ * Encrypt a Λ-set under 4-round AES and classify every state byte after every round
+ *
+ * @param {number[][]} plaintexts - The Λ-set
+ * @param {number[]} key - 16-byte key
+ * @returns {Object} Object containing:
+ *   - ciphertexts: The 256 cipher text blocks
+ *   - rounds: One entry per round 0-4 with round, bytes (16 x { property, xorSum }, in
+ *     state byte order) and balanced (whether every byte XORs to zero)
+ */
+export function analyzeLambdaSet(plaintexts, key) {
+    const { roundKeys } = expandKey(key, SQUARE_ATTACK_KEY_SIZE, SQUARE_ATTACK_ROUNDS);
+    const statesPerRound = plaintexts.map(block => encryptBlockPerRound(block, roundKeys, SQUARE_ATTACK_ROUNDS));
+
+    const rounds = Array.from({ length: SQUARE_ATTACK_ROUNDS + 1 }, (_, round) => {
+        const bytes = Array.from({ length: BLOCK_SIZE }, (_, position) =>
+            classifyByte(statesPerRound.map(states => states[round][position]))
+        );
+
+        return { round, bytes, balanced: bytes.every(byte => byte.xorSum === 0) };
+    });
+
+    return {
+        ciphertexts: statesPerRound.map(states => states[SQUARE_ATTACK_ROUNDS]),
+        rounds
+    };
+}
+
+// ====================================================================================
+// LAST ROUND KEY GUESSING
+// ====================================================================================
+
+/**
+ * XOR-sum of the round 3 state over a Λ-set, under one guess for every last round key byte
+ *
+ * The same guess is used for all 16 bytes at once, so one pass of inverseShiftRows and
+ * inverseSubstituteBytes per cipher text tests the guess for every position.
+ *
+ * @param {number[][]} ciphertexts - Cipher texts of a Λ-set
+ * @param {number} guess - Guessed key byte
+ * @returns {number[][]} 4x4 XOR-sum of the partially decrypted states
+ */
+function partialDecryptionSum(ciphertexts, guess) {
+    const guessedKey = Array.from({ length: 4 }, () => Array(4).fill(guess));
+    const sum = Array.from({ length: 4 }, () => Array(4).fill(0));
+
+    for (const ciphertext of ciphertexts) {
+        const state = inverseSubstituteBytes(inverseShiftRows(addRoundKey(bytesToStateMatrix(ciphertext), guessedKey)));
+
+        for (let row = 0; row < 4; row++) {
+            for (let col = 0; col < 4; col++) {
+                sum[row][col] ^= state[row][col];
+            }
+        }
+    }
+
+    return sum;
+}
+
+/**
+ * Run the Square attack against 4-round AES-128
+ *
+ * @param {number[]} key - 16-byte key the encryption oracle uses
+ * @param {Object} options - Optional settings:
+ *   - onProgress: Called with { lambdaSet, guess, candidateCounts, keySpaceBits } while
+ *     guessing (guess is the last guess tested in the current Λ-set)
+ *   - maxLambdaSets: Λ-sets to try before giving up, defaults to MAX_LAMBDA_SETS
+ * @returns {Promise<Object>} Object containing:
+ *   - success: Whether exactly one candidate was left for every byte
+ *   - queries: Number of chosen plain texts encrypted by the oracle
+ *   - partialDecryptions: Number of cipher texts partially decrypted
+ *   - history: Candidate counts per key byte after each Λ-set
+ *   - candidates: Remaining candidates per last round key byte (state byte order)
+ *   - lastRoundKey: The recovered round 4 key as bytes (null if not unique)
+ *   - recoveredKey: The master key from running the key schedule backwards (null if not unique)
+ *   - keyScheduleSteps: The backward key schedule steps (see recoverKeyFromRoundKeys)
+ *   - correct: Whether the recovered key is the oracle's key
+ */
+export async function runSquareAttack(key, options = {}) {
+    const { onProgress = () => {}, maxLambdaSets = MAX_LAMBDA_SETS } = options;
+    const { roundKeys } = expandKey(key, SQUARE_ATTACK_KEY_SIZE, SQUARE_ATTACK_ROUNDS);
+    const encryptionOracle = block => encryptBlock(block, roundKeys, false, SQUARE_ATTACK_ROUNDS).encryptedBlock;
+
+    // Every byte of the last round key starts with all 256 candidates
+    let candidates = Array.from({ length: BLOCK_SIZE }, () => Array.from({ length: 256 }, (_, value) => value));
+    const history = [];
+    let queries = 0;
+    let partialDecryptions = 0;
+
+    const report = (lambdaSet, guess) => {
+        const candidateCounts = candidates.map(list => list.length);
+        onProgress({
+            lambdaSet,
+            guess,
+            candidateCounts,
+            keySpaceBits: candidateCounts.reduce((bits, count) => bits + Math.log2(Math.max(count, 1)), 0)
+        });
+    };
+
+    for (let lambdaSet = 1; lambdaSet <= maxLambdaSets && candidates.some(list => list.length > 1); lambdaSet++) {
+        const ciphertexts = createLambdaSet(0).map(encryptionOracle);
+        queries += ciphertexts.length;
+
+        for (let guess = 0; guess < 256; guess++) {
+            // Skip guesses already ruled out for every byte
+            if (candidates.some(list => list.includes(guess))) {
+                const sum = partialDecryptionSum(ciphertexts, guess);
+                partialDecryptions += ciphertexts.length;
+
+                // Key byte (row, col) lands in column (col + row) mod 4 after inverseShiftRows
+                candidates = candidates.map((list, position) => {
+                    const row = position % 4;
+                    const col = Math.floor(position / 4);
+                    return sum[row][(col + row) % 4] === 0 ? list : list.filter(value => value !== guess);
+                });
+            }
+
+            if ((guess + 1) % GUESSES_PER_PROGRESS_REPORT === 0) {
+                report(lambdaSet, guess);
+                await nextTask();
+            }
+        }
+
+        history.push({ lambdaSet, candidateCounts: candidates.map(list => list.length) });
+    }
+
+    const success = candidates.every(list => list.length === 1);
+    const lastRoundKey = success ? candidates.map(list => list[0]) : null;
+    const recovery = success
+        ? recoverKeyFromRoundKeys([bytesToStateMatrix(lastRoundKey)], SQUARE_ATTACK_ROUNDS, SQUARE_ATTACK_KEY_SIZE)
+        : null;
+
+    return {
+        success,
+        queries,
+        partialDecryptions,
+        history,
+        candidates,
+        lastRoundKey,
+        recoveredKey: recovery ? recovery.key : null,
+        keyScheduleSteps: recovery ? recovery.steps : [],
+        correct: recovery ? recovery.key.every((byte, index) => byte === key[index]) : false
+    };
+}
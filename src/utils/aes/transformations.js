@@ -15,7 +15,8 @@ import {
     multiplyByNine,
     multiplyByEleven,
     multiplyByThirteen,
-    multiplyByFourteen
+    multiplyByFourteen,
+    traceGaloisMultiply
 } from './galoisField.js';
 import { copyStateMatrix } from './utils.js';
 
@@ -201,6 +202,48 @@ export function inverseMixColumns(state) {
     return newState;
 }
 
+// The MixColumns and Inverse MixColumns matrices, row by row
+const MIX_COLUMNS_MATRIX = [
+    [2, 3, 1, 1],
+    [1, 2, 3, 1],
+    [1, 1, 2, 3],
+    [3, 1, 1, 2]
+];
+
+const INVERSE_MIX_COLUMNS_MATRIX = [
+    [14, 11, 13, 9],
+    [9, 14, 11, 13],
+    [13, 9, 14, 11],
+    [11, 13, 9, 14]
+];
+
+/**
+ * Trace the GF(2^8) arithmetic behind MixColumns or Inverse MixColumns
+ * Every output byte is the XOR of four products, one per byte of its input column
+ * 
+ * @param {number[][]} state - 4x4 state matrix before the transformation
+ * @param {boolean} inverse - Whether to trace Inverse MixColumns
+ * @returns {Object[][]} 4x4 matrix with, for each output byte:
+ *   - products: The four traceGaloisMultiply results (matrix row times input column)
+ *   - result: XOR of the four products (the output byte)
+ */
+export function traceMixColumns(state, inverse = false) {
+    const matrix = inverse ? INVERSE_MIX_COLUMNS_MATRIX : MIX_COLUMNS_MATRIX;
+
+    return matrix.map(coefficients =>
+        [0, 1, 2, 3].map(col => {
+            const products = coefficients.map((coefficient, row) =>
+                traceGaloisMultiply(coefficient, state[row][col])
+            );
+
+            return {
+                products,
+                result: products.reduce((acc, term) => acc ^ term.product, 0)
+            };
+        })
+    );
+}
+
 // ====================================================================================
 // ADDROUNDKEY TRANSFORMATION
 // ====================================================================================
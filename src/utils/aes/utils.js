@@ -6,7 +6,55 @@
  * byte arrays that the AES algorithm operates on.
  */
 
-import { BLOCK_SIZE } from './constants.js';
+import {
+    BLOCK_SIZE,
+    AES_VARIANTS,
+    DEFAULT_KEY_SIZE,
+    DEFAULT_PBKDF2_ITERATIONS,
+    MIN_NUMBER_OF_ROUNDS,
+    PBKDF2_SALT_LENGTH
+} from './constants.js';
+
+// ====================================================================================
+// AES VARIANTS
+// ====================================================================================
+
+/**
+ * Look up the parameters of an AES variant by key size
+ * 
+ * @param {number} keySize - Key size in bits (128, 192 or 256)
+ * @returns {Object} Object containing:
+ *   - keySizeWords: Number of 32-bit words in the key (Nk)
+ *   - numberOfRounds: Number of rounds (Nr)
+ *   - keySizeBytes: Number of bytes in the key
+ */
+export function getAesVariant(keySize = DEFAULT_KEY_SIZE) {
+    const variant = AES_VARIANTS[keySize];
+
+    if (!variant) {
+        throw new Error(`Unsupported key size: ${keySize} bits`);
+    }
+
+    return {
+        ...variant,
+        keySizeBytes: variant.keySizeWords * 4
+    };
+}
+
+/**
+ * Check that a round count is allowed for reduced-round AES
+ * Throws unless it is a whole number from MIN_NUMBER_OF_ROUNDS up to the variant's Nr
+ * 
+ * @param {number} keySize - Key size in bits (128, 192 or 256)
+ * @param {number} numberOfRounds - Requested number of rounds
+ */
+export function validateNumberOfRounds(keySize, numberOfRounds) {
+    const { numberOfRounds: standardRounds } = getAesVariant(keySize);
+
+    if (!Number.isInteger(numberOfRounds) || numberOfRounds < MIN_NUMBER_OF_ROUNDS || numberOfRounds > standardRounds) {
+        throw new Error(`AES-${keySize} can run ${MIN_NUMBER_OF_ROUNDS} to ${standardRounds} rounds, got ${numberOfRounds}`);
+    }
+}
 
 // ====================================================================================
 // TEXT AND BYTE CONVERSION
@@ -69,6 +117,98 @@ export function hexToBytes(hexString) {
     return bytes;
 }
 
+/**
+ * XOR two byte arrays of the same length
+ * Used to chain blocks together in CBC mode
+ * 
+ * @param {number[]} bytes1 - First byte array
+ * @param {number[]} bytes2 - Second byte array
+ * @returns {number[]} XORed bytes
+ */
+export function xorBytes(bytes1, bytes2) {
+    return bytes1.map((byte, index) => byte ^ bytes2[index]);
+}
+
+/**
+ * Compare two byte arrays in constant time
+ * Every byte is always compared, so the time taken does not reveal where the first
+ * difference is (used to check authentication tags)
+ * 
+ * @param {number[]} bytes1 - First byte array
+ * @param {number[]} bytes2 - Second byte array
+ * @returns {boolean} True if the arrays are equal
+ */
+export function constantTimeEqual(bytes1, bytes2) {
+    if (bytes1.length !== bytes2.length) {
+        return false;
+    }
+
+    // Accumulate the differences instead of returning at the first mismatch
+    let difference = 0;
+    for (let i = 0; i < bytes1.length; i++) {
+        difference |= bytes1[i] ^ bytes2[i];
+    }
+
+    return difference === 0;
+}
+
+// ====================================================================================
+// BASE64 CONVERSION
+// ====================================================================================
+
+// Bytes converted to characters at a time by bytesToBase64
+const BASE64_CHUNK_SIZE = 0x8000;
+
+/**
+ * Convert an array of bytes to a Base64 string
+ * The bytes are turned into characters in chunks, so whole files do not overflow the
+ * argument limit of String.fromCharCode
+ * 
+ * @param {number[]} bytes - Array of bytes to convert
+ * @returns {string} Base64 string representation
+ */
+export function bytesToBase64(bytes) {
+    let binary = '';
+
+    for (let i = 0; i < bytes.length; i += BASE64_CHUNK_SIZE) {
+        binary += String.fromCharCode(...bytes.slice(i, i + BASE64_CHUNK_SIZE));
+    }
+
+    return btoa(binary);
+}
+
+/**
+ * Convert a Base64 string to an array of bytes
+ * Whitespace is ignored, anything else outside the Base64 alphabet is rejected
+ * 
+ * @param {string} base64String - Base64 string to convert
+ * @returns {number[]} Array of bytes
+ */
+export function base64ToBytes(base64String) {
+    const cleanBase64 = base64String.replace(/\s/g, '');
+
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(cleanBase64) || cleanBase64.length % 4 !== 0) {
+        throw new Error('Invalid Base64 string');
+    }
+
+    return Array.from(atob(cleanBase64), char => char.charCodeAt(0));
+}
+
+// ====================================================================================
+// RANDOM BYTES
+// ====================================================================================
+
+/**
+ * Generate cryptographically secure random bytes
+ * Used for initialization vectors (IVs), salts and random keys
+ * 
+ * @param {number} length - Number of bytes to generate
+ * @returns {number[]} Array of random bytes
+ */
+export function generateRandomBytes(length) {
+    return Array.from(crypto.getRandomValues(new Uint8Array(length)));
+}
+
 // ====================================================================================
 // PADDING
 // ====================================================================================
@@ -132,22 +272,121 @@ export function unpadData(data) {
 // ====================================================================================
 
 /**
- * Generate a 256-bit (32 byte) key from a passphrase
- * This uses a simple SHA-256-like approach for educational purposes
+ * Derive a 128, 192 or 256-bit key from a passphrase with PBKDF2-HMAC-SHA256
+ * The random salt makes equal passphrases give different keys, and the iteration
+ * count makes every brute-force guess cost that many HMAC computations
  * 
  * @param {string} passphrase - User's passphrase
- * @returns {number[]} 32-byte key array
+ * @param {number} keySize - Key size in bits (128, 192 or 256)
+ * @param {Object} options - Settings:
+ *   - salt: Random salt as byte array (stored with the cipher text so the key can be derived again)
+ *   - iterations: PBKDF2 iteration count, defaults to 100,000
+ * @returns {number[]} 16, 24 or 32-byte key array
  */
-export async function generateKeyFromPassphrase(passphrase) {
+export async function generateKeyFromPassphrase(passphrase, keySize = DEFAULT_KEY_SIZE, options = {}) {
+    const { salt, iterations = DEFAULT_PBKDF2_ITERATIONS } = options;
+    const { keySizeBytes } = getAesVariant(keySize);
+
+    if (!salt || salt.length === 0) {
+        throw new Error('PBKDF2 requires a non-empty salt');
+    }
+
+    if (!Number.isInteger(iterations) || iterations < 1) {
+        throw new Error(`PBKDF2 iteration count must be a positive integer, got ${iterations}`);
+    }
+
     // Convert passphrase to bytes
     const encoder = new TextEncoder();
     const passphraseBytes = encoder.encode(passphrase);
 
-    // Use Web Crypto API to hash the passphrase
-    const hashBuffer = await crypto.subtle.digest('SHA-256', passphraseBytes);
+    // Use Web Crypto API to run PBKDF2 with HMAC-SHA256 as the pseudorandom function
+    const baseKey = await crypto.subtle.importKey('raw', passphraseBytes, 'PBKDF2', false, ['deriveBits']);
+    const derivedBits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt: new Uint8Array(salt), iterations, hash: 'SHA-256' },
+        baseKey,
+        keySizeBytes * 8
+    );
+
+    return Array.from(new Uint8Array(derivedBits));
+}
+
+/**
+ * Put the PBKDF2 salt in front of the cipher text, so the key can be derived again
+ * when decrypting
+ * 
+ * @param {number[]} salt - Salt the key was derived with
+ * @param {number[]} cipherBytes - IV, cipher text and GCM tag, as encryptText writes them
+ * @returns {number[]} Salt followed by the cipher bytes
+ */
+export function prependSalt(salt, cipherBytes) {
+    return [...salt, ...cipherBytes];
+}
+
+/**
+ * Split the PBKDF2 salt off the front of a cipher text made by prependSalt
+ * Throws if the data is shorter than the salt
+ * 
+ * @param {number[]} bytes - Salt followed by the cipher bytes
+ * @param {number} saltLength - Salt length in bytes, 0 for keys that are not salted
+ * @returns {Object} Object containing:
+ *   - salt: The salt
+ *   - cipherBytes: Everything after it
+ */
+export function splitSalt(bytes, saltLength = PBKDF2_SALT_LENGTH) {
+    if (bytes.length < saltLength) {
+        throw new Error('Cipher text is too short to contain a salt');
+    }
+
+    return {
+        salt: bytes.slice(0, saltLength),
+        cipherBytes: bytes.slice(saltLength)
+    };
+}
+
+/**
+ * Parse a raw key typed or pasted as hex or Base64
+ * Unlike hexToBytes, stray characters are rejected instead of skipped,
+ * so a mistyped key is reported rather than silently changed
+ * 
+ * @param {string} keyText - Key as hex or Base64 (whitespace is ignored)
+ * @param {string} format - 'hex' or 'base64'
+ * @param {number} keySize - Key size in bits (128, 192 or 256)
+ * @returns {number[]} 16, 24 or 32-byte key array
+ */
+export function parseRawKey(keyText, format, keySize = DEFAULT_KEY_SIZE) {
+    const { keySizeBytes } = getAesVariant(keySize);
+    let keyBytes;
+
+    if (format === 'hex') {
+        const cleanHex = keyText.replace(/\s/g, '');
+
+        if (!/^[0-9a-fA-F]*$/.test(cleanHex) || cleanHex.length % 2 !== 0) {
+            throw new Error('Invalid hex key: use an even number of 0-9 and a-f characters');
+        }
+
+        keyBytes = hexToBytes(cleanHex);
+    } else if (format === 'base64') {
+        keyBytes = base64ToBytes(keyText);
+    } else {
+        throw new Error(`Unsupported key format: ${format}`);
+    }
+
+    if (keyBytes.length !== keySizeBytes) {
+        throw new Error(`AES-${keySize} requires a ${keySizeBytes}-byte key, got ${keyBytes.length} bytes`);
+    }
+
+    return keyBytes;
+}
 
-    // Convert to byte array
-    return Array.from(new Uint8Array(hashBuffer));
+/**
+ * Generate a random 128, 192 or 256-bit key
+ * 
+ * @param {number} keySize - Key size in bits (128, 192 or 256)
+ * @returns {number[]} 16, 24 or 32-byte key array
+ */
+export function generateRandomKey(keySize = DEFAULT_KEY_SIZE) {
+    const { keySizeBytes } = getAesVariant(keySize);
+    return generateRandomBytes(keySizeBytes);
 }
 
 // ====================================================================================
@@ -213,3 +452,17 @@ export function formatStateMatrix(state) {
         row.map(byte => byte.toString(16).padStart(2, '0')).join(' ')
     ).join('\n');
 }
+
+// ====================================================================================
+// LONG-RUNNING ATTACKS
+// ====================================================================================
+
+/**
+ * Wait for the browser to render before continuing
+ * The attack labs await this between steps so their progress can be shown
+ * 
+ * @returns {Promise<void>} Resolves on the next task
+ */
+export function nextTask() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}